@@ -110,15 +110,21 @@ class SlackRelayBotApp {
             // Initialize relay middleware for AI communication
             console.log('🔧 Initializing Relay Middleware...');
             this.relayMiddleware = new RelayMiddleware(config);
+            await this.relayMiddleware.restoreSessions();
+            await this.relayMiddleware.restoreUserTokens();
 
             // Initialize Slack bot only if tokens are available
             // This allows the app to start even without Slack configuration
-            if (config.slack.botToken && config.slack.signingSecret && config.slack.appToken) {
+            // (installed in several workspaces, the bot tokens come from the install flow)
+            // (over HTTP, Slack calls us instead of the Socket Mode app token connection)
+            const hasBotToken = config.slack.multiWorkspace ? !!config.slack.stateSecret : !!config.slack.botToken;
+            const hasTransport = config.slack.transport === 'http' || !!config.slack.appToken;
+            if (hasBotToken && config.slack.signingSecret && hasTransport) {
                 console.log('💬 Initializing Slack Bot...');
-                this.slackBot = new SlackBot(config, this.relayMiddleware);
+                this.slackBot = new SlackBot(config, this.relayMiddleware, this.slackRouter);
             } else {
                 console.log('⚠️ Slack tokens not configured - Slack integration disabled');
-                console.log('ℹ️ Configure SLACK_BOT_TOKEN, SLACK_SIGNING_SECRET, and SLACK_APP_TOKEN to enable Slack integration');
+                console.log('ℹ️ Configure SLACK_BOT_TOKEN (or SLACK_CLIENT_ID, SLACK_CLIENT_SECRET and SLACK_STATE_SECRET), SLACK_SIGNING_SECRET, and SLACK_APP_TOKEN (or SLACK_TRANSPORT=http) to enable Slack integration');
                 this.slackBot = null;
             }
 
@@ -145,6 +151,9 @@ class SlackRelayBotApp {
      * - GET /status: Detailed application status (for monitoring)
      * - GET /auth/login/:slackUserId: Initiate OAuth flow
      * - GET /auth/callback: Handle OAuth return from Microsoft
+     * - GET /slack/install: "Add to Slack" (only when installed in several workspaces)
+     * - GET /slack/oauth_redirect: Handle the install's return from Slack
+     * - POST /slack/events: Events, interactivity and slash commands (SLACK_TRANSPORT=http)
      * 
      * SECURITY CONSIDERATIONS:
      * - No rate limiting implemented
@@ -154,6 +163,12 @@ class SlackRelayBotApp {
      * - Status endpoint exposes internal application state
      */
     setupExpress() {
+        // Slack Events API endpoint (SLACK_TRANSPORT=http), filled in by the Slack bot.
+        // It comes before the body parsers because Slack's signature is computed over
+        // the raw request body, and before the 404 handler since the bot is created later.
+        this.slackRouter = express.Router();
+        this.app.use(this.slackRouter);
+
         // Standard Express middleware for parsing requests
         this.app.use(express.json());                    // Parse JSON request bodies
         this.app.use(express.urlencoded({ extended: true }));  // Parse form data
@@ -186,10 +201,14 @@ class SlackRelayBotApp {
                 relay: {
                     activeConnections: stats.activeConnections,     // Number of active AI connections
                     messageQueues: stats.messageQueues,            // Pending messages
+                    agents: stats.agents,                          // Conversations and turns per agent
                     connections: stats.connections                 // Connection details
                 },
                 slack: {
-                    connected: !!this.slackBot                     // Whether Slack bot is running
+                    connected: !!this.slackBot,                    // Whether Slack bot is running
+                    workspaces: this.slackBot?.installationStore   // Workspaces that installed the app (several workspaces only)
+                        ? this.slackBot.installationStore.getTeamIds().length
+                        : undefined
                 },
                 saml: {
                     enabled: config.saml.enabled,                  // SAML SSO integration status
@@ -197,8 +216,8 @@ class SlackRelayBotApp {
                     trustSamlAssertions: config.saml.trustSlackSamlAssertions,
                     requireExplicitOAuth: config.saml.requireExplicitOAuth,
                     enterpriseGridTokenConfigured: !!config.saml.enterpriseGridToken,
-                    implementationStatus: 'placeholder',            // Current implementation status
-                    fallbackBehavior: 'oauth_required'             // Always falls back to OAuth
+                    allowedEmailDomains: config.saml.allowedEmailDomains,
+                    fallbackBehavior: 'oauth_required'             // Unverified users get the OAuth link
                 },
                 server: {
                     port: config.server.port,
@@ -221,6 +240,7 @@ class SlackRelayBotApp {
          * Flow:
          * 1. User clicks auth button in Slack
          * 2. Browser hits this endpoint: /auth/login/{slackUserId}
+         *    ({teamId}_{slackUserId} when the bot is installed in several workspaces)
          * 3. We generate PKCE parameters for security
          * 4. Redirect to Microsoft OAuth with parameters
          * 
@@ -235,16 +255,20 @@ class SlackRelayBotApp {
          * - No rate limiting (could be abused for DoS)
          * - No CSRF protection beyond PKCE
          */
-        this.app.get('/auth/login/:slackUserId', (req, res) => {
+        this.app.get('/auth/login/:slackUserId', async (req, res) => {
             const { slackUserId } = req.params;
             
             // TODO: Add input validation for slackUserId
             // Should validate format and sanitize to prevent injection
             
-            // Generate OAuth URL with PKCE security
-            const authUrl = this.generateEntraIDAuthUrl(slackUserId);
-            
-            res.redirect(authUrl);
+            try {
+                // Generate OAuth URL with PKCE security
+                const authUrl = await this.generateEntraIDAuthUrl(slackUserId);
+                res.redirect(authUrl);
+            } catch (error) {
+                console.error('❌ Failed to build sign-in URL:', error.message);
+                res.status(500).send('❌ Could not start sign-in. Please try again from Slack.');
+            }
         });
 
         /**
@@ -256,7 +280,7 @@ class SlackRelayBotApp {
          * Flow:
          * 1. User completes auth on Microsoft's site
          * 2. Microsoft redirects here with authorization code
-         * 3. We exchange code + PKCE verifier for access token
+         * 3. We exchange code + PKCE verifier for access token (MSAL acquireTokenByCode)
          * 4. Store token and notify user in Slack
          * 
          * SECURITY FEATURES:
@@ -293,13 +317,8 @@ class SlackRelayBotApp {
                 const slackUserId = state;
                 
                 // Exchange authorization code for access token using PKCE
-                const tokenResponse = await this.exchangeCodeForToken(code, slackUserId);
-                
-                // Store the access token for this user
-                // The slack_ prefix ensures consistent user ID formatting
-                if (this.relayMiddleware) {
-                    await this.relayMiddleware.storeUserToken(`slack_${slackUserId}`, tokenResponse.access_token);
-                }
+                // (this also stores the token for the user)
+                await this.exchangeCodeForToken(code, slackUserId);
 
                 // Send success page with auto-close functionality
                 // This provides user feedback and closes the OAuth popup window
@@ -315,7 +334,7 @@ class SlackRelayBotApp {
 
                 // Notify the user in Slack that authentication succeeded
                 if (this.slackBot) {
-                    await this.slackBot.notifyAuthSuccess(slackUserId);
+                    await this.slackBot.notifyAuthSuccess(`slack_${slackUserId}`);
                 }
 
             } catch (error) {
@@ -330,6 +349,42 @@ class SlackRelayBotApp {
             }
         });
 
+        /**
+         * Slack App Installation Endpoints ("Add to Slack")
+         * 
+         * Only used when the bot is installed in several workspaces (SLACK_CLIENT_ID
+         * and SLACK_CLIENT_SECRET). A workspace admin opens /slack/install, approves
+         * the app in Slack, and Slack redirects back to /slack/oauth_redirect, where
+         * the workspace's bot token is stored (see SlackBot.handleInstallCallback).
+         * Add {SERVER_BASE_URL}/slack/oauth_redirect as a Redirect URL of the Slack app.
+         * 
+         * SECURITY FEATURES:
+         * - Signed state cookie (SLACK_STATE_SECRET) ties the callback to the browser
+         *   that started the install
+         * - Bot tokens are stored encrypted (TOKEN_ENCRYPTION_KEY)
+         */
+        this.app.get('/slack/install', async (req, res, next) => {
+            if (!this.slackBot?.installer) {
+                return next();   // Single workspace: 404
+            }
+            try {
+                await this.slackBot.handleInstallPath(req, res);
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        this.app.get('/slack/oauth_redirect', async (req, res, next) => {
+            if (!this.slackBot?.installer) {
+                return next();
+            }
+            try {
+                await this.slackBot.handleInstallCallback(req, res);
+            } catch (error) {
+                next(error);
+            }
+        });
+
         // Global 404 handler for undefined routes
         // This catches any requests to endpoints that don't exist
         this.app.use('*', (req, res) => {
@@ -395,24 +450,21 @@ class SlackRelayBotApp {
      * This URL will redirect users to Microsoft's login page where they
      * can authenticate and grant permissions to our application.
      * 
-     * OAuth Parameters Included:
-     * - client_id: Our registered application ID
-     * - response_type: 'code' (authorization code flow)
-     * - redirect_uri: Where Microsoft sends users after auth
-     * - scope: What permissions we're requesting
+     * The URL itself is built by MSAL (see RelayMiddleware.getSignInUrl), from the
+     * same authority and client settings that later redeem the code and renew
+     * the user's token. It carries:
+     * - client_id, redirect_uri and response_type 'code' (authorization code flow)
+     * - scope: the configured scopes, plus openid, profile and offline_access
      * - state: Slack user ID for correlation
-     * - prompt: 'consent' to ensure user sees permission screen
-     * - code_challenge: PKCE challenge for security
-     * - code_challenge_method: 'S256' (SHA256 hashing)
+     * - code_challenge / code_challenge_method: PKCE (S256)
      * 
      * @param {string} slackUserId - Slack user ID for state correlation
-     * @returns {string} Complete OAuth authorization URL
+     * @returns {Promise<string>} Complete OAuth authorization URL
      * 
      * SECURITY FEATURES:
      * - Tenant-specific endpoint (not /common) for better security
      * - PKCE challenge to prevent code interception
      * - State parameter for request correlation
-     * - Forced consent prompt to ensure user awareness
      * 
      * SECURITY CONCERNS:
      * - Code verifier stored in memory (not persistent)
@@ -420,12 +472,7 @@ class SlackRelayBotApp {
      * - State parameter contains user ID (could be logged)
      * - Base URL construction from config (validate in production)
      */
-    generateEntraIDAuthUrl(slackUserId) {
-        const clientId = config.copilotStudio.appClientId;
-        const tenantId = config.copilotStudio.tenantId;
-        const redirectUri = `${config.server.baseUrl}/auth/callback`;
-        const scope = config.oauth.scope;
-        
+    async generateEntraIDAuthUrl(slackUserId) {
         // Generate PKCE parameters for this authentication request
         const { codeVerifier, codeChallenge } = this.generatePKCE();
         
@@ -433,21 +480,8 @@ class SlackRelayBotApp {
         // TODO: Implement expiration for code verifiers to prevent memory leaks
         this.codeVerifiers.set(slackUserId, codeVerifier);
         
-        // Construct tenant-specific OAuth URL (more secure than /common)
-        // Using tenant-specific endpoint prevents account takeover attacks
-        const authUrl = new URL(`${config.oauth.authority}/${tenantId}/oauth2/v2.0/authorize`);
-        
-        // Set OAuth 2.0 parameters
-        authUrl.searchParams.set('client_id', clientId);
-        authUrl.searchParams.set('response_type', 'code');           // Authorization code flow
-        authUrl.searchParams.set('redirect_uri', redirectUri);       // Where to return after auth
-        authUrl.searchParams.set('scope', scope);                    // Requested permissions
-        authUrl.searchParams.set('state', slackUserId);             // For correlation (contains user ID)
-        // authUrl.searchParams.set('prompt', 'consent');              // Force permission screen
-        authUrl.searchParams.set('code_challenge', codeChallenge);  // PKCE challenge
-        authUrl.searchParams.set('code_challenge_method', 'S256');  // SHA256 hashing
-        
-        return authUrl.toString();
+        // Tenant-specific authority (more secure than /common) - configured on MSAL
+        return this.relayMiddleware.getSignInUrl(slackUserId, codeChallenge);
     }
 
     /**
@@ -459,14 +493,13 @@ class SlackRelayBotApp {
      * 
      * OAuth Token Exchange Flow:
      * 1. Retrieve stored PKCE code verifier for validation
-     * 2. Build token request with code, verifier, and client credentials
-     * 3. POST request to Microsoft's token endpoint
-     * 4. Validate response and extract access token
-     * 5. Return token data for storage
+     * 2. Redeem code + verifier with MSAL (acquireTokenByCode)
+     * 3. MSAL caches the user's account and refresh token
+     * 4. Store the access token and account ID for the user
      * 
      * @param {string} code - Authorization code from Microsoft
      * @param {string} slackUserId - Slack user ID for verifier lookup
-     * @returns {Object} Token response containing access_token, refresh_token, etc.
+     * @returns {Object} MSAL authentication result (accessToken, account, expiresOn, ...)
      * 
      * SECURITY FEATURES:
      * - PKCE code verifier validation prevents code interception attacks
@@ -477,15 +510,10 @@ class SlackRelayBotApp {
      * SECURITY CONCERNS:
      * - Client secret sent in request body (use mTLS in production)
      * - Error responses might contain sensitive information
-     * - No token expiration validation
      * - Access token returned in plain text
      * - No audit logging of token exchanges
      */
     async exchangeCodeForToken(code, slackUserId) {
-        const tenantId = config.copilotStudio.tenantId;
-        const tokenEndpoint = `${config.oauth.authority}/${tenantId}/oauth2/v2.0/token`;
-        const redirectUri = `${config.server.baseUrl}/auth/callback`;
-        
         // Retrieve and validate the stored PKCE code verifier
         const codeVerifier = this.codeVerifiers.get(slackUserId);
         if (!codeVerifier) {
@@ -495,35 +523,8 @@ class SlackRelayBotApp {
         // Clean up the stored code verifier immediately (single use only)
         this.codeVerifiers.delete(slackUserId);
         
-        // Build token exchange request body
-        // Using URLSearchParams for proper form encoding
-        const body = new URLSearchParams({
-            client_id: config.copilotStudio.appClientId,       // Our app registration ID
-            client_secret: config.copilotStudio.clientSecret,  // App secret for authentication
-            code: code,                                         // Authorization code from Microsoft
-            grant_type: 'authorization_code',                   // OAuth grant type
-            redirect_uri: redirectUri,                          // Must match auth request
-            scope: config.oauth.scope,                          // Requested permissions
-            code_verifier: codeVerifier                         // PKCE verifier for validation
-        });
-
-        // Make token exchange request to Microsoft
-        const response = await fetch(tokenEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: body
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Token exchange failed: ${error}`);
-        }
-
-        // Parse and return token response
-        // Contains access_token, refresh_token, expires_in, etc.
-        return await response.json();
+        // The slack_ prefix ensures consistent user ID formatting
+        return this.relayMiddleware.completeSignIn(`slack_${slackUserId}`, code, codeVerifier);
     }
 
     /**
@@ -638,7 +639,8 @@ class SlackRelayBotApp {
                 // Cleanup relay middleware connections and resources
                 if (this.relayMiddleware) {
                     console.log('🔧 Cleaning up relay middleware...');
-                    this.relayMiddleware.cleanup();
+                    await this.relayMiddleware.cleanup();
+                    await this.relayMiddleware.closeStores();
                 }
 
                 // TODO: Clear sensitive data from memory
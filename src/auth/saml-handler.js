@@ -1,82 +1,98 @@
 /**
  * SAML SSO Authentication Handler
- * 
+ *
  * This module provides seamless authentication integration for organizations using
  * SAML SSO with both Slack and Microsoft Entra ID. When a user is already authenticated
  * via SAML, we can skip the interactive OAuth flow and provide a smoother experience.
- * 
+ *
  * How SAML SSO Integration Works:
  * 1. User is already authenticated to Slack via SAML (Entra ID)
  * 2. User messages the bot in Slack
- * 3. Bot detects user has valid SAML session
- * 4. Bot validates SAML assertion and user identity
- * 5. Bot either skips OAuth entirely or streamlines the process
+ * 3. Bot looks up the user's Slack profile (users.info) for their email address
+ * 4. Bot matches that email against the user's identity in Entra ID (Microsoft Graph)
+ * 5. Bot gets a token for that Entra ID account without asking the user (MSAL)
  * 6. User can immediately interact with the AI without additional auth steps
- * 
+ *
+ * Slack never hands the SAML assertion itself to apps, so "validating the assertion"
+ * means checking what Slack knows about the user after SSO - an active, full member
+ * with an email address - against the identity provider: the email must belong to
+ * exactly one enabled Entra ID account (and to an allowed domain, see
+ * SAML_ALLOWED_EMAIL_DOMAINS).
+ *
+ * Copilot Studio needs a delegated token of the user, and Entra ID only issues one
+ * after the user signed in interactively at least once. So the token comes from
+ * MSAL's cache: when the matched Entra ID account already signed in to this bot -
+ * from another workspace, under another Slack account, or before their token here
+ * was dropped - that sign-in is reused. Everyone else still gets the sign-in link
+ * the first time.
+ *
  * Security Model:
  * - This is an ENHANCEMENT to existing OAuth, not a replacement
- * - Can be configured to fall back to OAuth on any validation failure
+ * - Falls back to OAuth on any validation failure or error
  * - Supports "defense in depth" mode where OAuth is always required
- * - All SAML validations are logged for security auditing
- * 
+ * - All SAML decisions are written to the audit log
+ *
  * SECURITY CONSIDERATIONS:
- * ⚠️  CURRENT IMPLEMENTATION STATUS:
- * - This is a PLACEHOLDER implementation for future development
- * - Currently provides framework and validation logic only
- * - Real SAML assertion validation not yet implemented
- * - Always falls back to standard OAuth flow for safety
- * 
- * 🔒 PRODUCTION SECURITY REQUIREMENTS (NOT YET IMPLEMENTED):
- * - SAML assertion signature validation against Entra ID certificates
- * - Email domain allowlist validation
- * - Comprehensive audit logging for all SAML authentication events
- * - Rate limiting for SAML authentication attempts
- * - Certificate rotation and validation mechanisms
- * - Proper error handling without information leakage
- * - Integration with enterprise security monitoring
- * 
- * 📋 CURRENT STATUS: SAFE PLACEHOLDER
- * - Will not break existing OAuth functionality
- * - Provides configuration framework for future implementation
- * - Can be enabled/disabled via environment variables
- * - Logs intended behavior for development and planning
+ * - Skipping OAuth trusts Slack's SSO: only enable TRUST_SLACK_SAML_ASSERTIONS and
+ *   REQUIRE_EXPLICIT_OAUTH=false when the workspace enforces SAML sign-in, so the
+ *   email on a Slack profile is the one Entra ID vouched for
+ * - Guests (restricted members) are always sent through OAuth - they are often
+ *   exempt from a workspace's SSO requirement
+ * - Set SAML_ALLOWED_EMAIL_DOMAINS to the domains of your tenant
+ * - The Graph lookup needs the User.Read.All application permission (admin consent)
+ * - SLACK_ENTERPRISE_GRID_TOKEN sees every member of the org - keep it in a secret
+ *   store; without it the bot token needs the users:read.email scope
+ * - Reused sign-ins share one MSAL account; it stays in MSAL's cache until the last
+ *   Slack user renewing through it signs out (see RelayMiddleware.revokeUserToken)
+ * - Not covered: rate limiting of SAML checks, SIEM integration
  */
 
+import { WebClient } from '@slack/web-api';
 import config from '../config/index.js';
 
+// How long a Microsoft Graph lookup may take
+const GRAPH_TIMEOUT_MS = 10000;
+
 /**
  * SAML SSO Authentication Handler Class
- * 
+ *
  * This class manages the integration between Slack SAML SSO and Microsoft Entra ID
  * to provide seamless authentication for users who are already authenticated via SAML.
- * 
+ *
  * Design Philosophy:
  * - Fail-safe: Always falls back to OAuth if anything seems wrong
  * - Transparent: Logs all decisions for security monitoring
  * - Configurable: Can be tuned from strict security to optimal UX
  * - Auditable: All authentication events are logged for compliance
- * 
- * IMPLEMENTATION STATUS: FRAMEWORK ONLY
- * This class currently provides the structure and safety checks for SAML integration
- * but does not perform actual SAML assertion validation. It serves as a safe
- * placeholder that maintains existing OAuth functionality while providing the
- * foundation for future SAML integration development.
  */
 class SamlAuthHandler {
-    constructor() {
+    /**
+     * @param {RelayMiddleware} relayMiddleware - Optional: MSAL client, token storage
+     *   and audit log (without it no tokens can be issued)
+     */
+    constructor(relayMiddleware = null) {
+        this.relay = relayMiddleware;
         this.enabled = config.saml.enabled;
         this.identityProvider = config.saml.identityProvider;
         this.trustSamlAssertions = config.saml.trustSlackSamlAssertions;
         this.requireExplicitOAuth = config.saml.requireExplicitOAuth;
         this.enterpriseGridToken = config.saml.enterpriseGridToken;
-        
+        this.allowedEmailDomains = config.saml.allowedEmailDomains;
+        this.graphUrl = config.saml.graphUrl;
+
+        // Org-level Slack client for profile lookups on Enterprise Grid
+        this.enterpriseGridClient = this.enterpriseGridToken ? new WebClient(this.enterpriseGridToken) : null;
+
         // Log SAML handler initialization
         if (this.enabled) {
             console.log('🔐 SAML SSO Handler initialized');
             console.log(`   Identity Provider: ${this.identityProvider}`);
             console.log(`   Trust SAML Assertions: ${this.trustSamlAssertions}`);
             console.log(`   Require Explicit OAuth: ${this.requireExplicitOAuth}`);
-            console.log('⚠️  Note: SAML validation is not yet implemented - OAuth will be used');
+            console.log(`   Allowed Email Domains: ${this.allowedEmailDomains.join(', ') || 'any'}`);
+            if (this.identityProvider !== 'entraid') {
+                console.log(`⚠️  Identity provider "${this.identityProvider}" is not supported - OAuth will be used`);
+            }
         } else {
             console.log('🔐 SAML SSO Handler: Disabled (using standard OAuth)');
         }
@@ -84,31 +100,29 @@ class SamlAuthHandler {
 
     /**
      * Check if a Slack user can be authenticated via SAML SSO
-     * 
+     *
      * This is the main entry point for SAML authentication. It performs a series
      * of checks to determine if the user's SAML session is valid and sufficient
      * for authentication without requiring the interactive OAuth flow.
-     * 
+     *
      * Authentication Decision Tree:
      * 1. Is SAML SSO enabled in configuration?
-     * 2. Does the user have a valid Slack SAML session?
-     * 3. Can we validate the SAML assertion?
-     * 4. Does the user's email domain match our allowlist?
+     * 2. Are we required to show OAuth anyway (defense in depth)?
+     * 3. Can we get the user's Slack profile with an email address?
+     * 4. Does the email match an enabled Entra ID account in an allowed domain?
      * 5. Are we configured to trust SAML assertions?
-     * 6. Are we required to show OAuth anyway (defense in depth)?
-     * 
-     * @param {string} slackUserId - The Slack user ID to check
-     * @param {Object} slackUserInfo - Additional Slack user information
+     *
+     * @param {string} slackUserId - Raw Slack user ID (U123...)
+     * @param {Object} slackUserInfo - Optional: the user object from users.info, if the
+     *   caller already has it
+     * @param {WebClient} slackClient - Optional: client of the user's workspace, used
+     *   for the profile lookup when there is no Enterprise Grid token
      * @returns {Promise<Object>} Authentication result with decision and reasoning
-     * 
-     * CURRENT IMPLEMENTATION: SAFE PLACEHOLDER
-     * Always returns { canSkipOAuth: false } to maintain existing OAuth behavior
-     * while providing the framework for future SAML integration.
      */
-    async canSkipOAuthForUser(slackUserId, slackUserInfo = null) {
+    async canSkipOAuthForUser(slackUserId, slackUserInfo = null, slackClient = null) {
         // Security: Log all authentication attempts for auditing
         console.log(`🔐 SAML SSO: Checking authentication for user ${slackUserId}`);
-        
+
         // If SAML is not enabled, immediately use OAuth
         if (!this.enabled) {
             console.log('🔐 SAML SSO: Disabled - using OAuth flow');
@@ -129,23 +143,17 @@ class SamlAuthHandler {
             };
         }
 
-        // PLACEHOLDER: Future SAML validation would go here
-        // For now, we always fall back to OAuth for safety
-        console.log('🔐 SAML SSO: SAML validation not yet implemented - using OAuth');
-        
         try {
-            // Get Slack user information (this is safe to call)
-            const userProfile = await this.getSlackUserProfile(slackUserId);
-            
+            const userProfile = await this.getSlackUserProfile(slackUserId, slackClient, slackUserInfo);
+
             if (userProfile) {
                 console.log(`🔐 SAML SSO: Found user profile for ${userProfile.email || 'unknown email'}`);
-                
-                // PLACEHOLDER: Future SAML assertion validation
+
                 const samlValidation = await this.validateSamlAssertion(slackUserId, userProfile);
-                
+
                 if (samlValidation.isValid) {
-                    console.log('🔐 SAML SSO: SAML assertion validation successful (placeholder)');
-                    
+                    console.log(`🔐 SAML SSO: Slack identity matches Entra ID account ${samlValidation.assertionData.userPrincipalName}`);
+
                     // Even with valid SAML, we might still require OAuth based on configuration
                     if (this.trustSamlAssertions) {
                         console.log('✅ SAML SSO: User authenticated via SAML - skipping OAuth');
@@ -153,7 +161,7 @@ class SamlAuthHandler {
                             canSkipOAuth: true,
                             reason: 'Valid SAML assertion and configured to trust SAML',
                             action: 'saml_authenticated',
-                            userInfo: userProfile
+                            userInfo: { ...userProfile, ...samlValidation.assertionData }
                         };
                     } else {
                         console.log('🔐 SAML SSO: Valid SAML but configured to require OAuth');
@@ -164,7 +172,7 @@ class SamlAuthHandler {
                         };
                     }
                 } else {
-                    console.log('❌ SAML SSO: SAML assertion validation failed');
+                    console.log(`❌ SAML SSO: SAML assertion validation failed: ${samlValidation.reason}`);
                     return {
                         canSkipOAuth: false,
                         reason: samlValidation.reason || 'SAML assertion validation failed',
@@ -181,8 +189,8 @@ class SamlAuthHandler {
             }
         } catch (error) {
             // Security: Log errors but don't expose details that might help attackers
-            console.error('❌ SAML SSO: Error during authentication check:', error.message);
-            
+            console.error('❌ SAML SSO: Error during authentication check:', error.data?.error || error.message);
+
             return {
                 canSkipOAuth: false,
                 reason: 'Error during SAML authentication check',
@@ -194,136 +202,184 @@ class SamlAuthHandler {
 
     /**
      * Get Slack user profile information
-     * 
-     * Retrieves user profile information from Slack, which may include SAML-related
-     * data if the user is authenticated via SAML SSO.
-     * 
-     * @param {string} slackUserId - The Slack user ID
-     * @returns {Promise<Object|null>} User profile information or null if not found
-     * 
-     * IMPLEMENTATION STATUS: PLACEHOLDER
-     * Currently returns null to maintain safe behavior. Future implementation
-     * would use the Slack API to retrieve actual user profile information.
+     *
+     * Uses users.info - with the Enterprise Grid token when one is configured (it
+     * sees the member's org-wide profile), otherwise with the workspace's bot token,
+     * which then needs the users:read.email scope. A user object the caller already
+     * fetched is reused when it includes the email address.
+     *
+     * @param {string} slackUserId - Raw Slack user ID (U123...)
+     * @param {WebClient} slackClient - Optional: client of the user's workspace
+     * @param {Object} slackUserInfo - Optional: the user object from users.info
+     * @returns {Promise<Object|null>} { slackUserId, teamId, enterpriseId, name, email,
+     *   deleted, isBot, isRestricted }, or null if there is no way to look the user up
      */
-    async getSlackUserProfile(slackUserId) {
+    async getSlackUserProfile(slackUserId, slackClient = null, slackUserInfo = null) {
         console.log(`🔍 SAML SSO: Getting Slack user profile for ${slackUserId}`);
-        
-        // PLACEHOLDER: Future implementation would call Slack API
-        // For now, return null to ensure OAuth flow is used
-        console.log('🔍 SAML SSO: User profile retrieval not yet implemented');
-        
-        // TODO: FUTURE IMPLEMENTATION
-        // const slackClient = new WebClient(this.enterpriseGridToken);
-        // const userInfo = await slackClient.users.info({ user: slackUserId });
-        // return userInfo.user;
-        
-        return null;
+
+        let user = slackUserInfo;
+        if (this.enterpriseGridClient || !user?.profile?.email) {
+            const client = this.enterpriseGridClient || slackClient;
+            if (!client) {
+                return null;
+            }
+            user = (await client.users.info({ user: slackUserId })).user;
+        }
+        if (!user) {
+            return null;
+        }
+
+        return {
+            slackUserId: user.id,
+            teamId: user.team_id || null,
+            enterpriseId: user.enterprise_user?.enterprise_id || null,
+            name: user.real_name || user.name,
+            email: user.profile?.email?.toLowerCase() || null,
+            deleted: !!user.deleted,
+            isBot: !!user.is_bot,
+            isRestricted: !!(user.is_restricted || user.is_ultra_restricted)
+        };
     }
 
     /**
      * Validate SAML assertion for a user
-     * 
-     * This method would validate the SAML assertion provided by Slack to ensure
-     * the user is legitimately authenticated via SAML with Microsoft Entra ID.
-     * 
-     * Validation Steps (Future Implementation):
-     * 1. Retrieve SAML assertion from Slack user session
-     * 2. Validate assertion signature against Entra ID certificate
-     * 3. Check assertion expiration and validity period
-     * 4. Verify issuer matches expected Entra ID tenant
-     * 5. Extract user identity and permissions
-     * 6. Validate user email domain against allowlist
-     * 
-     * @param {string} slackUserId - The Slack user ID
-     * @param {Object} userProfile - The user's Slack profile information
-     * @returns {Promise<Object>} Validation result with success/failure details
-     * 
-     * IMPLEMENTATION STATUS: SAFE PLACEHOLDER
-     * Currently always returns invalid to maintain OAuth requirement.
+     *
+     * Checks the Slack identity against the identity provider:
+     * 1. The Slack account is an active, full member (no bot, no guest)
+     * 2. It has an email address in an allowed domain
+     * 3. Exactly one Entra ID user has that email as mail or user principal name
+     * 4. That Entra ID account is enabled
+     *
+     * @param {string} slackUserId - Raw Slack user ID (U123...)
+     * @param {Object} userProfile - Profile from getSlackUserProfile()
+     * @returns {Promise<Object>} { isValid, reason, assertionData } - assertionData
+     *   is { email, entraUserId, userPrincipalName } when valid
      */
     async validateSamlAssertion(slackUserId, userProfile) {
         console.log(`🔍 SAML SSO: Validating SAML assertion for ${slackUserId}`);
-        
-        // PLACEHOLDER: Future implementation would perform actual SAML validation
-        console.log('🔍 SAML SSO: SAML assertion validation not yet implemented');
-        
-        // For safety, always return invalid until real implementation is complete
+
+        const invalid = (reason) => ({ isValid: false, reason, assertionData: null });
+
+        if (this.identityProvider !== 'entraid') {
+            return invalid(`Identity provider "${this.identityProvider}" is not supported`);
+        }
+        if (userProfile.deleted || userProfile.isBot) {
+            return invalid('Slack account is deactivated or a bot');
+        }
+        if (userProfile.isRestricted) {
+            return invalid('Guest accounts must sign in with OAuth');
+        }
+        if (!userProfile.email) {
+            return invalid('Slack profile has no email address (needs users:read.email or an Enterprise Grid token)');
+        }
+
+        const domain = userProfile.email.split('@').pop();
+        if (this.allowedEmailDomains.length && !this.allowedEmailDomains.includes(domain)) {
+            return invalid(`Email domain ${domain} is not allowed`);
+        }
+
+        const entraUsers = await this.findEntraUsers(userProfile.email);
+        if (entraUsers.length !== 1) {
+            return invalid(entraUsers.length ? 'Email matches several Entra ID accounts' : 'No Entra ID account with this email');
+        }
+
+        const [entraUser] = entraUsers;
+        if (!entraUser.accountEnabled) {
+            return invalid('Entra ID account is disabled');
+        }
+
         return {
-            isValid: false,
-            reason: 'SAML assertion validation not yet implemented',
-            assertionData: null
+            isValid: true,
+            reason: 'Slack email matches an enabled Entra ID account',
+            assertionData: {
+                email: userProfile.email,
+                entraUserId: entraUser.id,
+                userPrincipalName: entraUser.userPrincipalName
+            }
         };
-        
-        // TODO: FUTURE IMPLEMENTATION
-        // 1. Get SAML assertion from Slack Enterprise Grid API
-        // 2. Validate assertion signature
-        // 3. Check expiration and issuer
-        // 4. Verify user email domain
-        // 5. Return validation result
     }
 
     /**
-     * Generate authentication token for SAML-authenticated user
-     * 
-     * When a user is successfully authenticated via SAML, this method generates
-     * an authentication token that can be used for subsequent API calls without
-     * requiring the interactive OAuth flow.
-     * 
-     * @param {string} slackUserId - The Slack user ID
-     * @param {Object} samlData - The validated SAML assertion data
-     * @returns {Promise<string|null>} Authentication token or null if generation fails
-     * 
-     * IMPLEMENTATION STATUS: PLACEHOLDER
-     * Currently returns null to maintain OAuth requirement.
+     * Look up Entra ID users by email (Microsoft Graph, application permissions)
+     *
+     * @param {string} email - Lower-case email address
+     * @returns {Promise<Array>} Matching users: { id, userPrincipalName, mail, accountEnabled }
+     * @throws {Error} If there's no relay to get an app token from, or Graph fails
+     */
+    async findEntraUsers(email) {
+        if (!this.relay) {
+            throw new Error('SAML SSO needs the relay middleware for Microsoft Graph lookups');
+        }
+
+        const { accessToken } = await this.relay.msalInstance.acquireTokenByClientCredential({
+            scopes: [`${this.graphUrl}/.default`]
+        });
+
+        // OData string literals escape a quote by doubling it
+        const literal = `'${email.replace(/'/g, "''")}'`;
+        const filter = encodeURIComponent(`mail eq ${literal} or userPrincipalName eq ${literal}`);
+
+        const response = await fetch(`${this.graphUrl}/v1.0/users?$filter=${filter}&$select=id,userPrincipalName,mail,accountEnabled`, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            signal: AbortSignal.timeout(GRAPH_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Microsoft Graph user lookup failed with status ${response.status} (needs User.Read.All)`);
+        }
+
+        return (await response.json()).value || [];
+    }
+
+    /**
+     * Get a token for a SAML-authenticated user and store it
+     *
+     * Entra ID only issues delegated tokens to users who signed in interactively, so
+     * this reuses an earlier sign-in of the matched Entra ID account from MSAL's
+     * cache (see RelayMiddleware.signInWithCachedAccount).
+     *
+     * @param {string} userId - The relay's user ID (format: "slack_U1234567890")
+     * @param {Object} samlData - userInfo from canSkipOAuthForUser() ({ entraUserId, ... })
+     * @returns {Promise<string|null>} The stored access token, or null if the user has
+     *   to sign in with OAuth
      */
-    async generateSamlAuthToken(slackUserId, samlData) {
-        console.log(`🔐 SAML SSO: Generating auth token for ${slackUserId}`);
-        
-        // PLACEHOLDER: Future implementation would generate proper auth token
-        console.log('🔐 SAML SSO: Token generation not yet implemented');
-        
-        return null;
-        
-        // TODO: FUTURE IMPLEMENTATION
-        // 1. Create JWT or similar token with user identity
-        // 2. Include necessary claims for Copilot Studio authentication
-        // 3. Set appropriate expiration
-        // 4. Store token securely for cleanup
-        // 5. Return token for use
+    async generateSamlAuthToken(userId, samlData) {
+        console.log(`🔐 SAML SSO: Generating auth token for ${userId}`);
+
+        if (!this.relay || !samlData?.entraUserId) {
+            return null;
+        }
+
+        const accessToken = await this.relay.signInWithCachedAccount(userId, samlData.entraUserId);
+        if (!accessToken) {
+            console.log(`🔐 SAML SSO: ${samlData.userPrincipalName} hasn't signed in to this bot before - OAuth needed once`);
+        }
+        return accessToken;
     }
 
     /**
      * Log SAML authentication event for security auditing
-     * 
-     * Records SAML authentication events for security monitoring, compliance,
-     * and troubleshooting purposes.
-     * 
+     *
+     * Written to the relay's audit log (console, plus AUDIT_LOG_FILE when set) as a
+     * SAML_AUTH event.
+     *
      * @param {string} slackUserId - The Slack user ID
      * @param {string} action - The authentication action taken
      * @param {Object} details - Additional details about the authentication event
-     * 
-     * IMPLEMENTATION STATUS: BASIC LOGGING
-     * Currently provides console logging. Future implementation would integrate
-     * with enterprise security monitoring systems.
      */
     logAuthenticationEvent(slackUserId, action, details = {}) {
-        const timestamp = new Date().toISOString();
         const logEntry = {
-            timestamp,
-            slackUserId,
+            userId: slackUserId,
             action,
             samlEnabled: this.enabled,
             identityProvider: this.identityProvider,
             ...details
         };
-        
-        console.log('🔐 SAML SSO Auth Event:', JSON.stringify(logEntry));
-        
-        // TODO: FUTURE IMPLEMENTATION
-        // - Send to enterprise security monitoring system
-        // - Store in audit log database
-        // - Trigger alerts for suspicious activity
-        // - Integrate with SIEM systems
+
+        if (this.relay) {
+            this.relay.auditLog('SAML_AUTH', logEntry);
+        } else {
+            console.log('🔐 SAML SSO Auth Event:', JSON.stringify({ timestamp: new Date().toISOString(), ...logEntry }));
+        }
     }
 }
 
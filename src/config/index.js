@@ -56,9 +56,12 @@ dotenv.config();
 function validateConfig() {
     // Essential configuration for connecting to Microsoft Copilot Studio
     // These are like the "address and phone number" to reach the AI service
+    // With agent profiles (COPILOT_AGENTS) the single-agent settings become optional
     const requiredCopilot = [
-        'COPILOT_ENVIRONMENT_ID',    // Which Microsoft environment (like a server location)
-        'COPILOT_AGENT_IDENTIFIER',  // Which specific AI bot to connect to
+        ...(process.env.COPILOT_AGENTS ? [] : [
+            'COPILOT_ENVIRONMENT_ID',    // Which Microsoft environment (like a server location)
+            'COPILOT_AGENT_IDENTIFIER'   // Which specific AI bot to connect to
+        ]),
         'COPILOT_APP_CLIENT_ID',     // Your app's registration ID with Microsoft
         'COPILOT_CLIENT_SECRET',     // Your app's secret key (like a password)
         'COPILOT_TENANT_ID'          // Your organization's ID in Microsoft's system
@@ -66,10 +69,20 @@ function validateConfig() {
 
     // Required configuration for connecting to Slack
     // These are the "credentials" that let our bot talk to Slack
+    // (installed in several workspaces, each one gets its bot token from the install flow)
+    const multiWorkspace = !!(process.env.SLACK_CLIENT_ID || process.env.SLACK_CLIENT_SECRET);
     const requiredSlack = [
-        'SLACK_BOT_TOKEN',      // The bot's identity token (like an ID card)
+        ...(multiWorkspace ? [
+            'SLACK_CLIENT_ID',      // The app's OAuth client ID (for "Add to Slack")
+            'SLACK_CLIENT_SECRET',  // The app's OAuth client secret
+            'SLACK_STATE_SECRET'    // Signs the state of the install flow (CSRF protection)
+        ] : [
+            'SLACK_BOT_TOKEN'       // The bot's identity token (like an ID card)
+        ]),
         'SLACK_SIGNING_SECRET', // Used to verify messages really came from Slack (security)
-        'SLACK_APP_TOKEN'       // Socket Mode token for real-time connection
+        ...(process.env.SLACK_TRANSPORT === 'http' ? [] : [
+            'SLACK_APP_TOKEN'   // Socket Mode token for real-time connection
+        ])
     ];
 
     // Check which required variables are missing
@@ -100,6 +113,107 @@ function validateConfig() {
     console.log('✅ Copilot Studio environment variables are present');
 }
 
+/**
+ * Parse per-channel conversation modes
+ * 
+ * Format: comma-separated "channelId=mode" pairs, e.g. "C0123ABC=shared,C0456DEF=user".
+ * Entries with an unknown mode are ignored with a warning.
+ * 
+ * @param {string|undefined} value - Raw CHANNEL_CONVERSATION_MODES value
+ * @returns {Object} Map of channel ID -> 'user' | 'shared'
+ */
+function parseChannelModes(value) {
+    const modes = {};
+
+    for (const entry of (value || '').split(',')) {
+        const [channelId, mode] = entry.split('=').map(part => part?.trim());
+        if (!channelId) {
+            continue;
+        }
+        if (mode !== 'user' && mode !== 'shared') {
+            console.warn(`⚠️ Ignoring conversation mode "${mode}" for channel ${channelId} (expected user or shared)`);
+            continue;
+        }
+        modes[channelId] = mode;
+    }
+
+    return modes;
+}
+
+/**
+ * Parse the Copilot Studio agent profiles
+ * 
+ * COPILOT_AGENTS is a JSON array; each profile names an agent and says which
+ * messages go to it:
+ * 
+ *   [{ "name": "hr", "displayName": "HR Assistant", "agentIdentifier": "cr123_hr",
+ *      "description": "Leave, payroll and benefits",  (shown by /agent)
+ *      "environmentId": "...",            (optional, defaults to COPILOT_ENVIRONMENT_ID)
+ *      "channels": ["C0123ABC"],          (messages in these channels)
+ *      "userGroups": ["S0456DEF"],        (messages from members of these Slack user groups)
+ *      "prefixes": ["hr:"] }]             (messages starting with one of these)
+ * 
+ * The agent from COPILOT_ENVIRONMENT_ID / COPILOT_AGENT_IDENTIFIER is added as the
+ * profile "default" (unless a profile already has that name). A broken setting stops
+ * the application - silently sending HR questions to the wrong agent is worse.
+ * 
+ * @param {string|undefined} value - Raw COPILOT_AGENTS value
+ * @returns {Array} Agent profiles
+ */
+function parseAgentProfiles(value) {
+    let entries = [];
+    try {
+        entries = value ? JSON.parse(value) : [];
+        if (!Array.isArray(entries)) {
+            throw new Error('expected a JSON array of agent profiles');
+        }
+    } catch (error) {
+        console.error(`❌ COPILOT_AGENTS is not valid: ${error.message}`);
+        process.exit(1);
+    }
+
+    const list = (items) => (Array.isArray(items) ? items : [items]).filter(Boolean).map(String);
+    const profiles = entries.map(entry => ({
+        name: String(entry?.name || '').trim(),
+        displayName: entry?.displayName || entry?.name,
+        description: entry?.description || '',
+        environmentId: entry?.environmentId || process.env.COPILOT_ENVIRONMENT_ID,
+        agentIdentifier: entry?.agentIdentifier,
+        channels: list(entry?.channels),
+        userGroups: list(entry?.userGroups),
+        prefixes: list(entry?.prefixes).map(prefix => prefix.toLowerCase())
+    }));
+
+    if (process.env.COPILOT_AGENT_IDENTIFIER && !profiles.some(profile => profile.name === 'default')) {
+        profiles.unshift({
+            name: 'default',
+            displayName: 'Default agent',
+            description: '',
+            environmentId: process.env.COPILOT_ENVIRONMENT_ID,
+            agentIdentifier: process.env.COPILOT_AGENT_IDENTIFIER,
+            channels: [],
+            userGroups: [],
+            prefixes: []
+        });
+    }
+
+    const names = new Set();
+    for (const profile of profiles) {
+        const problem = !/^[a-z0-9_-]+$/i.test(profile.name) ? 'needs a name made of letters, digits, "-" or "_"'
+            : names.has(profile.name) ? 'is defined twice'
+            : !profile.agentIdentifier ? 'has no agentIdentifier'
+            : !profile.environmentId ? 'has no environmentId (and COPILOT_ENVIRONMENT_ID is not set)'
+            : null;
+        if (problem) {
+            console.error(`❌ Agent profile "${profile.name}" in COPILOT_AGENTS ${problem}`);
+            process.exit(1);
+        }
+        names.add(profile.name);
+    }
+
+    return profiles;
+}
+
 /**
  * Main Configuration Object
  * 
@@ -135,6 +249,15 @@ const config = {
         requireAuth: process.env.COPILOT_REQUIRE_AUTH !== 'false', // Whether users must log in (default: true for security)
     },
 
+    // Several Copilot Studio agents behind one bot (see parseAgentProfiles)
+    // Messages are routed by keyword prefix, channel or Slack user group; everything
+    // else goes to the default agent
+    agents: {
+        profiles: parseAgentProfiles(process.env.COPILOT_AGENTS),
+        defaultAgent: process.env.COPILOT_DEFAULT_AGENT || null,        // Profile name; defaults to "default", or the first profile
+        userGroupCacheMs: parseInt(process.env.AGENT_USER_GROUP_CACHE_MS || '600000', 10), // How long Slack user group members are cached (10 minutes)
+    },
+
     // OAuth/Authentication settings for Microsoft services
     // These control how users log in and what permissions they get
     oauth: {
@@ -149,7 +272,21 @@ const config = {
     slack: {
         botToken: process.env.SLACK_BOT_TOKEN,          // 🔒 SENSITIVE: Bot's identity token
         signingSecret: process.env.SLACK_SIGNING_SECRET, // 🔒 SENSITIVE: Used to verify Slack messages
-        appToken: process.env.SLACK_APP_TOKEN,          // 🔒 SENSITIVE: Socket Mode connection token
+        appToken: process.env.SLACK_APP_TOKEN,          // 🔒 SENSITIVE: Socket Mode connection token (socket transport only)
+
+        // How Slack reaches us: 'socket' (Socket Mode WebSocket, default) or 'http'
+        // (Events API requests to /slack/events on our web server, verified with the signing secret)
+        transport: process.env.SLACK_TRANSPORT === 'http' ? 'http' : 'socket',
+
+        // Several workspaces: "Add to Slack" install flow instead of SLACK_BOT_TOKEN
+        // (see src/storage/slack-installation-store.js)
+        clientId: process.env.SLACK_CLIENT_ID || null,
+        clientSecret: process.env.SLACK_CLIENT_SECRET || null,   // 🔒 SENSITIVE: OAuth client secret
+        stateSecret: process.env.SLACK_STATE_SECRET || null,     // 🔒 SENSITIVE: Signs the install flow's state
+        botScopes: (process.env.SLACK_BOT_SCOPES ||
+            'app_mentions:read,chat:write,commands,files:read,files:write,im:history,im:read,im:write,users:read')
+            .split(',').map(scope => scope.trim()).filter(Boolean), // Bot scopes requested on install
+        multiWorkspace: !!(process.env.SLACK_CLIENT_ID && process.env.SLACK_CLIENT_SECRET),
         // TODO: SECURITY IMPROVEMENT - Validate token formats
         // TODO: SECURITY IMPROVEMENT - Check token expiration
     },
@@ -178,25 +315,66 @@ const config = {
         // Required only for Enterprise Grid workspaces with SAML
         enterpriseGridToken: process.env.SLACK_ENTERPRISE_GRID_TOKEN || null,
         
-        // Path to SAML certificate for assertion validation (future enhancement)
+        // Path to SAML certificate for assertion validation (unused: Slack doesn't
+        // hand SAML assertions to apps - see auth/saml-handler.js)
         certificatePath: process.env.SAML_CERTIFICATE_PATH || null,
         
+        // Email domains whose users may skip OAuth, comma-separated (e.g. "contoso.com");
+        // empty allows any domain of the Entra ID tenant
+        allowedEmailDomains: (process.env.SAML_ALLOWED_EMAIL_DOMAINS || '')
+            .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+        
+        // Microsoft Graph endpoint for matching Slack emails to Entra ID users
+        // (change for national clouds, like MICROSOFT_LOGIN_AUTHORITY)
+        graphUrl: (process.env.MICROSOFT_GRAPH_URL || 'https://graph.microsoft.com').replace(/\/+$/, ''),
+        
         // SECURITY CONSIDERATIONS:
-        // ⚠️  CURRENT SECURITY CONCERNS:
-        // - SAML assertion validation not yet implemented
+        // - Only skip OAuth when the Slack workspace enforces SAML sign-in
         // - Enterprise Grid token has broad permissions
-        // - Certificate validation placeholder only
-        // - Email domain validation needed
-        // - Audit logging for SAML auth events missing
-        
-        // 🔒 PRODUCTION SECURITY IMPROVEMENTS NEEDED:
-        // - Implement proper SAML assertion signature validation
-        // - Add email domain allowlist validation
-        // - Implement audit logging for all SAML authentication events
-        // - Add rate limiting for SAML authentication attempts
-        // - Validate Enterprise Grid token scope limitations
-        // - Add certificate rotation and validation
-        // - Implement fallback to OAuth on SAML validation failure
+        // - Graph lookups need the User.Read.All application permission
+        // - Not covered: rate limiting of SAML checks
+    },
+
+    // Conversation mode for channel @mentions
+    // 'user'   -> every person gets their own conversation (default)
+    // 'shared' -> everyone in a thread started by an @mention shares one conversation
+    conversations: {
+        defaultChannelMode: process.env.DEFAULT_CHANNEL_CONVERSATION_MODE === 'shared' ? 'shared' : 'user',
+        channelModes: parseChannelModes(process.env.CHANNEL_CONVERSATION_MODES), // Per-channel overrides: channelId -> mode
+    },
+
+    // Files users share with the bot, relayed to Copilot Studio as attachments
+    files: {
+        maxSizeBytes: parseFloat(process.env.FILE_MAX_SIZE_MB || '10') * 1024 * 1024, // Larger files are rejected
+        allowedTypes: (process.env.FILE_ALLOWED_TYPES || 'application/pdf,image/*,text/csv,text/plain')
+            .split(',').map(type => type.trim()).filter(Boolean), // MIME types; "image/*" allows a whole family
+        inlineImageMaxBytes: parseFloat(process.env.INLINE_IMAGE_MAX_SIZE_MB || '2') * 1024 * 1024, // Agent images up to this size are shown inline, bigger ones uploaded
+    },
+
+    // Where conversation IDs are kept, so conversations survive restarts
+    // 'memory' (default), 'file', 'sqlite' or 'redis' - see src/storage/session-store.js
+    sessions: {
+        store: (process.env.SESSION_STORE || 'memory').toLowerCase(),
+        filePath: process.env.SESSION_FILE || './data/sessions.json',          // SESSION_STORE=file
+        sqlitePath: process.env.SESSION_SQLITE_PATH || './data/sessions.db',  // SESSION_STORE=sqlite
+        redisUrl: process.env.SESSION_REDIS_URL || 'redis://localhost:6379',  // SESSION_STORE=redis (may contain a password)
+        redisKey: process.env.SESSION_REDIS_KEY || 'slack-relay-bot:sessions', // Hash holding the sessions
+        agentChoiceFile: process.env.AGENT_CHOICE_FILE || './data/agent-choices.json',            // Agents picked with /agent (SESSION_STORE=file)
+        agentChoiceRedisKey: process.env.AGENT_CHOICE_REDIS_KEY || 'slack-relay-bot:agent-choices', // Same for SESSION_STORE=redis (sqlite uses a table)
+    },
+
+    // Where users' Microsoft tokens are kept - always encrypted (see src/storage/token-repository.js)
+    // 'memory' (default), 'file', 'sqlite' or 'redis'; anything but memory needs TOKEN_ENCRYPTION_KEY
+    tokens: {
+        store: (process.env.TOKEN_STORE || 'memory').toLowerCase(),
+        encryptionKey: process.env.TOKEN_ENCRYPTION_KEY || null,                // Secret the encryption key is derived from
+        previousEncryptionKeys: (process.env.TOKEN_PREVIOUS_ENCRYPTION_KEYS || '')
+            .split(',').map(key => key.trim()).filter(Boolean),                 // Old keys, still accepted during key rotation
+        filePath: process.env.TOKEN_FILE || './data/tokens.json',              // TOKEN_STORE=file
+        sqlitePath: process.env.TOKEN_SQLITE_PATH || './data/tokens.db',       // TOKEN_STORE=sqlite
+        redisUrl: process.env.TOKEN_REDIS_URL || process.env.SESSION_REDIS_URL || 'redis://localhost:6379', // TOKEN_STORE=redis
+        redisKey: process.env.TOKEN_REDIS_KEY || 'slack-relay-bot:tokens',     // Hash holding the tokens
+        refreshMarginMs: parseInt(process.env.TOKEN_REFRESH_MARGIN_MS || '300000', 10), // Refresh access tokens this long before they expire (5 minutes)
     },
 
     // Web server settings
@@ -220,8 +398,11 @@ const config = {
     app: {
         cleanupIntervalMs: parseInt(process.env.CLEANUP_INTERVAL_MS || '600000', 10), //10 * 60 * 1000, // How often to clean up old connections (5 minutes)
         connectionTimeoutMs: parseInt(process.env.CONNECTION_TIMEOUT_MS || '7200000', 10), //120 * 60 * 1000, // How long to keep inactive connections (30 minutes)
-        messageTimeoutMs: 30 * 1000, // How long to wait for AI responses (30 seconds)
+        messageTimeoutMs: parseInt(process.env.MESSAGE_TIMEOUT_MS || '30000', 10), // How long to wait for AI responses before offering a retry (30 seconds)
+        streamingUpdateIntervalMs: parseInt(process.env.STREAMING_UPDATE_INTERVAL_MS || '1000', 10), // Minimum time between progressive "Thinking..." edits (Slack rate limit)
+        replyOverflowMode: process.env.REPLY_OVERFLOW_MODE === 'show_more' ? 'show_more' : 'messages', // Long replies: 'messages' (post all parts) or 'show_more' (button reveals the next part)
         authPopupCloseDelay: parseInt(process.env.AUTH_POPUP_CLOSE_DELAY || '3000', 10), // How long before closing auth popup (3 seconds)
+        auditLogFile: process.env.AUDIT_LOG_FILE || null, // Optional: file that audit events (e.g. consent decisions) are appended to
         // TODO: SECURITY IMPROVEMENT - Add rate limiting configuration
         // TODO: SECURITY IMPROVEMENT - Add maximum message length limits
         // TODO: SECURITY IMPROVEMENT - Add user session timeout configuration
@@ -259,6 +440,18 @@ function logConfig() {
     console.log(`    Tenant ID: ${config.copilotStudio.tenantId}`);
     console.log(`    Require Auth: ${config.copilotStudio.requireAuth}`);
     
+    // Show agent profiles and how messages reach them
+    console.log('  Agents:');
+    config.agents.profiles.forEach(profile => {
+        const rules = [
+            profile.prefixes.length && `prefixes ${profile.prefixes.join(', ')}`,
+            profile.channels.length && `${profile.channels.length} channel(s)`,
+            profile.userGroups.length && `${profile.userGroups.length} user group(s)`
+        ].filter(Boolean);
+        console.log(`    ${profile.name}: ${profile.agentIdentifier} (${rules.join('; ') || 'no routing rules'})`);
+    });
+    console.log(`    Default Agent: ${config.agents.defaultAgent}`);
+    
     // Show OAuth settings (URLs are generally not sensitive)
     console.log('  OAuth:');
     console.log(`    Scope: ${config.oauth.scope}`);
@@ -268,7 +461,53 @@ function logConfig() {
     console.log('  Slack:');
     console.log(`    Bot Token: ${config.slack.botToken ? '🔒 Set' : '❌ Not set'}`);
     console.log(`    Signing Secret: ${config.slack.signingSecret ? '🔒 Set' : '❌ Not set'}`);
-    console.log(`    App Token: ${config.slack.appToken ? '🔒 Set' : '❌ Not set'}`);
+    console.log(`    Transport: ${config.slack.transport === 'http' ? `HTTP (${config.server.baseUrl}/slack/events)` : 'Socket Mode'}`);
+    if (config.slack.transport === 'socket') {
+        console.log(`    App Token: ${config.slack.appToken ? '🔒 Set' : '❌ Not set'}`);
+    }
+    console.log(`    Workspaces: ${config.slack.multiWorkspace ? `several (install at ${config.server.baseUrl}/slack/install)` : 'one (SLACK_BOT_TOKEN)'}`);
+    if (config.slack.multiWorkspace) {
+        console.log(`    Client Secret: ${config.slack.clientSecret ? '🔒 Set' : '❌ Not set'}`);
+        console.log(`    State Secret: ${config.slack.stateSecret ? '🔒 Set' : '❌ Not set'}`);
+        console.log(`    Bot Scopes: ${config.slack.botScopes.join(', ')}`);
+    }
+    
+    // Show conversation mode settings
+    console.log('  Conversations:');
+    console.log(`    Default Channel Mode: ${config.conversations.defaultChannelMode}`);
+    console.log(`    Channel Overrides: ${Object.keys(config.conversations.channelModes).length}`);
+    
+    // Show file relay settings
+    console.log('  Files:');
+    console.log(`    Max Size: ${config.files.maxSizeBytes / (1024 * 1024)} MB`);
+    console.log(`    Allowed Types: ${config.files.allowedTypes.join(', ')}`);
+    console.log(`    Inline Image Max Size: ${config.files.inlineImageMaxBytes / (1024 * 1024)} MB`);
+    
+    // Show session store settings (never show the Redis password)
+    console.log('  Sessions:');
+    console.log(`    Store: ${config.sessions.store}`);
+    if (config.sessions.store === 'file') {
+        console.log(`    File: ${config.sessions.filePath}`);
+        console.log(`    Agent Choices File: ${config.sessions.agentChoiceFile}`);
+    } else if (config.sessions.store === 'sqlite') {
+        console.log(`    Database: ${config.sessions.sqlitePath}`);
+    } else if (config.sessions.store === 'redis') {
+        console.log(`    Redis: ${config.sessions.redisUrl.replace(/\/\/[^@/]*@/, '//🔒@')} (keys: ${config.sessions.redisKey}, ${config.sessions.agentChoiceRedisKey})`);
+    }
+    
+    // Show token store settings (never show the keys)
+    console.log('  User Tokens:');
+    console.log(`    Store: ${config.tokens.store}`);
+    console.log(`    Encryption Key: ${config.tokens.encryptionKey ? '🔒 Set' : '⚠️ Not set (random key, tokens lost on restart)'}`);
+    console.log(`    Previous Keys: ${config.tokens.previousEncryptionKeys.length}`);
+    console.log(`    Refresh Margin: ${config.tokens.refreshMarginMs}ms`);
+    if (config.tokens.store === 'file') {
+        console.log(`    File: ${config.tokens.filePath}`);
+    } else if (config.tokens.store === 'sqlite') {
+        console.log(`    Database: ${config.tokens.sqlitePath}`);
+    } else if (config.tokens.store === 'redis') {
+        console.log(`    Redis: ${config.tokens.redisUrl.replace(/\/\/[^@/]*@/, '//🔒@')} (key: ${config.tokens.redisKey})`);
+    }
     
     // Show server settings (generally safe to show)
     console.log('  Server:');
@@ -282,6 +521,10 @@ function logConfig() {
     console.log(`    Cleanup Interval: ${config.app.cleanupIntervalMs}ms (${config.app.cleanupIntervalMs / (60 * 1000)} minutes)`);
     console.log(`    Connection Timeout: ${config.app.connectionTimeoutMs}ms (${config.app.connectionTimeoutMs / (60 * 1000)} minutes)`);
     console.log(`    Auth Popup Close Delay: ${config.app.authPopupCloseDelay}ms`);
+    console.log(`    Message Timeout: ${config.app.messageTimeoutMs}ms`);
+    console.log(`    Streaming Update Interval: ${config.app.streamingUpdateIntervalMs}ms`);
+    console.log(`    Long Reply Mode: ${config.app.replyOverflowMode}`);
+    console.log(`    Audit Log File: ${config.app.auditLogFile || 'Not configured (console only)'}`);
     
     // Show SAML SSO settings (when enabled)
     if (config.saml.enabled) {
@@ -291,7 +534,8 @@ function logConfig() {
         console.log(`    Trust SAML Assertions: ${config.saml.trustSlackSamlAssertions}`);
         console.log(`    Require Explicit OAuth: ${config.saml.requireExplicitOAuth}`);
         console.log(`    Enterprise Grid Token: ${config.saml.enterpriseGridToken ? '🔒 Set' : '❌ Not set'}`);
-        console.log(`    Certificate Path: ${config.saml.certificatePath || 'Not configured'}`);
+        console.log(`    Allowed Email Domains: ${config.saml.allowedEmailDomains.join(', ') || 'Any'}`);
+        console.log(`    Microsoft Graph: ${config.saml.graphUrl}`);
         
         // SAML security warnings
         if (config.saml.trustSlackSamlAssertions && !config.saml.requireExplicitOAuth) {
@@ -314,6 +558,18 @@ function logConfig() {
 // problems early rather than discovering them when a user tries to use the bot
 validateConfig();
 
+// The default agent must be one of the profiles
+if (!config.agents.defaultAgent) {
+    config.agents.defaultAgent = config.agents.profiles[0]?.name;
+} else if (!config.agents.profiles.some(profile => profile.name === config.agents.defaultAgent)) {
+    console.error(`❌ COPILOT_DEFAULT_AGENT "${config.agents.defaultAgent}" is not one of the agent profiles`);
+    process.exit(1);
+}
+if (!config.agents.profiles.length) {
+    console.error('❌ No Copilot Studio agent configured (set COPILOT_AGENT_IDENTIFIER or COPILOT_AGENTS)');
+    process.exit(1);
+}
+
 // Export the configuration object and logging function for use by other parts of the application
 // Think of this like making the "control panel" available to other components
 export { config as default, logConfig };
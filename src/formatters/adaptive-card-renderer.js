@@ -0,0 +1,617 @@
+/**
+ * Adaptive Card Renderer - Translates Copilot Studio cards into Slack Block Kit
+ *
+ * Copilot Studio topics often answer with an Adaptive Card instead of plain text
+ * (think "here is your ticket" with a fact list and an "Open in ServiceNow" button).
+ * Slack can't display Adaptive Cards, so this module maps each card element onto
+ * the closest Block Kit block:
+ *
+ *   Adaptive Card                Slack Block Kit
+ *   ─────────────────────────    ─────────────────────────────────────
+ *   TextBlock                    section (mrkdwn) / header for large titles
+ *   FactSet                      section with fields
+ *   ColumnSet / Column           columns flattened, short text as fields
+ *   Image                        image
+ *   Container                    its items, rendered in order
+ *   Action.OpenUrl               button with url
+ *   ActionSet / card.actions     actions block
+ *   Action.Submit                button that opens a modal with the card's inputs
+ *   Input.*                      modal input (text, number, date, time, select, ...)
+ *   activity.suggestedActions    actions block of quick-reply buttons
+ *
+ * Anything we can't map (unknown elements, ShowCard actions, ...) is rendered as a
+ * readable text version instead of being dropped, so the user always sees the content.
+ *
+ * Every rendered card also produces a plain-text version that is used for Slack
+ * notifications and clients that can't show blocks.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - Card text is escaped for Slack (&, <, >) so agent output can't inject mentions
+ *   like <!channel> or fake links
+ * - Only http(s) URLs are turned into buttons and images
+ */
+
+import MarkdownConverter from './markdown-converter.js';
+import { escapeMrkdwn, truncateMrkdwn } from './slack-text.js';
+
+// Adaptive Card inputs we can turn into Slack modal inputs
+const INPUT_TYPES = ['Input.Text', 'Input.Number', 'Input.Date', 'Input.Time', 'Input.Toggle', 'Input.ChoiceSet'];
+
+// Slack Block Kit limits (see api.slack.com/reference/block-kit)
+const SLACK_LIMITS = {
+    blocks: 50,             // Blocks per message (or modal)
+    sectionText: 3000,      // Characters in a section's text
+    headerText: 150,        // Characters in a header block
+    fields: 10,             // Fields per section
+    fieldText: 2000,        // Characters per field
+    actions: 25,            // Elements per actions block
+    buttonText: 75,         // Characters in a button label
+    altText: 2000           // Characters in an image's alt text
+};
+
+class AdaptiveCardRenderer {
+    constructor() {
+        // TextBlocks (and plain agent text between cards) are Markdown
+        this.markdown = new MarkdownConverter();
+    }
+
+    /**
+     * Render an Adaptive Card as Slack blocks
+     *
+     * Cards that collect input (Input.* elements + Action.Submit) need a formId:
+     * submit buttons carry it in their value so the click can be routed back to the
+     * right conversation. Without a formId, submit actions are shown as text only.
+     *
+     * @param {Object} card - Adaptive Card JSON (the attachment's "content")
+     * @param {Object} options
+     * @param {string} [options.formId] - ID the caller registered this card's form under
+     * @returns {Object} { blocks, text, inputs, submitActions } - Block Kit blocks, a plain-text
+     *   fallback, and the card's Input.* elements and Action.Submit actions (for building the form).
+     *   Big cards can render to more blocks than one message holds; ReplyChunker spreads
+     *   them over several messages.
+     */
+    render(card, { formId } = {}) {
+        const out = { blocks: [], textLines: [], inputs: [], submitActions: [], formId };
+
+        for (const element of card?.body || []) {
+            this.renderElement(element, out);
+        }
+
+        if (card?.actions?.length) {
+            this.renderActions(card.actions, out);
+        }
+
+        // Without a submit action there's nothing to fill the inputs in for -
+        // show them as text so the content isn't lost
+        if (out.inputs.length && !out.submitActions.length) {
+            out.inputs.forEach(input => this.renderFallback(input, out));
+            out.inputs = [];
+        }
+
+        // The inputs themselves are filled in a modal - list what the form asks for
+        // and put it before the submit buttons
+        if (out.inputs.length && out.submitActions.length) {
+            const fieldNames = out.inputs.map(input => this.getInputLabel(input)).join(', ');
+            const summary = { type: 'context', elements: [{ type: 'mrkdwn', text: this.truncate(`📝 This form asks for: ${escapeMrkdwn(fieldNames)}`, SLACK_LIMITS.sectionText) }] };
+            const firstActions = out.blocks.findIndex(block => block.type === 'actions' && block.elements.some(el => el.action_id?.startsWith('adaptive_card_submit_')));
+            out.blocks.splice(firstActions === -1 ? out.blocks.length : firstActions, 0, summary);
+            out.textLines.push(`Form fields: ${fieldNames}`);
+        }
+
+        return {
+            blocks: out.blocks,
+            text: out.textLines.join('\n').trim(),
+            inputs: out.inputs,
+            submitActions: out.submitActions
+        };
+    }
+
+    /**
+     * Render a plain agent text reply as blocks
+     *
+     * Used for every text part of a reply, so text keeps its position between
+     * rendered cards. Markdown headings, lists, tables and code are converted
+     * (see MarkdownConverter).
+     *
+     * @param {string} text - Agent message text (Markdown)
+     * @returns {Array} Slack blocks
+     */
+    renderText(text) {
+        return this.markdown.toBlocks(text);
+    }
+
+    /**
+     * Render one card element, appending to blocks and the text fallback
+     *
+     * Elements hidden with isVisible: false are skipped, as a card host would.
+     *
+     * @param {Object} element - Adaptive Card element
+     * @param {Object} out - Render state: blocks, textLines, inputs, submitActions, formId
+     */
+    renderElement(element, out) {
+        if (!element || element.isVisible === false) {
+            return;
+        }
+
+        if (element.type?.startsWith('Input.')) {
+            // Inputs are collected for the form modal rather than drawn in the message
+            if (element.id && INPUT_TYPES.includes(element.type)) {
+                out.inputs.push(element);
+            } else {
+                this.renderFallback(element, out);
+            }
+            return;
+        }
+
+        switch (element.type) {
+            case 'TextBlock':
+                this.renderTextBlock(element, out);
+                break;
+            case 'FactSet':
+                this.renderFactSet(element, out);
+                break;
+            case 'ColumnSet':
+                this.renderColumnSet(element, out);
+                break;
+            case 'Column':
+            case 'Container':
+                for (const item of element.items || []) {
+                    this.renderElement(item, out);
+                }
+                break;
+            case 'Image':
+                this.renderImage(element, out);
+                break;
+            case 'ActionSet':
+                this.renderActions(element.actions || [], out);
+                break;
+            default:
+                this.renderFallback(element, out);
+        }
+    }
+
+    /**
+     * TextBlock -> header (large, bold titles) or mrkdwn section
+     */
+    renderTextBlock(element, out) {
+        if (!element.text) {
+            return;
+        }
+
+        out.textLines.push(element.text);
+
+        const isTitle = ['large', 'extraLarge'].includes(element.size) && element.weight === 'bolder';
+        if (isTitle && element.text.length <= SLACK_LIMITS.headerText && !element.text.includes('\n')) {
+            out.blocks.push({
+                type: 'header',
+                text: { type: 'plain_text', text: element.text, emoji: true }
+            });
+            return;
+        }
+
+        let text = this.toMrkdwn(element.text);
+        if (element.weight === 'bolder' && !text.includes('\n')) {
+            text = `*${text}*`;
+        }
+        if (element.isSubtle) {
+            out.blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: this.truncate(text, SLACK_LIMITS.sectionText) }] });
+            return;
+        }
+
+        this.pushSection(out.blocks, text);
+    }
+
+    /**
+     * FactSet -> section fields ("*Title*\nValue"), 10 fields per section
+     */
+    renderFactSet(element, out) {
+        const facts = (element.facts || []).filter(fact => fact.title || fact.value);
+        if (!facts.length) {
+            return;
+        }
+
+        const fields = facts.map(fact => ({
+            type: 'mrkdwn',
+            text: this.truncate(`*${escapeMrkdwn(fact.title || '')}*\n${this.toMrkdwn(fact.value || '')}`, SLACK_LIMITS.fieldText)
+        }));
+
+        for (let i = 0; i < fields.length; i += SLACK_LIMITS.fields) {
+            out.blocks.push({ type: 'section', fields: fields.slice(i, i + SLACK_LIMITS.fields) });
+        }
+
+        facts.forEach(fact => out.textLines.push(`${fact.title}: ${fact.value}`));
+    }
+
+    /**
+     * ColumnSet -> side-by-side fields when every column is short text,
+     * otherwise each column's items one after another
+     *
+     * Slack has no real column layout; fields are the only side-by-side element.
+     */
+    renderColumnSet(element, out) {
+        const columns = (element.columns || []).filter(column => column.isVisible !== false);
+        const textOnly = columns.length > 1 &&
+            columns.length <= SLACK_LIMITS.fields &&
+            columns.every(column => (column.items || []).every(item => item.type === 'TextBlock'));
+
+        if (!textOnly) {
+            for (const column of columns) {
+                this.renderElement({ ...column, type: 'Column' }, out);
+            }
+            return;
+        }
+
+        const columnTexts = columns.map(column => (column.items || [])
+            .filter(item => item.text && item.isVisible !== false)
+            .map(item => item.weight === 'bolder' ? `*${this.toMrkdwn(item.text)}*` : this.toMrkdwn(item.text))
+            .join('\n'));
+
+        const fields = columnTexts
+            .filter(text => text.trim())
+            .map(text => ({ type: 'mrkdwn', text: this.truncate(text, SLACK_LIMITS.fieldText) }));
+
+        if (fields.length) {
+            out.blocks.push({ type: 'section', fields });
+        }
+
+        columns.forEach(column => (column.items || []).forEach(item => item.text && out.textLines.push(item.text)));
+    }
+
+    /**
+     * Image -> image block (http(s) URLs only)
+     */
+    renderImage(element, out) {
+        const altText = element.altText || 'Image';
+
+        if (!this.isHttpUrl(element.url)) {
+            // data: URIs and other schemes can't be displayed by Slack
+            this.pushSection(out.blocks, `_${escapeMrkdwn(altText)}_`);
+            out.textLines.push(`[${altText}]`);
+            return;
+        }
+
+        out.blocks.push({
+            type: 'image',
+            image_url: element.url,
+            alt_text: this.truncate(altText, SLACK_LIMITS.altText)
+        });
+        out.textLines.push(`[${altText}] ${element.url}`);
+    }
+
+    /**
+     * Actions -> one actions block with a button per supported action
+     *
+     * Action.OpenUrl becomes a link button. Action.Submit becomes a button whose
+     * value is "<formId>:<submit index>" (only when the caller registered a form).
+     * Other action types are listed as text so the user at least knows what the
+     * card offered.
+     */
+    renderActions(actions, out) {
+        const buttons = [];
+
+        actions.forEach((action, index) => {
+            if (action.isVisible === false) {
+                return;
+            }
+
+            if (action.type === 'Action.OpenUrl' && this.isHttpUrl(action.url)) {
+                buttons.push({
+                    type: 'button',
+                    text: { type: 'plain_text', text: this.truncate(action.title || action.url, SLACK_LIMITS.buttonText), emoji: true },
+                    url: action.url,
+                    action_id: `adaptive_card_open_url_${index}`,
+                    ...(action.style === 'positive' ? { style: 'primary' } : {}),
+                    ...(action.style === 'destructive' ? { style: 'danger' } : {})
+                });
+                out.textLines.push(`${action.title || 'Link'}: ${action.url}`);
+                return;
+            }
+
+            if (action.type === 'Action.Submit' && out.formId) {
+                const submitIndex = out.submitActions.push(action) - 1;
+                buttons.push({
+                    type: 'button',
+                    text: { type: 'plain_text', text: this.truncate(action.title || 'Submit', SLACK_LIMITS.buttonText), emoji: true },
+                    value: `${out.formId}:${submitIndex}`,
+                    action_id: `adaptive_card_submit_${submitIndex}`,
+                    ...(action.style === 'destructive' ? { style: 'danger' } : { style: 'primary' })
+                });
+                out.textLines.push(`[${action.title || 'Submit'}]`);
+                return;
+            }
+
+            this.renderFallback(action, out);
+        });
+
+        for (let i = 0; i < buttons.length; i += SLACK_LIMITS.actions) {
+            out.blocks.push({ type: 'actions', elements: buttons.slice(i, i + SLACK_LIMITS.actions) });
+        }
+    }
+
+    /**
+     * Render an activity's suggested actions (quick replies) as a row of buttons
+     *
+     * Suggested actions belong to the activity rather than to a card, but they're
+     * drawn like card buttons. The row has its own block_id so it can be taken out
+     * of the message once one of the buttons has been used.
+     *
+     * imBack, messageBack and postBack become buttons that send their value back;
+     * openUrl (and showImage/downloadFile) become link buttons. Other types
+     * (call, signin, ...) have no Slack equivalent and are skipped.
+     *
+     * @param {Array} actions - suggestedActions.actions of an activity
+     * @param {string} suggestionId - ID carried by the buttons to find the actions again
+     * @returns {Object|null} Actions block, or null if none of the actions can be shown
+     */
+    renderSuggestedActions(actions, suggestionId) {
+        const buttons = [];
+
+        actions.slice(0, SLACK_LIMITS.actions).forEach((action, index) => {
+            const title = this.truncate(action.title || action.displayText || String(action.value ?? ''), SLACK_LIMITS.buttonText);
+
+            if (['openUrl', 'showImage', 'downloadFile'].includes(action.type) && this.isHttpUrl(action.value)) {
+                buttons.push({
+                    type: 'button',
+                    text: { type: 'plain_text', text: title || action.value, emoji: true },
+                    url: action.value,
+                    action_id: `suggested_action_open_url_${index}`
+                });
+            } else if (['imBack', 'messageBack', 'postBack'].includes(action.type) && title) {
+                buttons.push({
+                    type: 'button',
+                    text: { type: 'plain_text', text: title, emoji: true },
+                    value: `${suggestionId}:${index}`,
+                    action_id: `suggested_action_${index}`
+                });
+            }
+        });
+
+        return buttons.length
+            ? { type: 'actions', block_id: `suggested_actions_${suggestionId}`, elements: buttons }
+            : null;
+    }
+
+    /**
+     * Build the modal a user fills in to submit a card's form
+     *
+     * Each Input.* element becomes an input block whose block_id is the input's id,
+     * so parseFormValues can map the submission back to Adaptive Card input ids.
+     *
+     * @param {Object} form - { inputs, submitActions } as returned by render()
+     * @param {number} submitIndex - Which Action.Submit the user clicked
+     * @param {string} privateMetadata - Opaque string echoed back on view_submission
+     * @param {string} title - Modal title (max 24 characters)
+     * @returns {Object} Slack modal view
+     */
+    buildFormModal(form, submitIndex, privateMetadata, title = 'Copilot form') {
+        const action = form.submitActions[submitIndex] || {};
+
+        return {
+            type: 'modal',
+            callback_id: 'adaptive_card_form',
+            private_metadata: privateMetadata,
+            title: { type: 'plain_text', text: this.truncate(title, 24) },
+            submit: { type: 'plain_text', text: this.truncate(action.title || 'Submit', 24) },
+            close: { type: 'plain_text', text: 'Cancel' },
+            blocks: form.inputs.slice(0, SLACK_LIMITS.blocks).map(input => ({
+                type: 'input',
+                block_id: input.id,
+                optional: !input.isRequired,
+                label: { type: 'plain_text', text: this.truncate(this.getInputLabel(input), 2000) },
+                element: this.buildInputElement(input)
+            }))
+        };
+    }
+
+    /**
+     * Map one Adaptive Card input onto a Block Kit input element
+     */
+    buildInputElement(input) {
+        const placeholder = input.placeholder
+            ? { placeholder: { type: 'plain_text', text: this.truncate(input.placeholder, 150) } }
+            : {};
+        const hasValue = input.value !== undefined && input.value !== null && input.value !== '';
+
+        switch (input.type) {
+            case 'Input.Number':
+                return {
+                    type: 'number_input',
+                    action_id: 'value',
+                    is_decimal_allowed: true,
+                    ...(hasValue ? { initial_value: String(input.value) } : {}),
+                    ...(input.min !== undefined ? { min_value: String(input.min) } : {}),
+                    ...(input.max !== undefined ? { max_value: String(input.max) } : {}),
+                    ...placeholder
+                };
+            case 'Input.Date':
+                return {
+                    type: 'datepicker',
+                    action_id: 'value',
+                    ...(hasValue ? { initial_date: String(input.value) } : {}),
+                    ...placeholder
+                };
+            case 'Input.Time':
+                return {
+                    type: 'timepicker',
+                    action_id: 'value',
+                    ...(hasValue ? { initial_time: String(input.value) } : {}),
+                    ...placeholder
+                };
+            case 'Input.Toggle': {
+                const option = { text: { type: 'plain_text', text: this.truncate(input.title || 'Yes', 75) }, value: 'on' };
+                const isOn = String(input.value) === String(input.valueOn ?? 'true');
+                return {
+                    type: 'checkboxes',
+                    action_id: 'value',
+                    options: [option],
+                    ...(isOn ? { initial_options: [option] } : {})
+                };
+            }
+            case 'Input.ChoiceSet': {
+                const options = (input.choices || []).slice(0, 100).map(choice => ({
+                    text: { type: 'plain_text', text: this.truncate(choice.title || choice.value, 75) },
+                    value: String(choice.value).slice(0, 150)
+                }));
+                const selected = hasValue ? String(input.value).split(',') : [];
+                const initial = options.filter(option => selected.includes(option.value));
+                const expanded = input.style === 'expanded' && options.length <= 10;
+                const type = input.isMultiSelect
+                    ? (expanded ? 'checkboxes' : 'multi_static_select')
+                    : (expanded ? 'radio_buttons' : 'static_select');
+
+                const element = { type, action_id: 'value', options };
+                if (initial.length) {
+                    Object.assign(element, input.isMultiSelect ? { initial_options: initial } : { initial_option: initial[0] });
+                }
+                if (!expanded) {
+                    Object.assign(element, placeholder);
+                }
+                return element;
+            }
+            default:  // Input.Text
+                return {
+                    type: 'plain_text_input',
+                    action_id: 'value',
+                    multiline: !!input.isMultiline,
+                    ...(hasValue ? { initial_value: String(input.value) } : {}),
+                    ...(input.maxLength ? { max_length: input.maxLength } : {}),
+                    ...placeholder
+                };
+        }
+    }
+
+    /**
+     * Turn a modal's state.values back into Adaptive Card input values
+     *
+     * Values follow Adaptive Card conventions: strings for everything, multi-select
+     * choices comma-separated, toggles as their valueOn/valueOff.
+     *
+     * @param {Array} inputs - The form's Input.* elements
+     * @param {Object} stateValues - view.state.values from the view_submission payload
+     * @returns {Object} { values, errors } - input id -> value, and block_id -> error message
+     */
+    parseFormValues(inputs, stateValues = {}) {
+        const values = {};
+        const errors = {};
+
+        for (const input of inputs) {
+            const state = stateValues[input.id]?.value || {};
+            let value;
+
+            switch (input.type) {
+                case 'Input.Date':
+                    value = state.selected_date;
+                    break;
+                case 'Input.Time':
+                    value = state.selected_time;
+                    break;
+                case 'Input.Toggle':
+                    value = state.selected_options?.length
+                        ? String(input.valueOn ?? 'true')
+                        : String(input.valueOff ?? 'false');
+                    break;
+                case 'Input.ChoiceSet':
+                    value = input.isMultiSelect
+                        ? (state.selected_options || []).map(option => option.value).join(',')
+                        : state.selected_option?.value;
+                    break;
+                default:  // Input.Text, Input.Number
+                    value = state.value;
+            }
+
+            if (value === undefined || value === null) {
+                value = '';
+            }
+
+            // Slack enforces required fields and number ranges; regex is ours to check
+            if (input.type === 'Input.Text' && input.regex && value) {
+                try {
+                    if (!new RegExp(`^(?:${input.regex})$`).test(value)) {
+                        errors[input.id] = input.errorMessage || 'Please enter a valid value';
+                    }
+                } catch (regexError) {
+                    console.warn(`⚠️ Adaptive Card: ignoring invalid regex on input ${input.id}: ${regexError.message}`);
+                }
+            }
+
+            values[input.id] = value;
+        }
+
+        return { values, errors };
+    }
+
+    getInputLabel(input) {
+        return input.label || input.placeholder || input.title || input.id;
+    }
+
+    /**
+     * Anything we can't map -> a readable text version of its content
+     */
+    renderFallback(element, out) {
+        const text = this.extractText(element).join('\n').trim();
+        if (!text) {
+            console.warn(`⚠️ Adaptive Card: skipping unsupported element without text (${element.type})`);
+            return;
+        }
+
+        console.warn(`⚠️ Adaptive Card: rendering unsupported element ${element.type} as text`);
+        this.pushSection(out.blocks, this.toMrkdwn(text));
+        out.textLines.push(text);
+    }
+
+    /**
+     * Collect all human-readable text inside an element, depth-first
+     *
+     * @param {*} node - Any card element, action or value
+     * @returns {Array<string>} Text fragments in reading order
+     */
+    extractText(node) {
+        if (!node || typeof node !== 'object') {
+            return [];
+        }
+        if (Array.isArray(node)) {
+            return node.flatMap(child => this.extractText(child));
+        }
+
+        const fragments = [];
+        for (const key of ['title', 'text', 'label', 'placeholder']) {
+            if (typeof node[key] === 'string' && node[key].trim()) {
+                fragments.push(node[key]);
+            }
+        }
+        if (node.type === 'Fact' || (node.title && node.value)) {
+            fragments.push(String(node.value));
+        }
+        for (const key of ['body', 'items', 'columns', 'facts', 'inlines', 'actions', 'card', 'choices']) {
+            fragments.push(...this.extractText(node[key]));
+        }
+        return fragments;
+    }
+
+    /**
+     * Add a mrkdwn section, splitting text that is over Slack's section limit
+     * (between paragraphs or words, never inside a link - see MarkdownConverter.split)
+     */
+    pushSection(blocks, text) {
+        this.markdown.pushSection(blocks, text);
+    }
+
+    /**
+     * Convert the markdown Adaptive Cards support (bold, italic, lists, links)
+     * into Slack mrkdwn, escaping Slack's control characters
+     */
+    toMrkdwn(text) {
+        return this.markdown.toMrkdwn(text);
+    }
+
+    // Cuts never split a link or an escaped character (most of this is mrkdwn)
+    truncate(text, maxLength) {
+        return truncateMrkdwn(text, maxLength);
+    }
+
+    isHttpUrl(url) {
+        return typeof url === 'string' && /^https?:\/\//i.test(url);
+    }
+}
+
+export default AdaptiveCardRenderer;
@@ -0,0 +1,85 @@
+/**
+ * AdaptiveCardRenderer - Adaptive Cards to Slack Block Kit (run with "npm test")
+ */
+
+import { test, mock, before } from 'node:test';
+import assert from 'node:assert/strict';
+import AdaptiveCardRenderer from './adaptive-card-renderer.js';
+
+const renderer = new AdaptiveCardRenderer();
+
+let warnings;
+
+before(() => {
+    warnings = mock.method(console, 'warn', () => {});
+});
+
+test('maps TextBlock, FactSet and ActionSet onto Block Kit', () => {
+    const card = {
+        body: [
+            { type: 'TextBlock', text: 'Ticket INC0042', size: 'large', weight: 'bolder' },
+            { type: 'TextBlock', text: 'Your **laptop** request <is> in progress' },
+            { type: 'FactSet', facts: [{ title: 'Status', value: 'Open' }, { title: 'Owner', value: 'IT & Facilities' }] },
+            { type: 'ActionSet', actions: [
+                { type: 'Action.OpenUrl', title: 'Open ticket', url: 'https://example.com/INC0042' },
+                { type: 'Action.Submit', title: 'Close it', data: { close: true } }
+            ] }
+        ]
+    };
+
+    const rendered = renderer.render(card, { formId: 'form-1' });
+
+    assert.deepEqual(rendered.blocks, [
+        { type: 'header', text: { type: 'plain_text', text: 'Ticket INC0042', emoji: true } },
+        { type: 'section', text: { type: 'mrkdwn', text: 'Your *laptop* request &lt;is&gt; in progress' } },
+        { type: 'section', fields: [
+            { type: 'mrkdwn', text: '*Status*\nOpen' },
+            { type: 'mrkdwn', text: '*Owner*\nIT &amp; Facilities' }
+        ] },
+        { type: 'actions', elements: [
+            { type: 'button', text: { type: 'plain_text', text: 'Open ticket', emoji: true }, url: 'https://example.com/INC0042', action_id: 'adaptive_card_open_url_0' },
+            { type: 'button', text: { type: 'plain_text', text: 'Close it', emoji: true }, value: 'form-1:0', action_id: 'adaptive_card_submit_0', style: 'primary' }
+        ] }
+    ]);
+    assert.deepEqual(rendered.submitActions, [card.body[3].actions[1]]);
+    assert.match(rendered.text, /^Ticket INC0042\n.*\nStatus: Open\nOwner: IT & Facilities\nOpen ticket: https:\/\/example.com\/INC0042\n\[Close it\]$/s);
+});
+
+test('renders unsupported elements as text, with a warning', () => {
+    warnings.mock.resetCalls();
+    const card = {
+        body: [
+            { type: 'RichTextBlock', inlines: [{ type: 'TextRun', text: 'Rich <text>' }] },
+            { type: 'Media', sources: [] }
+        ]
+    };
+
+    const rendered = renderer.render(card);
+
+    assert.deepEqual(rendered.blocks, [{ type: 'section', text: { type: 'mrkdwn', text: 'Rich &lt;text&gt;' } }]);
+    assert.equal(rendered.text, 'Rich <text>');
+    assert.equal(warnings.mock.callCount(), 2, 'one warning per unsupported element');
+});
+
+test('keeps every block of a big card (ReplyChunker splits it into messages)', () => {
+    const card = { body: Array.from({ length: 60 }, (_, index) => ({ type: 'TextBlock', text: `Line ${index}` })) };
+
+    const { blocks } = renderer.render(card);
+
+    assert.equal(blocks.length, 60);
+    assert.equal(blocks.at(-1).text.text, 'Line 59');
+});
+
+test('splits long card text into sections without cutting links or escaped characters', () => {
+    const sentence = 'Read [the policy](https://example.com/policy?a=1&b=2) before you book R&D travel. ';
+    const { blocks } = renderer.render({ body: [{ type: 'TextBlock', text: sentence.repeat(80) }] });
+
+    assert.ok(blocks.length > 1);
+    for (const block of blocks) {
+        const text = block.text.text;
+        assert.equal(block.type, 'section');
+        assert.ok(text.length <= 3000, `section is ${text.length} characters`);
+        assert.equal((text.match(/</g) || []).length, (text.match(/>/g) || []).length, 'every link is whole');
+        assert.doesNotMatch(text, /&(?!amp;)|&amp(?!;)/, 'every escaped character is whole');
+    }
+});
@@ -0,0 +1,133 @@
+/**
+ * Citation Formatter - Footnotes and sources for generative answers
+ *
+ * When a Copilot Studio topic uses generative answers, the reply text contains
+ * markers like "[1]" and the activity carries the sources as a schema.org Message
+ * entity:
+ *
+ *   entities: [{
+ *       type: 'https://schema.org/Message',
+ *       citation: [{ position: 1, appearance: { name: 'Travel policy', url: 'https://...' } }]
+ *   }]
+ *
+ * Some answers (and older agents) list the sources as Markdown reference
+ * definitions at the end of the text instead: [1]: https://... "Travel policy"
+ *
+ * This module turns the markers into numbered footnotes (¹ ² ³) and builds a Slack
+ * context block listing the sources under the answer, so people can check where
+ * an answer came from.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - Source titles are escaped for Slack; only http(s) URLs become links
+ */
+
+import { escapeMrkdwn, escapeUrl } from './slack-text.js';
+
+// Elements per context block (Slack limit)
+const CONTEXT_ELEMENTS = 10;
+const SUPERSCRIPT_DIGITS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+class CitationFormatter {
+    /**
+     * Pull the citations out of a message activity and number them as footnotes
+     *
+     * Footnotes are numbered in the order they appear in the text; sources that
+     * are never referenced come last.
+     *
+     * @param {Object} activity - Message activity from Copilot Studio
+     * @returns {Object} { text, citations } - Text with footnote markers (reference
+     *   definitions removed) and the sources as [{ number, title, url }]
+     */
+    extract(activity) {
+        let text = activity.text || '';
+        const sources = new Map();  // agent's citation position -> { title, url }
+
+        // Sources from the schema.org Message entity
+        (activity.entities || [])
+            .filter(entity => /schema\.org\/Message$/.test(entity.type) || entity['@type'] === 'Message')
+            .flatMap(entity => entity.citation || [])
+            .forEach((citation, index) => {
+                const appearance = citation.appearance || {};
+                sources.set(String(citation.position ?? index + 1), {
+                    title: appearance.name || appearance.text || appearance.abstract || appearance.url,
+                    url: appearance.url
+                });
+            });
+
+        // Sources from Markdown reference definitions: [1]: https://... "Title"
+        text = text.replace(/^[ \t]*\[(\d+)\]:[ \t]*<?(\S+?)>?(?:[ \t]+["'(](.*?)["')])?[ \t]*$/gm, (match, position, url, title) => {
+            if (!sources.has(position)) {
+                sources.set(position, { title: title || url, url });
+            }
+            return '';
+        }).trim();
+
+        if (!sources.size) {
+            return { text, citations: [] };
+        }
+
+        // Renumber in order of appearance and swap "[1]" for "¹"
+        const numbers = new Map();  // agent's position -> footnote number
+        let footnoteEnd = -1;       // Where the last converted marker ended
+        text = text.replace(/ ?\[(\d+)\](?![(:])/g, (match, position, offset) => {
+            if (!sources.has(position)) {
+                return match;
+            }
+            if (!numbers.has(position)) {
+                numbers.set(position, numbers.size + 1);
+            }
+            // Keep "[1][2]" readable as ¹,² rather than ¹²
+            const separator = offset === footnoteEnd ? ',' : '';
+            footnoteEnd = offset + match.length;
+            return separator + this.superscript(numbers.get(position));
+        });
+        sources.forEach((source, position) => {
+            if (!numbers.has(position)) {
+                numbers.set(position, numbers.size + 1);
+            }
+        });
+
+        const citations = [...numbers.entries()]
+            .map(([position, number]) => ({ number, ...sources.get(position) }))
+            .sort((a, b) => a.number - b.number);
+
+        return { text, citations };
+    }
+
+    /**
+     * Build the context block(s) listing an answer's sources
+     *
+     * @param {Array} citations - As returned by extract()
+     * @returns {Array} Slack context blocks (empty if there are no citations)
+     */
+    renderSources(citations) {
+        const elements = citations.map(citation => ({
+            type: 'mrkdwn',
+            text: `${this.superscript(citation.number)} ${this.formatSource(citation)}`
+        }));
+
+        const blocks = [];
+        for (let i = 0; i < elements.length; i += CONTEXT_ELEMENTS) {
+            blocks.push({ type: 'context', elements: elements.slice(i, i + CONTEXT_ELEMENTS) });
+        }
+        return blocks;
+    }
+
+    /**
+     * One source as mrkdwn: a link when the URL is usable, the title otherwise
+     */
+    formatSource(citation) {
+        const title = escapeMrkdwn(citation.title || 'Source').replace(/\|/g, '¦');
+
+        if (typeof citation.url === 'string' && /^https?:\/\//i.test(citation.url)) {
+            return `<${escapeUrl(citation.url)}|${title}>`;
+        }
+        return title;
+    }
+
+    superscript(number) {
+        return String(number).split('').map(digit => SUPERSCRIPT_DIGITS[digit]).join('');
+    }
+}
+
+export default CitationFormatter;
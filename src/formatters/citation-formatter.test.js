@@ -0,0 +1,65 @@
+/**
+ * CitationFormatter - footnotes and sources (run with "npm test")
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CitationFormatter from './citation-formatter.js';
+
+const formatter = new CitationFormatter();
+
+const answer = (text, ...sources) => ({
+    type: 'message',
+    text,
+    entities: [{
+        type: 'https://schema.org/Message',
+        citation: sources.map(([position, name, url]) => ({ position, appearance: { name, url } }))
+    }]
+});
+
+test('numbers footnotes in order of appearance', () => {
+    const { text, citations } = formatter.extract(answer('Trains [2] or planes [1].',
+        [1, 'Air policy', 'https://example.com/air'], [2, 'Rail policy', 'https://example.com/rail']));
+
+    assert.equal(text, 'Trains¹ or planes².');
+    assert.deepEqual(citations, [
+        { number: 1, title: 'Rail policy', url: 'https://example.com/rail' },
+        { number: 2, title: 'Air policy', url: 'https://example.com/air' }
+    ]);
+});
+
+test('separates adjacent footnotes with a comma', () => {
+    const sources = [[1, 'A', 'https://a.example'], [2, 'B', 'https://b.example'], [3, 'C', 'https://c.example']];
+
+    assert.equal(formatter.extract(answer('Yes [1][2].', ...sources)).text, 'Yes¹,².');
+    assert.equal(formatter.extract(answer('Yes [1] [2][3].', ...sources)).text, 'Yes¹,²,³.');
+    assert.equal(formatter.extract(answer('First [1], then [2].', ...sources)).text, 'First¹, then².');
+});
+
+test('leaves brackets that aren\'t citations alone', () => {
+    const { text } = formatter.extract(answer('Use items[0][1] and [7] here [1].', [1, 'A', 'https://a.example']));
+
+    assert.equal(text, 'Use items[0]¹ and [7] here¹.');
+});
+
+test('reads sources from Markdown reference definitions', () => {
+    const { text, citations } = formatter.extract({ text: 'See the policy [1].\n\n[1]: https://example.com/p "Travel policy"' });
+
+    assert.equal(text, 'See the policy¹.');
+    assert.deepEqual(citations, [{ number: 1, title: 'Travel policy', url: 'https://example.com/p' }]);
+});
+
+test('renders sources as links, escaping titles and skipping unsafe URLs', () => {
+    const blocks = formatter.renderSources([
+        { number: 1, title: 'Q&A <draft>', url: 'https://example.com/?a=1&b=2' },
+        { number: 2, title: 'Intranet', url: 'javascript:alert(1)' }
+    ]);
+
+    assert.deepEqual(blocks, [{
+        type: 'context',
+        elements: [
+            { type: 'mrkdwn', text: '¹ <https://example.com/?a=1&amp;b=2|Q&amp;A &lt;draft&gt;>' },
+            { type: 'mrkdwn', text: '² Intranet' }
+        ]
+    }]);
+});
@@ -0,0 +1,380 @@
+/**
+ * Markdown Converter - Translates agent Markdown into Slack mrkdwn and Block Kit
+ *
+ * Copilot Studio answers in CommonMark, but Slack has its own "mrkdwn" dialect:
+ *
+ *   CommonMark                   Slack
+ *   ─────────────────────────    ─────────────────────────────────────
+ *   **bold** / __bold__          *bold*
+ *   *italic* / _italic_          _italic_
+ *   ~~strike~~                   ~strike~
+ *   [text](url)                  <url|text>
+ *   # Heading                    header block (mrkdwn: *Heading*)
+ *   - item / 1. item             • item / 1. item
+ *   ```code```                   ```code``` (unchanged)
+ *   | table |                    aligned columns in a code block
+ *   ---                          divider block
+ *
+ * The converter parses the reply into simple nodes (text, header, code, table,
+ * divider) once, and can render them either as one mrkdwn string (message text,
+ * notifications, streaming previews) or as Block Kit blocks (the final reply).
+ *
+ * SECURITY CONSIDERATIONS:
+ * - &, < and > are escaped everywhere, as Slack requires, so agent output can't
+ *   inject mentions like <!channel> or fake links
+ * - Only http(s) and mailto URLs are turned into links; links to anything else
+ *   (javascript:, data:, ...) are reduced to their label
+ */
+
+import { escapeMrkdwn, escapeUrl, safeCutIndex } from './slack-text.js';
+
+// Slack Block Kit limits (see api.slack.com/reference/block-kit)
+const SLACK_LIMITS = {
+    sectionText: 3000,      // Characters in a section's text
+    headerText: 150         // Characters in a header block
+};
+
+// Private-use characters marking text that's already converted (code spans, links)
+const PLACEHOLDER = '\uE000';
+const BOLD = '\uE001';
+
+class MarkdownConverter {
+    /**
+     * Convert Markdown into a single Slack mrkdwn string
+     *
+     * @param {string} markdown - Agent reply text
+     * @returns {string} Slack mrkdwn
+     */
+    toMrkdwn(markdown) {
+        return this.parse(markdown).map(node => {
+            switch (node.type) {
+                case 'header':
+                    return `*${escapeMrkdwn(node.text)}*`;
+                case 'code':
+                    return this.codeFence(node.text);
+                case 'table':
+                    return this.codeFence(this.formatTable(node.rows));
+                case 'divider':
+                    return '───';
+                default:
+                    return node.text;
+            }
+        }).join('\n\n');
+    }
+
+    /**
+     * Convert Markdown into Block Kit blocks
+     *
+     * Headings become header blocks (level 1-2) or bold sections, code and tables
+     * become preformatted sections, horizontal rules become dividers.
+     *
+     * @param {string} markdown - Agent reply text
+     * @returns {Array} Slack blocks
+     */
+    toBlocks(markdown) {
+        const blocks = [];
+
+        this.parse(markdown).forEach(node => {
+            switch (node.type) {
+                case 'header':
+                    if (node.level <= 2) {
+                        blocks.push({
+                            type: 'header',
+                            text: { type: 'plain_text', text: this.truncate(node.text, SLACK_LIMITS.headerText), emoji: true }
+                        });
+                    } else {
+                        this.pushSection(blocks, `*${escapeMrkdwn(node.text)}*`);
+                    }
+                    break;
+                case 'code':
+                    this.pushSection(blocks, this.codeFence(node.text));
+                    break;
+                case 'table':
+                    this.pushSection(blocks, this.codeFence(this.formatTable(node.rows)));
+                    break;
+                case 'divider':
+                    blocks.push({ type: 'divider' });
+                    break;
+                default:
+                    this.pushSection(blocks, node.text);
+            }
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Split Markdown into nodes
+     *
+     * Text nodes are already converted to mrkdwn; header text and code/table
+     * content are kept raw so each output format can escape them as it needs.
+     *
+     * @param {string} markdown - Agent reply text
+     * @returns {Array} Nodes: { type: 'text'|'header'|'code'|'table'|'divider', ... }
+     */
+    parse(markdown) {
+        const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+        const nodes = [];
+        let textLines = [];
+
+        const flushText = () => {
+            const text = textLines.join('\n').replace(/^\n+|\n+$/g, '');
+            if (text.trim()) {
+                nodes.push({ type: 'text', text });
+            }
+            textLines = [];
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Fenced code block - everything up to the closing fence is kept as-is
+            const fence = line.match(/^\s*(`{3,}|~{3,})/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                flushText();
+                nodes.push({ type: 'code', text: code.join('\n') });
+                continue;
+            }
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                flushText();
+                nodes.push({ type: 'header', level: heading[1].length, text: this.stripInline(heading[2]) });
+                continue;
+            }
+
+            // Table: a row of cells followed by a |---|---| separator line
+            if (line.includes('|') && this.isTableSeparator(lines[i + 1])) {
+                const rows = [this.splitTableRow(line)];
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                    rows.push(this.splitTableRow(lines[i]));
+                    i++;
+                }
+                i--;
+                flushText();
+                nodes.push({ type: 'table', rows });
+                continue;
+            }
+
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushText();
+                nodes.push({ type: 'divider' });
+                continue;
+            }
+
+            textLines.push(this.convertLine(line));
+        }
+
+        flushText();
+        return nodes;
+    }
+
+    /**
+     * Convert one line of running text: list markers, quotes, inline formatting
+     */
+    convertLine(line) {
+        const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+        if (bullet) {
+            return `${this.indent(bullet[1])}• ${this.convertInline(bullet[2])}`;
+        }
+
+        const numbered = line.match(/^(\s*)(\d+)[.)]\s+(.*)$/);
+        if (numbered) {
+            return `${this.indent(numbered[1])}${numbered[2]}. ${this.convertInline(numbered[3])}`;
+        }
+
+        const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+        if (quote) {
+            return `> ${this.convertInline(quote[1])}`;
+        }
+
+        return this.convertInline(line.trim());
+    }
+
+    /**
+     * Convert inline Markdown (code spans, links, emphasis) and escape the rest
+     *
+     * Code spans and links are converted first and swapped for placeholders, so
+     * their content isn't touched by the emphasis rules.
+     *
+     * @param {string} text - One line of Markdown
+     * @returns {string} Slack mrkdwn
+     */
+    convertInline(text) {
+        const protectedParts = [];
+        const protect = (converted) => `${PLACEHOLDER}${protectedParts.push(converted) - 1}${PLACEHOLDER}`;
+
+        let result = String(text)
+            // `code`
+            .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => protect(`\`${escapeMrkdwn(code.trim())}\``))
+            // ![alt](url) and [text](url "title") - URLs may contain (balanced) parentheses
+            .replace(/!?\[([^\]]*)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) =>
+                this.isLinkUrl(url)
+                    ? protect(`<${escapeUrl(url)}|${escapeMrkdwn(this.stripInline(label) || url).replace(/\|/g, '¦')}>`)
+                    : protect(escapeMrkdwn(this.stripInline(label))))
+            // <https://autolink>
+            .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, (match, url) => protect(`<${escapeUrl(url)}>`));
+
+        result = escapeMrkdwn(result)
+            .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, `${BOLD}$1${BOLD}`)
+            .replace(/__(?=\S)(.+?)(?<=\S)__/g, `${BOLD}$1${BOLD}`)
+            .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?!\w)/g, '$1_$2_')
+            .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '~$1~')
+            .replace(new RegExp(BOLD, 'g'), '*');
+
+        return result.replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (match, index) => protectedParts[index]);
+    }
+
+    /**
+     * Remove inline Markdown, for places that only take plain text (header blocks, tables)
+     */
+    stripInline(text) {
+        return String(text)
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/(\*\*|__|~~|`+)(.+?)\1/g, '$2')
+            .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?!\w)/g, '$1$2')
+            .trim();
+    }
+
+    isTableSeparator(line) {
+        return typeof line === 'string' && line.includes('-') &&
+            /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+    }
+
+    splitTableRow(line) {
+        return line.trim()
+            .replace(/^\|/, '')
+            .replace(/(?<!\\)\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => this.stripInline(cell.replace(/\\\|/g, '|')));
+    }
+
+    /**
+     * Lay out table rows as aligned plain-text columns
+     *
+     * Slack has no table block, so tables are shown in a code block where the
+     * monospace font keeps the columns lined up.
+     *
+     * @param {Array<Array<string>>} rows - Header row first
+     * @returns {string} Table as text
+     */
+    formatTable(rows) {
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const widths = Array.from({ length: columnCount }, (_, column) =>
+            Math.max(...rows.map(row => (row[column] || '').length)));
+        const formatRow = (row) => widths.map((width, column) => (row[column] || '').padEnd(width)).join(' | ').trimEnd();
+
+        return [
+            formatRow(rows[0]),
+            widths.map(width => '-'.repeat(width)).join('-|-'),
+            ...rows.slice(1).map(formatRow)
+        ].join('\n');
+    }
+
+    codeFence(code) {
+        return `\`\`\`\n${escapeMrkdwn(code)}\n\`\`\``;
+    }
+
+    /**
+     * Add mrkdwn text as section blocks, splitting it when it's too long for one
+     */
+    pushSection(blocks, text) {
+        this.split(text, SLACK_LIMITS.sectionText).forEach(part => {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: part } });
+        });
+    }
+
+    /**
+     * Split mrkdwn text into parts of at most maxLength characters
+     *
+     * Prefers to split between paragraphs or right before a code block, then at a
+     * line break, then at a space - never inside a link or an escaped character
+     * (see safeCutIndex). If a split has to happen inside a code block,
+     * the block is closed at the end of one part and reopened in the next, so
+     * every part is valid mrkdwn on its own.
+     *
+     * @param {string} text - Slack mrkdwn
+     * @param {number} maxLength - Maximum characters per part
+     * @returns {Array<string>} Parts, in order
+     */
+    split(text, maxLength) {
+        const parts = [];
+        let rest = text;
+
+        while (rest.length > maxLength) {
+            const cut = this.findBreak(rest, maxLength - 4);  // Room to close a code block
+            let head = rest.slice(0, cut).trimEnd();
+            let tail = rest.slice(cut).replace(/^\n+/, '');
+
+            if (this.isInsideCodeBlock(head)) {
+                head += '\n```';
+                tail = '```\n' + tail;
+            }
+
+            parts.push(head);
+            rest = tail;
+        }
+
+        if (rest.trim()) {
+            parts.push(rest);
+        }
+        return parts;
+    }
+
+    /**
+     * Find where to split text so the first part is at most maxLength characters
+     */
+    findBreak(text, maxLength) {
+        const window = text.slice(0, maxLength);
+        const minimum = Math.floor(maxLength / 3);  // Don't produce tiny parts just to hit a boundary
+
+        // Paragraph breaks and code block starts, outside of code blocks
+        const boundaries = [...window.matchAll(/\n\n|\n(?=```)/g)]
+            .map(match => match.index)
+            .filter(index => index >= minimum && !this.isInsideCodeBlock(window.slice(0, index)));
+        if (boundaries.length) {
+            return boundaries[boundaries.length - 1];
+        }
+
+        const lineBreak = window.lastIndexOf('\n');
+        if (lineBreak >= minimum) {
+            return lineBreak;
+        }
+
+        const space = safeCutIndex(text, window.lastIndexOf(' '));
+        if (space >= minimum) {
+            return space;
+        }
+
+        // No good place at all - cut as late as possible, but not into a link
+        const cut = safeCutIndex(text, maxLength);
+        return cut > 0 ? cut : maxLength;
+    }
+
+    isInsideCodeBlock(text) {
+        return ((text.match(/```/g) || []).length % 2) === 1;
+    }
+
+    // Nested list levels: every two spaces (or a tab) of Markdown indent is one level
+    indent(whitespace) {
+        const level = Math.floor(whitespace.replace(/\t/g, '  ').length / 2);
+        return '    '.repeat(level);
+    }
+
+    truncate(text, maxLength) {
+        return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+    }
+
+    isLinkUrl(url) {
+        return /^(https?:\/\/|mailto:)/i.test(url);
+    }
+}
+
+export default MarkdownConverter;
@@ -0,0 +1,77 @@
+/**
+ * MarkdownConverter - agent Markdown to Slack mrkdwn (run with "npm test")
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MarkdownConverter from './markdown-converter.js';
+
+const converter = new MarkdownConverter();
+
+test('converts emphasis, lists and quotes', () => {
+    assert.equal(converter.toMrkdwn('**bold**, *italic* and ~~gone~~'), '*bold*, _italic_ and ~gone~');
+    assert.equal(converter.toMrkdwn('- one\n  - nested\n2. two\n> quoted'), '• one\n    • nested\n2. two\n> quoted');
+});
+
+test('escapes Slack control characters so agents can\'t inject mentions', () => {
+    assert.equal(converter.toMrkdwn('Tom & Jerry <!channel>'), 'Tom &amp; Jerry &lt;!channel&gt;');
+});
+
+test('turns http(s) and mailto links into Slack links', () => {
+    assert.equal(converter.toMrkdwn('[Docs](https://example.com/?a=1&b=2)'), '<https://example.com/?a=1&amp;b=2|Docs>');
+    assert.equal(converter.toMrkdwn('[Foo](https://en.wikipedia.org/wiki/Foo_(bar))'), '<https://en.wikipedia.org/wiki/Foo_(bar)|Foo>');
+    assert.equal(converter.toMrkdwn('<mailto:help@example.com>'), '<mailto:help@example.com>');
+});
+
+test('reduces links to other schemes to their label', () => {
+    assert.equal(converter.toMrkdwn('Click [here](javascript:alert(1)) now'), 'Click here now');
+    assert.equal(converter.toMrkdwn('See [a <b>](vbscript:x)'), 'See a &lt;b&gt;');
+    assert.equal(converter.toMrkdwn('![Chart](data:image/png;base64,AAAA)'), 'Chart');
+});
+
+test('lays tables out as aligned columns in a code block', () => {
+    const table = '| Name | Qty |\n|:-----|----:|\n| Apples | 3 |\n| Kiwi | 12 |';
+
+    assert.equal(converter.toMrkdwn(table), [
+        '```',
+        'Name   | Qty',
+        '-------|----',
+        'Apples | 3',
+        'Kiwi   | 12',
+        '```'
+    ].join('\n'));
+});
+
+test('renders headings, code and rules as blocks', () => {
+    const blocks = converter.toBlocks('# Title\n\nSome *text*\n\n```\na < b\n```\n\n---\n\n### Small');
+
+    assert.deepEqual(blocks, [
+        { type: 'header', text: { type: 'plain_text', text: 'Title', emoji: true } },
+        { type: 'section', text: { type: 'mrkdwn', text: 'Some _text_' } },
+        { type: 'section', text: { type: 'mrkdwn', text: '```\na &lt; b\n```' } },
+        { type: 'divider' },
+        { type: 'section', text: { type: 'mrkdwn', text: '*Small*' } }
+    ]);
+});
+
+test('split closes and reopens code blocks cut in two', () => {
+    const code = Array.from({ length: 40 }, (_, line) => `line ${line}`).join('\n');
+    const parts = converter.split(`Intro\n\n\`\`\`\n${code}\n\`\`\``, 120);
+
+    assert.ok(parts.length > 1);
+    for (const part of parts) {
+        assert.ok(part.length <= 120, `part is ${part.length} characters`);
+        assert.equal((part.match(/```/g) || []).length % 2, 0, `unbalanced fences in ${JSON.stringify(part)}`);
+    }
+});
+
+test('split doesn\'t cut links or escaped characters in half', () => {
+    const text = `${'a'.repeat(60)}<https://example.com/${'b'.repeat(40)}|label> &amp;&amp;&amp;`;
+
+    for (const maxLength of [80, 100, 120]) {
+        for (const part of converter.split(text, maxLength)) {
+            assert.equal((part.match(/</g) || []).length, (part.match(/>/g) || []).length, `broken link in ${part}`);
+            assert.doesNotMatch(part, /&(?!amp;)|&amp(?!;)/, `broken entity in ${part}`);
+        }
+    }
+});
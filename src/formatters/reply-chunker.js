@@ -0,0 +1,96 @@
+/**
+ * Reply Chunker - Splits long replies into messages Slack will accept
+ *
+ * A single Slack message is limited to 50 blocks, and very long messages are
+ * rejected (msg_too_long) or cut off. Long generative answers and big cards can
+ * exceed both, so a reply is split into several messages:
+ *
+ * - Block replies are grouped into messages of at most 50 blocks and a total text
+ *   budget; a header is never left dangling at the end of a message
+ * - Text-only replies are split on paragraph and code-block boundaries
+ *   (see MarkdownConverter.split), so formatting stays valid in every message
+ *
+ * Each message gets its own plain text (used for notifications), taken from the
+ * text of its blocks.
+ */
+
+import { truncateMrkdwn } from './slack-text.js';
+
+const MESSAGE_LIMITS = {
+    blocks: 49,             // Blocks per message (Slack allows 50 - one is kept free for a "Show more" button)
+    characters: 12000,      // Block text per message - well below where Slack rejects messages
+    text: 3000              // Characters of a message's text / notification fallback
+};
+
+class ReplyChunker {
+    /**
+     * @param {MarkdownConverter} markdown - Used to split text on safe boundaries
+     */
+    constructor(markdown) {
+        this.markdown = markdown;
+    }
+
+    /**
+     * Split a reply into Slack messages
+     *
+     * @param {string} text - Reply text (mrkdwn)
+     * @param {Array} blocks - Optional: reply blocks
+     * @returns {Array<Object>} Messages as { text, blocks }, in order (always at least one)
+     */
+    chunk(text, blocks = undefined) {
+        if (!blocks?.length) {
+            const parts = this.markdown.split(text || '', MESSAGE_LIMITS.text);
+            return (parts.length ? parts : [text || '']).map(part => ({ text: part }));
+        }
+
+        const groups = [];
+        let current = [];
+        let characters = 0;
+
+        blocks.forEach(block => {
+            const size = this.blockText(block).length;
+
+            if (current.length && (current.length >= MESSAGE_LIMITS.blocks || characters + size > MESSAGE_LIMITS.characters)) {
+                // Move a trailing header along with the content it introduces
+                const carried = current[current.length - 1].type === 'header' && current.length > 1 ? [current.pop()] : [];
+                groups.push(current);
+                current = carried;
+                characters = carried.reduce((sum, b) => sum + this.blockText(b).length, 0);
+            }
+
+            current.push(block);
+            characters += size;
+        });
+        groups.push(current);
+
+        if (groups.length === 1) {
+            return [{ text: this.truncate(text || this.groupText(blocks)), blocks }];
+        }
+
+        return groups.map((group, index) => ({
+            text: this.truncate(index === 0 && text ? text : this.groupText(group)),
+            blocks: group
+        }));
+    }
+
+    /**
+     * All text shown by a block (section text and fields, headers, context elements)
+     */
+    blockText(block) {
+        return [
+            block.text?.text,
+            ...(block.fields || []).map(field => field.text),
+            ...(block.elements || []).map(element => element.text?.text ?? element.text)
+        ].filter(value => typeof value === 'string').join('\n');
+    }
+
+    groupText(blocks) {
+        return blocks.map(block => this.blockText(block)).filter(Boolean).join('\n');
+    }
+
+    truncate(text) {
+        return truncateMrkdwn(text, MESSAGE_LIMITS.text);
+    }
+}
+
+export default ReplyChunker;
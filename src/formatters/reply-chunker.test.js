@@ -0,0 +1,75 @@
+/**
+ * ReplyChunker - long replies split into Slack-sized messages (run with "npm test")
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ReplyChunker from './reply-chunker.js';
+import MarkdownConverter from './markdown-converter.js';
+
+const chunker = new ReplyChunker(new MarkdownConverter());
+
+const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text } });
+const fences = (text) => (text.match(/```/g) || []).length;
+
+test('keeps a short reply in one message', () => {
+    assert.deepEqual(chunker.chunk('Hello'), [{ text: 'Hello' }]);
+    assert.deepEqual(chunker.chunk('', undefined), [{ text: '' }]);
+});
+
+test('splits long text on paragraphs, keeping code blocks valid in every message', () => {
+    const paragraph = 'Lorem ipsum dolor sit amet. '.repeat(40).trim();
+    const code = Array.from({ length: 150 }, (_, line) => `const value${line} = ${line};`).join('\n');
+    const text = `${paragraph}\n\n\`\`\`\n${code}\n\`\`\`\n\n${paragraph}`;
+
+    const messages = chunker.chunk(text);
+
+    assert.ok(messages.length > 1);
+    for (const { text: part } of messages) {
+        assert.ok(part.length <= 3000, `message is ${part.length} characters`);
+        assert.equal(fences(part) % 2, 0, 'every message closes the code blocks it opens');
+    }
+    assert.ok(messages[0].text.startsWith('Lorem ipsum'));
+    assert.ok(messages.at(-1).text.endsWith('sit amet.'));
+
+    // Nothing is lost apart from the fences added at the cuts
+    const joined = messages.map(message => message.text.replace(/^```\n|\n```$/g, '')).join('\n');
+    for (const line of code.split('\n')) {
+        assert.ok(joined.includes(line), `missing ${line}`);
+    }
+});
+
+test('groups blocks into messages of at most 49 blocks', () => {
+    const blocks = Array.from({ length: 120 }, (_, index) => section(`Row ${index}`));
+
+    const messages = chunker.chunk('All rows', blocks);
+
+    assert.deepEqual(messages.map(message => message.blocks.length), [49, 49, 22]);
+    assert.equal(messages[0].text, 'All rows');
+    assert.equal(messages[1].text.split('\n')[0], 'Row 49');
+});
+
+test('moves a header to the message with the content it introduces', () => {
+    const blocks = [
+        ...Array.from({ length: 48 }, (_, index) => section(`Row ${index}`)),
+        { type: 'header', text: { type: 'plain_text', text: 'Part two' } },
+        section('Row 48')
+    ];
+
+    const messages = chunker.chunk('', blocks);
+
+    assert.equal(messages.length, 2);
+    assert.equal(messages[0].blocks.length, 48);
+    assert.deepEqual(messages[1].blocks.map(block => block.type), ['header', 'section']);
+});
+
+test('shortens the notification text without cutting a link in half', () => {
+    const link = '<https://example.com/report|the report>';
+    const text = `${'word '.repeat(700)}${link}`;   // The link straddles the 3,000 character limit
+    const blocks = [section('Row')];
+
+    const [message] = chunker.chunk(text, blocks);
+
+    assert.ok(message.text.length <= 3000);
+    assert.ok(message.text.endsWith('word…'), message.text.slice(-20));
+});
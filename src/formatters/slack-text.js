@@ -0,0 +1,79 @@
+/**
+ * Slack Text - Escaping for text that ends up in Slack mrkdwn
+ *
+ * Slack treats &, < and > as control characters: "<!channel>" notifies everyone,
+ * "<https://...|label>" is a link and "<@U123>" a mention. Anything the agent, a
+ * card or a user sends us is escaped with these helpers before it's put into a
+ * message, so it can only ever show up as text.
+ *
+ * Every formatter and the Slack bot import them from here, so there is exactly
+ * one definition of what "escaped for Slack" means. Text that is too long is cut
+ * with the same knowledge, so a cut never breaks a link or an escaped character.
+ */
+
+/**
+ * Escape the characters Slack treats as control sequences
+ *
+ * @param {*} text - Text to show as-is (converted to a string)
+ * @returns {string} Text safe to put into mrkdwn
+ */
+export function escapeMrkdwn(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a URL for the target of a Slack link (<url|label>)
+ *
+ * A "|" or ">" in the URL would end the target early, so they're percent-encoded.
+ *
+ * @param {string} url - http(s) or mailto URL
+ * @returns {string} URL safe to put between < and |
+ */
+export function escapeUrl(url) {
+    return url.replace(/&/g, '&amp;').replace(/</g, '%3C').replace(/>/g, '%3E').replace(/\|/g, '%7C');
+}
+
+/**
+ * Where to cut mrkdwn text so no link, mention or escaped character is split
+ *
+ * Half a "<https://...|label>" shows up as raw markup, and half an "&amp;" as a
+ * stray "&am". If the cut falls inside one of them, it moves back to where it
+ * starts.
+ *
+ * @param {string} text - Slack mrkdwn
+ * @param {number} index - Where the text would be cut
+ * @returns {number} Safe index, at or before index
+ */
+export function safeCutIndex(text, index) {
+    let cut = index;
+
+    const open = text.lastIndexOf('<', cut - 1);
+    if (open !== -1 && text.lastIndexOf('>', cut - 1) < open) {
+        cut = open;
+    }
+
+    const ampersand = text.lastIndexOf('&', cut - 1);
+    const entity = ampersand === -1 ? null : text.slice(ampersand).match(/^&(?:amp|lt|gt);/);
+    if (entity && ampersand + entity[0].length > cut) {
+        cut = ampersand;
+    }
+
+    return cut;
+}
+
+/**
+ * Shorten mrkdwn text to maxLength characters (with an ellipsis), on a safe cut
+ *
+ * @param {string} text - Slack mrkdwn
+ * @param {number} maxLength - Maximum characters, ellipsis included
+ * @returns {string} The text, shortened if it was too long
+ */
+export function truncateMrkdwn(text, maxLength) {
+    if (text.length <= maxLength) {
+        return text;
+    }
+    return `${text.slice(0, safeCutIndex(text, maxLength - 1)).trimEnd()}…`;
+}
@@ -0,0 +1,28 @@
+/**
+ * Slack Text - escaping and safe cuts (run with "npm test")
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeMrkdwn, escapeUrl, safeCutIndex, truncateMrkdwn } from './slack-text.js';
+
+test('escapes control characters in text and link targets', () => {
+    assert.equal(escapeMrkdwn('Tom & Jerry <!here>'), 'Tom &amp; Jerry &lt;!here&gt;');
+    assert.equal(escapeUrl('https://example.com/?a=1&b=<2>|3'), 'https://example.com/?a=1&amp;b=%3C2%3E%7C3');
+});
+
+test('safeCutIndex moves a cut inside a link or an escaped character back to its start', () => {
+    const text = 'See <https://example.com|the docs> for Q&amp;A';
+
+    assert.equal(safeCutIndex(text, 10), 4);                      // Inside the link
+    assert.equal(safeCutIndex(text, text.indexOf('for')), text.indexOf('for'));
+    assert.equal(safeCutIndex(text, text.indexOf('&') + 2), text.indexOf('&'));
+    assert.equal(safeCutIndex(text, text.length), text.length);
+});
+
+test('truncateMrkdwn never leaves half a link or entity', () => {
+    assert.equal(truncateMrkdwn('short', 10), 'short');
+    assert.equal(truncateMrkdwn('Read <https://example.com|this> now', 12), 'Read…');
+    assert.equal(truncateMrkdwn('Q&amp;A session', 4), 'Q…');
+    assert.ok(truncateMrkdwn('x'.repeat(50), 10).length <= 10);
+});
@@ -22,6 +22,19 @@
  * WebSocket connection to Slack. This is perfect for development and internal
  * tools since it doesn't require a public URL or SSL certificates.
  * 
+ * HTTP Mode (SLACK_TRANSPORT=http):
+ * Where outgoing WebSockets are blocked, or to run several instances behind a
+ * load balancer, Slack sends events, button clicks and slash commands as HTTP
+ * requests to /slack/events on our Express server instead. Bolt's ExpressReceiver
+ * checks each request's signature with the signing secret before handling it.
+ * 
+ * Several Workspaces:
+ * With SLACK_CLIENT_ID and SLACK_CLIENT_SECRET the app is installed per workspace
+ * with Slack's OAuth flow ("Add to Slack" at /slack/install on our web server).
+ * Each installation's bot token is kept in SlackInstallationStore, and Bolt looks
+ * it up for every incoming event (authorize). Users are namespaced by workspace
+ * (see RelayMiddleware.getUserId), so one deployment serves all of them.
+ * 
  * SAML SSO Integration:
  * When enabled, the bot can detect users who are already authenticated via SAML
  * and optionally skip the interactive OAuth flow for a seamless experience.
@@ -45,7 +58,7 @@
  * - Add message content filtering for sensitive data
  * - Implement user permission levels (admin vs regular users)
  * - Add monitoring and alerting for suspicious activity
- * - Validate Slack signatures on all incoming requests
+ * - Validate Slack signatures on all incoming requests (done by Bolt in HTTP mode)
  * - Implement graceful degradation for service outages
  * - Add message size limits to prevent abuse
  * - Consider implementing conversation timeouts
@@ -61,8 +74,13 @@
  */
 
 import pkg from '@slack/bolt';
-const { App } = pkg;
+const { App, ExpressReceiver } = pkg;
+import { InstallProvider } from '@slack/oauth';
+import { WebClient } from '@slack/web-api';
 import SamlAuthHandler from '../auth/saml-handler.js';
+import SlackFileAttachments from './slack-file-attachments.js';
+import { escapeMrkdwn } from '../formatters/slack-text.js';
+import SlackInstallationStore from '../storage/slack-installation-store.js';
 
 class SlackBot {
     /**
@@ -77,26 +95,77 @@ class SlackBot {
      * 
      * Also initializes SAML SSO handler for seamless authentication when configured.
      * 
+     * Installed in several workspaces (config.slack.multiWorkspace), the app has no
+     * bot token of its own: an InstallProvider runs the "Add to Slack" flow and Bolt
+     * authorizes each event with the token of the workspace it came from. The
+     * installations live in the relay's token repository, so restoreUserTokens()
+     * must have run before the bot is created.
+     * 
+     * With SLACK_TRANSPORT=http an ExpressReceiver takes the place of Socket Mode:
+     * it adds POST /slack/events to the given router of our Express server.
+     * 
      * @param {Object} config - Application configuration
      * @param {RelayMiddleware} relayMiddleware - Bridge to Copilot Studio
+     * @param {Router} slackRouter - Express router for /slack/events (HTTP mode only); it
+     *   must run before any body parser, since the signature covers the raw body
      * 
      * SECURITY NOTE: All tokens are stored in memory during runtime.
      * In production, consider implementing secure token storage.
      */
-    constructor(config, relayMiddleware) {
+    constructor(config, relayMiddleware, slackRouter = null) {
         this.config = config;
         this.relay = relayMiddleware;  // Our bridge to Microsoft Copilot Studio
         
         // Initialize SAML SSO handler for seamless authentication
-        this.samlHandler = new SamlAuthHandler();
+        this.samlHandler = new SamlAuthHandler(relayMiddleware);
+
+        // Downloads files users share with the bot so they can be relayed to Copilot Studio
+        this.fileAttachments = new SlackFileAttachments(config);
+        
+        // Several workspaces: "Add to Slack" install flow and one bot token per workspace
+        this.installer = null;
+        this.teamClients = new Map();   // teamId -> { botToken, client }
+        if (config.slack.multiWorkspace) {
+            this.installationStore = new SlackInstallationStore(relayMiddleware.tokenRepository);
+            this.installer = new InstallProvider({
+                clientId: config.slack.clientId,
+                clientSecret: config.slack.clientSecret,
+                stateSecret: config.slack.stateSecret,     // Signs the state cookie of the install flow
+                installationStore: this.installationStore,
+                installUrlOptions: {
+                    scopes: config.slack.botScopes,
+                    redirectUri: `${config.server.baseUrl}/slack/oauth_redirect`
+                }
+            });
+
+            if (config.tokens.store === 'memory') {
+                console.warn('⚠️ TOKEN_STORE=memory: Slack installations are lost on restart - every workspace would have to install the app again');
+            }
+            console.log(`🏢 Installed in ${this.installationStore.getTeamIds().length} workspace(s) - add more at ${config.server.baseUrl}/slack/install`);
+        }
         
         // Initialize Slack App with Socket Mode
         // Think of this as creating a "phone line" to Slack that stays open
+        // (HTTP mode: Slack calls /slack/events on our web server instead)
+        this.httpMode = config.slack.transport === 'http';
         this.app = new App({
-            token: config.slack.botToken,           // Bot token (starts with xoxb-)
-            signingSecret: config.slack.signingSecret,  // Used to verify requests from Slack
-            socketMode: true,                       // Use WebSocket instead of webhooks
-            appToken: config.slack.appToken,       // App token for Socket Mode (starts with xapp-)
+            ...(this.installer
+                ? { authorize: (source) => this.installer.authorize(source) }  // Bot token of the event's workspace
+                : { token: config.slack.botToken }),                            // Bot token (starts with xoxb-)
+            ...(this.httpMode
+                ? {
+                    receiver: new ExpressReceiver({
+                        signingSecret: config.slack.signingSecret,  // Verifies every request came from Slack
+                        router: slackRouter,                        // Mounted on our Express server
+                        endpoints: '/slack/events',                 // Events, interactivity and slash commands
+                        logLevel: config.logLevel || 'info'
+                    })
+                }
+                : {
+                    signingSecret: config.slack.signingSecret,  // Used to verify requests from Slack
+                    socketMode: true,                       // Use WebSocket instead of webhooks
+                    appToken: config.slack.appToken        // App token for Socket Mode (starts with xapp-)
+                }),
             logLevel: config.logLevel || 'info'    // Controls how much logging Slack SDK does
         });
         
@@ -127,36 +196,60 @@ class SlackBot {
     setupEventHandlers() {
         // Handle direct messages and mentions
         // This is the main event handler that processes most user interactions
-        this.app.message(async ({ message, say, client }) => {
+        this.app.message(async ({ message, say, client, context: boltContext }) => {
             try {
-                // Skip bot messages, message changes, and messages in threads (for now)
+                // Skip bot messages and message changes
                 // This prevents infinite loops where the bot responds to itself
                 if (message.subtype === 'bot_message' || 
                     message.subtype === 'message_changed' ||
-                    message.thread_ts || 
                     message.bot_id) {
                     return;
                 }
 
+                // Channel messages that @mention the bot are handled by the app_mention
+                // handler below - don't answer them twice
+                if (message.channel_type !== 'im' && boltContext.botUserId &&
+                    message.text?.includes(`<@${boltContext.botUserId}>`)) {
+                    return;
+                }
+
+                // Each Slack thread maps to its own Copilot Studio conversation.
+                // In DMs every thread is ours; in channels we only follow threads the bot
+                // is already part of (new channel threads start with an @mention). In
+                // shared channels that's the thread's conversation, whoever started it.
+                const userId = this.relay.getUserId(message.user, boltContext.teamId);  // "slack_" prefix distinguishes from other platforms
+                const context = { channel: message.channel, threadTs: message.thread_ts, shared: this.relay.isSharedChannel(message.channel) };
+                if (message.thread_ts && message.channel_type !== 'im' &&
+                    !this.relay.hasConversation(userId, context)) {
+                    return;
+                }
+                say = this.threadedSay(say, message.thread_ts);
+
                 // Get user info for better logging and user experience
                 // This API call provides real name, display name, etc.
                 let userName = 'Unknown User';
-                let userId = `slack_${message.user}`;  // Add prefix to distinguish from other platforms
+                let slackUser = null;
                 
                 try {
                     const userInfo = await client.users.info({ user: message.user });
-                    userName = userInfo.user.real_name || userInfo.user.name;
+                    slackUser = userInfo.user;
+                    userName = slackUser.real_name || slackUser.name;
                 } catch (userInfoError) {
                     console.warn(`⚠️ Could not get user info for ${message.user}:`, userInfoError.message);
                     // Continue with default userName, don't fail the whole message
                 }
 
+                // Like mentions, messages in a shared conversation carry their author's name
+                if (context.shared) {
+                    context.userName = slackUser?.profile?.display_name || userName;
+                }
+
                 console.log(`📨 Message from ${userName} (${userId}): "${message.text}"`);
 
                 // AUTHENTICATION CHECK: SAML SSO or OAuth verification
                 // This is where we enforce the security boundary with enhanced SAML support
                 if (this.config.copilotStudio.requireAuth) {
-                    let storedToken = this.relay.getUserToken(userId);
+                    let storedToken = await this.relay.getUserToken(userId);
                     let authenticationMethod = 'none';
                     
                     // SAML SSO ENHANCEMENT: Check if user can be authenticated via SAML
@@ -164,17 +257,16 @@ class SlackBot {
                         console.log(`🔐 Checking SAML SSO authentication for ${userId}`);
                         
                         try {
-                            const samlAuthResult = await this.samlHandler.canSkipOAuthForUser(message.user, userInfo.user);
+                            const samlAuthResult = await this.samlHandler.canSkipOAuthForUser(message.user, slackUser, client);
                             
                             if (samlAuthResult.canSkipOAuth) {
                                 console.log(`✅ SAML SSO: User ${userId} authenticated via SAML`);
                                 
                                 // Generate authentication token based on SAML validation
-                                const samlToken = await this.samlHandler.generateSamlAuthToken(message.user, samlAuthResult.userInfo);
+                                // (stored for the user together with their Microsoft account)
+                                const samlToken = await this.samlHandler.generateSamlAuthToken(userId, samlAuthResult.userInfo);
                                 
                                 if (samlToken) {
-                                    // Store SAML-generated token for future use
-                                    this.relay.storeUserToken(userId, samlToken);
                                     storedToken = samlToken;
                                     authenticationMethod = 'saml';
                                     
@@ -221,7 +313,7 @@ class SlackBot {
                     // If no token after SAML check, require OAuth authentication
                     if (!storedToken) {
                         console.log(`🔐 User ${userId} not authenticated - sending auth link`);
-                        await this.sendAuthenticationLink(message.user, say);
+                        await this.sendAuthenticationLink(userId, say);
                         return;
                     }
 
@@ -232,12 +324,18 @@ class SlackBot {
                         console.log(`🔐 User ${userId} authenticated via OAuth`);
                     }
 
+                    // Download shared files (PDFs, images, CSVs, ...) to send along
+                    const attachments = await this.prepareAttachments(message.files, message.text, say, boltContext.teamId);
+                    if (!attachments) {
+                        return;
+                    }
+
                     // Show typing indicator while processing (enhanced UX)
-                    await this.showTypingIndicator(message.channel);
+                    await this.showTypingIndicator(message.channel, client);
 
                     // Send to Copilot Studio with authenticated user token
                     // This ensures the AI call is made with proper user context
-                    const response = await this.relay.sendMessage(userId, message.text, storedToken);
+                    const response = await this.relay.sendMessage(userId, message.text, storedToken, context, attachments);
                     
                     if (response && response.text) {
                         await say(response.text);
@@ -249,10 +347,15 @@ class SlackBot {
                 } else {
                     // UNAUTHENTICATED MODE: Use service account (less secure but simpler)
                     // WARNING: In this mode, all users share the same AI context
-                    await this.showTypingIndicator(message.channel);
+                    const attachments = await this.prepareAttachments(message.files, message.text, say, boltContext.teamId);
+                    if (!attachments) {
+                        return;
+                    }
+
+                    await this.showTypingIndicator(message.channel, client);
 
                     // Send without authentication using service account
-                    const response = await this.relay.sendMessage(userId, message.text);
+                    const response = await this.relay.sendMessage(userId, message.text, null, context, attachments);
                     
                     if (response && response.text) {
                         await say(response.text);
@@ -266,6 +369,12 @@ class SlackBot {
             } catch (error) {
                 console.error('❌ Error handling Slack message:', error);
                 
+                // The sign-in expired mid-conversation and couldn't be refreshed
+                if (error.code === 'AUTH_REQUIRED') {
+                    await this.sendAuthenticationLink(this.relay.getUserId(message.user, boltContext.teamId), say);
+                    return;
+                }
+                
                 // Send generic error message to user
                 // TODO: Improve error handling to prevent information leakage
                 try {
@@ -283,7 +392,7 @@ class SlackBot {
             await ack();  // Always acknowledge slash commands immediately (Slack requirement)
             
             try {
-                const userId = `slack_${command.user_id}`;
+                const userId = this.relay.getUserId(command.user_id, command.team_id);
                 const userInfo = await client.users.info({ user: command.user_id });
                 const userName = userInfo.user.real_name || userInfo.user.name;
 
@@ -302,41 +411,109 @@ class SlackBot {
             }
         });
 
+        // Handle slash command for picking an agent
+        // "/agent" lists the agent profiles with a menu to pick one; "/agent hr" switches
+        // right away. The choice is remembered per user (see RelayMiddleware.switchAgent)
+        this.app.command('/agent', async ({ command, ack, respond }) => {
+            await ack();
+
+            const userId = this.relay.getUserId(command.user_id, command.team_id);
+            const requested = command.text?.trim().toLowerCase();
+
+            try {
+                if (requested) {
+                    const agent = this.relay.agentRouter.agents.find(profile => profile.name.toLowerCase() === requested);
+                    if (agent) {
+                        await this.relay.switchAgent(userId, agent.name);
+                        await respond({ response_type: 'ephemeral', text: this.getAgentSwitchedText(agent) });
+                        return;
+                    }
+                }
+
+                await respond({
+                    response_type: 'ephemeral',
+                    ...await this.buildAgentPicker(userId, requested ? `⚠️ There is no agent called "${escapeMrkdwn(requested)}".` : null)
+                });
+            } catch (error) {
+                console.error('❌ Error handling /agent:', error);
+                await respond('❌ Failed to switch agents. Please try again.');
+            }
+        });
+
+        // Agent picked from the /agent menu
+        this.app.action('agent_select', async ({ ack, body, action, respond, context }) => {
+            await ack();
+
+            try {
+                const agent = await this.relay.switchAgent(this.relay.getUserId(body.user.id, context.teamId), action.selected_option.value);
+                await respond({ replace_original: true, text: this.getAgentSwitchedText(agent) });
+            } catch (error) {
+                console.error('❌ Error switching agent:', error);
+                await respond({
+                    response_type: 'ephemeral',
+                    replace_original: false,
+                    text: '⚠️ That agent is no longer available - run /agent again to see the current list.'
+                });
+            }
+        });
+
         // Handle app mentions (@botname in channels)
         // This allows the bot to participate in channel conversations when mentioned
         // Different from direct messages - requires @mention to activate
-        this.app.event('app_mention', async ({ event, say, client }) => {
+        this.app.event('app_mention', async ({ event, say, client, context: boltContext }) => {
+            // Replies always go into the thread - a top-level mention starts one. In
+            // shared channels the thread's conversation belongs to everyone in it.
+            const shared = this.relay.isSharedChannel(event.channel);
+            const threadTs = event.thread_ts || event.ts;
+            say = this.threadedSay(say, threadTs);
+
             try {
                 // Remove the bot mention from the message text
                 // Slack sends mentions like "<@U1234567890>" which we need to clean
                 const text = event.text.replace(/<@[^>]+>/g, '').trim();
                 
-                if (!text) {
+                if (!text && !event.files?.length) {
                     await say('Hi! How can I help you today?');
                     return;
                 }
 
                 const userInfo = await client.users.info({ user: event.user });
                 const userName = userInfo.user.real_name || userInfo.user.name;
-                const userId = `slack_${event.user}`;
+                const userId = this.relay.getUserId(event.user, boltContext.teamId);
+
+                // Reply inside the thread - a top-level mention starts a new thread,
+                // and with it a new Copilot Studio conversation. In shared channels the
+                // author's display name travels with the message so the agent can tell
+                // speakers apart.
+                const context = {
+                    channel: event.channel,
+                    threadTs,
+                    shared,
+                    userName: userInfo.user.profile?.display_name || userName
+                };
 
                 console.log(`👋 Mention from ${userName} (${userId}): "${text}"`);
 
                 // Same authentication pattern as direct messages
                 if (this.config.copilotStudio.requireAuth) {
-                    const storedToken = this.relay.getUserToken(userId);
+                    const storedToken = await this.relay.getUserToken(userId);
                     
                     if (!storedToken) {
                         console.log(`🔐 User ${userId} not authenticated - sending auth link`);
-                        await this.sendAuthenticationLink(event.user, say);
+                        await this.sendAuthenticationLink(userId, say);
+                        return;
+                    }
+
+                    const attachments = await this.prepareAttachments(event.files, text, say, boltContext.teamId);
+                    if (!attachments) {
                         return;
                     }
 
                     // Show typing indicator while processing
-                    await this.showTypingIndicator(event.channel);
+                    await this.showTypingIndicator(event.channel, client);
 
                     // Send to Copilot Studio with authenticated user token
-                    const response = await this.relay.sendMessage(userId, text, storedToken);
+                    const response = await this.relay.sendMessage(userId, text, storedToken, context, attachments);
                     
                     if (response && response.text) {
                         await say(response.text);
@@ -346,11 +523,16 @@ class SlackBot {
                         //console.log('⚠️ No response from Copilot Studio');
                     }
                 } else {
+                    const attachments = await this.prepareAttachments(event.files, text, say, boltContext.teamId);
+                    if (!attachments) {
+                        return;
+                    }
+
                     // Show typing indicator while processing
-                    await this.showTypingIndicator(event.channel);
+                    await this.showTypingIndicator(event.channel, client);
 
                     // Send without authentication
-                    const response = await this.relay.sendMessage(userId, text);
+                    const response = await this.relay.sendMessage(userId, text, null, context, attachments);
                     
                     if (response && response.text) {
                         await say(response.text);
@@ -363,13 +545,268 @@ class SlackBot {
 
             } catch (error) {
                 console.error('❌ Error handling app mention:', error);
+                if (error.code === 'AUTH_REQUIRED') {
+                    await this.sendAuthenticationLink(this.relay.getUserId(event.user, boltContext.teamId), say);
+                    return;
+                }
                 await say('Sorry, I encountered an error. Please try again.');
             }
         });
 
-        // Remove consent button handlers for now
+        // Link buttons rendered from Adaptive Card Action.OpenUrl (and openUrl suggested
+        // actions) open the URL in the browser, but Slack still sends us an interaction
+        // that must be acknowledged
+        this.app.action(/^(adaptive_card|suggested_action)_open_url_/, async ({ ack }) => {
+            await ack();
+        });
 
+        // Adaptive Card Action.Submit buttons
+        // Cards without inputs are sent back to Copilot Studio right away; cards with
+        // Input.* fields open a modal so the user can fill them in first
+        this.app.action(/^adaptive_card_submit_/, async ({ ack, body, action, client, respond, context }) => {
+            await ack();
 
+            const [formId, index] = action.value.split(':');
+            const submitIndex = Number(index);
+            const userId = this.relay.getUserId(body.user.id, context.teamId);
+            const form = this.relay.getPendingForm(formId, userId);
+
+            if (!form) {
+                await respond({
+                    response_type: 'ephemeral',
+                    replace_original: false,
+                    text: '⚠️ This form has expired or was already submitted.'
+                });
+                return;
+            }
+
+            try {
+                if (form.inputs.length) {
+                    await client.views.open({
+                        trigger_id: body.trigger_id,
+                        view: this.relay.buildFormModal(formId, submitIndex)
+                    });
+                } else if (!await this.submitCardForm(formId, submitIndex, {}, userId, client)) {
+                    await respond({
+                        response_type: 'ephemeral',
+                        replace_original: false,
+                        text: '⚠️ This form has expired or was already submitted.'
+                    });
+                }
+            } catch (error) {
+                console.error('❌ Error handling Adaptive Card submit:', error);
+                await respond({
+                    response_type: 'ephemeral',
+                    replace_original: false,
+                    text: 'Sorry, I couldn\'t submit this form. Please try again.'
+                });
+            }
+        });
+
+        // Modal opened for an Adaptive Card form with inputs
+        this.app.view('adaptive_card_form', async ({ ack, view, body, client, context }) => {
+            const { formId, submitIndex } = JSON.parse(view.private_metadata);
+            const userId = this.relay.getUserId(body.user.id, context.teamId);
+            const form = this.relay.getPendingForm(formId, userId);
+
+            if (!form) {
+                await ack({
+                    response_action: 'update',
+                    view: {
+                        type: 'modal',
+                        title: view.title,
+                        blocks: [{
+                            type: 'section',
+                            text: { type: 'mrkdwn', text: '⚠️ This form has expired or was already submitted.' }
+                        }]
+                    }
+                });
+                return;
+            }
+
+            // Validation errors (required fields, regex) are shown next to the inputs
+            const { values, errors } = this.relay.cardRenderer.parseFormValues(form.inputs, view.state.values);
+            if (Object.keys(errors).length) {
+                await ack({ response_action: 'errors', errors });
+                return;
+            }
+
+            await ack();
+
+            try {
+                // Someone else may have submitted the card while the modal was open
+                if (!await this.submitCardForm(formId, submitIndex, values, userId, client)) {
+                    await client.chat.postEphemeral({
+                        channel: form.context.channel,
+                        thread_ts: form.context.threadTs,
+                        user: body.user.id,
+                        text: '⚠️ This form has expired or was already submitted.'
+                    });
+                }
+            } catch (error) {
+                console.error('❌ Error submitting Adaptive Card form:', error);
+            }
+        });
+
+        // Suggested actions (quick replies) under a Copilot reply
+        // The clicked value is sent as the user's next message in the same conversation,
+        // and the buttons are replaced by a note of what was chosen
+        this.app.action(/^suggested_action_\d+$/, async ({ ack, body, action, client, respond, context }) => {
+            await ack();
+
+            const [suggestionId, index] = action.value.split(':');
+            const userId = this.relay.getUserId(body.user.id, context.teamId);
+            const suggestedAction = this.relay.getSuggestedAction(suggestionId, Number(index), userId);
+
+            if (!suggestedAction) {
+                await respond({
+                    response_type: 'ephemeral',
+                    replace_original: false,
+                    text: '⚠️ These suggestions are no longer available - just type your reply instead.'
+                });
+                return;
+            }
+
+            try {
+                const user = await this.resolveInteractionUser(userId, client);
+                if (!user) {
+                    return;
+                }
+                const { userToken, userName } = user;
+
+                await this.replaceActionRow(client, body, 'suggested_actions_',
+                    `➡️ ${userName ? `${escapeMrkdwn(userName)} chose` : 'You chose'}: *${escapeMrkdwn(action.text.text)}*`);
+
+                // Another click may have used the suggestions up in the meantime
+                if (!await this.relay.sendSuggestedAction(suggestionId, Number(index), userId, userToken, userName)) {
+                    await respond({
+                        response_type: 'ephemeral',
+                        replace_original: false,
+                        text: '⚠️ These suggestions are no longer available - just type your reply instead.'
+                    });
+                }
+            } catch (error) {
+                console.error('❌ Error handling suggested action:', error);
+                await respond({
+                    response_type: 'ephemeral',
+                    replace_original: false,
+                    text: 'Sorry, I encountered an error. Please try again.'
+                });
+            }
+        });
+
+        // Allow / Cancel on a connector consent request
+        // Only the user who triggered the request can answer it; the decision is
+        // relayed to Copilot Studio and recorded in the audit log
+        this.app.action(/^consent_(allow|cancel)$/, async ({ ack, body, action, client, respond, context }) => {
+            await ack();
+
+            const consentId = action.value;
+            const decision = action.action_id === 'consent_allow' ? 'Allow' : 'Cancel';
+            const userId = this.relay.getUserId(body.user.id, context.teamId);
+            const unavailable = {
+                response_type: 'ephemeral',
+                replace_original: false,
+                text: '⚠️ This permission request has expired, was already answered, or is for someone else.'
+            };
+
+            if (!this.relay.getPendingConsent(consentId, userId)) {
+                await respond(unavailable);
+                return;
+            }
+
+            try {
+                const user = await this.resolveInteractionUser(userId, client);
+                if (!user) {
+                    return;
+                }
+
+                // Another click may have answered it in the meantime - only the click
+                // that claims the request updates the card and relays its decision
+                const consent = this.relay.claimPendingConsent(consentId, userId);
+                if (!consent) {
+                    await respond(unavailable);
+                    return;
+                }
+
+                const serviceName = escapeMrkdwn(consent.serviceName);
+                await this.replaceActionRow(client, body, `consent_${consentId}`, decision === 'Allow'
+                    ? `✅ Access to *${serviceName}* allowed`
+                    : `🚫 Access to *${serviceName}* not allowed`);
+                await this.relay.handleConsentCardResponse(consent, decision, userId, user.userToken, user.userName);
+            } catch (error) {
+                console.error('❌ Error handling consent response:', error);
+                await respond({
+                    response_type: 'ephemeral',
+                    replace_original: false,
+                    text: 'Sorry, I encountered an error. Please try again.'
+                });
+            }
+        });
+
+        // "Show more" under a long reply that was split into parts
+        this.app.action('reply_show_more', async ({ ack, body, action, client, respond }) => {
+            await ack();
+
+            try {
+                await this.replaceActionRow(client, body, 'show_more_', null);
+
+                if (!await this.relay.showMoreReply(action.value)) {
+                    await respond({
+                        response_type: 'ephemeral',
+                        replace_original: false,
+                        text: '⚠️ The rest of this reply is no longer available - please ask again.'
+                    });
+                }
+            } catch (error) {
+                console.error('❌ Error showing more of a reply:', error);
+            }
+        });
+
+        // "Retry" on a turn that timed out
+        // Only the user whose message timed out can retry it
+        this.app.action('retry_turn', async ({ ack, body, action, client, respond, context }) => {
+            await ack();
+
+            const userId = this.relay.getUserId(body.user.id, context.teamId);
+            if (!this.relay.getPendingRetry(action.value, userId)) {
+                await respond({
+                    response_type: 'ephemeral',
+                    replace_original: false,
+                    text: '⚠️ This message can no longer be retried, or it isn\'t yours - please send it again.'
+                });
+                return;
+            }
+
+            try {
+                const user = await this.resolveInteractionUser(userId, client);
+                if (!user) {
+                    return;
+                }
+
+                await this.replaceActionRow(client, body, `retry_${action.value}`, '🔁 Retried');
+                await this.relay.retryTurn(action.value, userId, user.userToken);
+            } catch (error) {
+                console.error('❌ Error retrying turn:', error);
+                await respond({
+                    response_type: 'ephemeral',
+                    replace_original: false,
+                    text: 'Sorry, I encountered an error. Please try again.'
+                });
+            }
+        });
+
+        // A workspace removed the app (several workspaces only): forget its bot token
+        if (this.installer) {
+            this.app.event('app_uninstalled', async ({ context }) => {
+                try {
+                    await this.installationStore.deleteInstallation({ teamId: context.teamId });
+                    this.teamClients.delete(context.teamId);
+                } catch (error) {
+                    console.error(`❌ Failed to delete the installation of workspace ${context.teamId}:`, error);
+                }
+            });
+        }
 
         // Global error handler for the Slack app
         // This catches any unhandled errors in event processing
@@ -379,6 +816,198 @@ class SlackBot {
         });
     }
 
+    /**
+     * Build the /agent message: every agent profile with its description, and a menu
+     * to pick one
+     * 
+     * @param {string} userId - The Slack user's ID (format: "slack_U1234567890")
+     * @param {string|null} notice - Optional: line shown above the list
+     * @returns {Object} { text, blocks } for an ephemeral response
+     */
+    async buildAgentPicker(userId, notice = null) {
+        const { agents } = this.relay.agentRouter;
+        const { agent: current } = await this.relay.routeMessage(userId, '');   // Where their next DM would go
+
+        const lines = agents.map(agent => {
+            const details = [
+                agent.description && escapeMrkdwn(agent.description),
+                agent.prefixes.length && `prefix: ${agent.prefixes.map(prefix => `\`${escapeMrkdwn(prefix)}\``).join(', ')}`
+            ].filter(Boolean).join(' · ');
+            return `${agent === current ? '▶️' : '•'} *${escapeMrkdwn(agent.displayName)}*${details ? ` - ${details}` : ''}`;
+        });
+        const option = (agent) => ({
+            text: { type: 'plain_text', text: agent.displayName.slice(0, 75) },
+            ...(agent.description ? { description: { type: 'plain_text', text: agent.description.slice(0, 75) } } : {}),
+            value: agent.name
+        });
+
+        return {
+            text: `You're talking to ${current.displayName}`,
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: `${notice ? `${notice}\n\n` : ''}🧭 *Available agents*\n${lines.join('\n')}`
+                    }
+                },
+                {
+                    type: 'section',
+                    block_id: 'agent_picker',
+                    text: { type: 'mrkdwn', text: `You're talking to *${escapeMrkdwn(current.displayName)}*. Switch to:` },
+                    accessory: {
+                        type: 'static_select',
+                        action_id: 'agent_select',
+                        placeholder: { type: 'plain_text', text: 'Pick an agent' },
+                        initial_option: option(current),
+                        options: agents.slice(0, 100).map(option)
+                    }
+                }
+            ]
+        };
+    }
+
+    getAgentSwitchedText(agent) {
+        return `🧭 You're now talking to *${escapeMrkdwn(agent.displayName)}*. Your next message starts a new conversation.`;
+    }
+
+    /**
+     * Wrap Bolt's say() so every reply lands in the given thread
+     * 
+     * Bolt's say() always posts at the top level of the channel. When the user is
+     * talking to us inside a thread we want our answers (auth prompts, errors, etc.)
+     * to stay in that thread too.
+     * 
+     * @param {Function} say - Slack's say function from the event handler
+     * @param {string|undefined} threadTs - Thread timestamp, or undefined for top-level
+     * @returns {Function} A say function that posts into the thread
+     */
+    threadedSay(say, threadTs) {
+        if (!threadTs) {
+            return say;
+        }
+
+        return (message) => say(typeof message === 'string'
+            ? { text: message, thread_ts: threadTs }
+            : { ...message, thread_ts: threadTs });
+    }
+
+    /**
+     * Download the files shared with a message and tell the user about rejected ones
+     * 
+     * @param {Array} files - The message's "files" array (may be undefined)
+     * @param {string} text - The message text
+     * @param {Function} say - Slack's say function (already bound to the thread)
+     * @param {string} teamId - Workspace the files were shared in
+     * @returns {Array|null} Attachments to send, or null if there's nothing left to
+     *   send (no text and every file was rejected)
+     */
+    async prepareAttachments(files, text, say, teamId) {
+        if (!files?.length) {
+            return [];
+        }
+
+        // Several workspaces: only the files' own workspace token can download them
+        const botToken = this.installer ? (await this.getTeamClient(teamId)).token : this.config.slack.botToken;
+        const { attachments, rejected } = await this.fileAttachments.prepare(files, botToken);
+
+        if (rejected.length) {
+            const lines = rejected.map(file => `• *${escapeMrkdwn(file.name)}*: ${escapeMrkdwn(file.reason)}`);
+            await say(`⚠️ I couldn't pass ${rejected.length === 1 ? 'this file' : 'these files'} on to the agent:\n${lines.join('\n')}`);
+        }
+
+        return (attachments.length || text?.trim()) ? attachments : null;
+    }
+
+    /**
+     * Send a submitted Adaptive Card form to Copilot Studio
+     * 
+     * @param {string} formId - ID of the pending form
+     * @param {number} submitIndex - Which Action.Submit button was clicked
+     * @param {Object} values - Input id -> value
+     * @param {string} userId - The relay's ID of the user who submitted the form
+     * @param {Object} client - Slack Web API client
+     * @returns {boolean} False if the form was no longer available (expired, or
+     *   submitted by someone else in the meantime)
+     */
+    async submitCardForm(formId, submitIndex, values, userId, client) {
+        const user = await this.resolveInteractionUser(userId, client);
+        if (!user) {
+            return true;   // The user was sent the sign-in link instead
+        }
+
+        return !!await this.relay.submitCardAction(formId, submitIndex, values, userId, user.userToken, user.userName);
+    }
+
+    /**
+     * Get the token and display name of a user who clicked a button or submitted a modal
+     * 
+     * Applies the same authentication rule as typed messages: when auth is required
+     * the user needs a stored token, otherwise the sign-in link is sent to their DM
+     * (interactions have no say() to answer with).
+     * 
+     * @param {string} userId - The relay's user ID (see RelayMiddleware.getUserId)
+     * @param {Object} client - Slack Web API client
+     * @returns {Object|null} { userToken, userName }, or null if the user must sign in first
+     */
+    async resolveInteractionUser(userId, client) {
+        const { slackUserId } = this.relay.parseUserId(userId);
+        let userToken = null;
+
+        if (this.config.copilotStudio.requireAuth) {
+            userToken = await this.relay.getUserToken(userId);
+
+            if (!userToken) {
+                console.log(`🔐 User ${userId} not authenticated - sending auth link`);
+                await this.sendAuthenticationLink(userId, (message) => client.chat.postMessage({
+                    channel: slackUserId,
+                    ...(typeof message === 'string' ? { text: message } : message)
+                }));
+                return null;
+            }
+        }
+
+        let userName;
+        try {
+            const userInfo = await client.users.info({ user: slackUserId });
+            userName = userInfo.user.profile?.display_name || userInfo.user.real_name || userInfo.user.name;
+        } catch (userInfoError) {
+            console.warn(`⚠️ Could not get user info for ${slackUserId}:`, userInfoError.message);
+        }
+
+        return { userToken, userName };
+    }
+
+    /**
+     * Replace a used row of buttons (suggested actions, consent) with a note of what was chosen
+     * 
+     * Failures are logged and ignored - the buttons are already used up on our side,
+     * so a stale row only leads to a "no longer available" notice.
+     * 
+     * @param {Object} client - Slack Web API client
+     * @param {Object} body - block_actions payload (carries the message and its blocks)
+     * @param {string} blockIdPrefix - block_id prefix of the actions row to replace
+     * @param {string|null} note - mrkdwn text shown instead of the buttons (null: just remove them)
+     */
+    async replaceActionRow(client, body, blockIdPrefix, note) {
+        const blocks = (body.message?.blocks || [])
+            .map(block => block.block_id?.startsWith(blockIdPrefix)
+                ? (note ? { type: 'context', elements: [{ type: 'mrkdwn', text: note }] } : null)
+                : block)
+            .filter(Boolean);
+
+        try {
+            await client.chat.update({
+                channel: body.channel.id,
+                ts: body.message.ts,
+                text: body.message.text,
+                blocks
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to remove suggested actions:', error.message);
+        }
+    }
+
     /**
      * Show typing indicator in Slack channel
      * 
@@ -392,15 +1021,16 @@ class SlackBot {
      * - Different behavior in DMs vs channels vs group chats
      * 
      * @param {string} channel - Slack channel ID to show typing indicator in
+     * @param {Object} client - Slack Web API client of the event's workspace
      * 
      * SECURITY NOTE: Channel IDs are considered non-sensitive but logging them
      * could reveal conversation patterns for analytics purposes.
      */
-    async showTypingIndicator(channel) {
+    async showTypingIndicator(channel, client) {
         try {
             // Use Slack's conversations.typing API
             // This is a recent addition to improve user experience
-            await this.app.client.conversations.typing({
+            await client.conversations.typing({
                 channel: channel
             });
             
@@ -430,7 +1060,8 @@ class SlackBot {
      * 5. Microsoft redirects back to our app
      * 6. We store the token and notify user in Slack
      * 
-     * @param {string} slackUserId - Slack user ID to authenticate
+     * @param {string} userId - The relay's ID of the user to authenticate ("slack_U123", or
+     *   "slack_T123_U123" when installed in several workspaces)
      * @param {Function} say - Slack's say function to send messages
      * 
      * SECURITY CONSIDERATIONS:
@@ -439,9 +1070,9 @@ class SlackBot {
      * - Base URL construction could be vulnerable to header injection
      * - Consider using state parameter for additional security
      */
-    async sendAuthenticationLink(slackUserId, say) {
+    async sendAuthenticationLink(userId, say) {
         const baseUrl = this.config.server?.baseUrl || `http://localhost:${this.config.server?.port || 8005}`;
-        const authUrl = `${baseUrl}/auth/login/${slackUserId}`;
+        const authUrl = `${baseUrl}/auth/login/${userId.replace(/^slack_/, '')}`;
         
         console.log(`🔗 Generating auth URL: ${authUrl} (base: ${baseUrl})`);
         
@@ -483,25 +1114,86 @@ class SlackBot {
      * Sends a direct message to the user confirming their authentication worked.
      * This closes the loop and lets them know they can start using the bot.
      * 
-     * @param {string} slackUserId - Slack user ID with 'slack_' prefix
+     * @param {string} userId - The relay's user ID (with 'slack_' prefix)
      * 
      * SECURITY NOTE: This sends a DM to confirm auth success, which could
      * be sensitive information if accounts are compromised.
      */
-    async notifyAuthSuccess(slackUserId) {
+    async notifyAuthSuccess(userId) {
         try {
-            if (this.app && this.app.client) {
-                await this.app.client.chat.postMessage({
-                    channel: slackUserId.replace('slack_', ''), // Remove prefix for DM
+            const client = await this.relay.getSlackClient(userId);
+            if (client) {
+                await client.chat.postMessage({
+                    channel: this.relay.parseUserId(userId).slackUserId, // User ID opens the DM
                     text: '✅ *Authentication Successful!*\n\nYou can now chat with the bot. Just send me a message or mention me in a channel!'
                 });
-                console.log(`✅ Sent auth success notification to ${slackUserId}`);
+                console.log(`✅ Sent auth success notification to ${userId}`);
             }
         } catch (error) {
-            console.error(`❌ Failed to send auth success notification to ${slackUserId}:`, error);
+            console.error(`❌ Failed to send auth success notification to ${userId}:`, error);
         }
     }
 
+    /**
+     * Slack Web API client with the bot token of one workspace (several workspaces only)
+     * 
+     * Used for everything the relay posts outside of a Bolt handler ("Thinking...",
+     * replies, files). Clients are kept per workspace and replaced when the
+     * workspace reinstalls the app with a new token.
+     * 
+     * @param {string} teamId - Slack workspace ID
+     * @returns {Promise<WebClient>}
+     * @throws {Error} If the workspace hasn't installed the app
+     */
+    async getTeamClient(teamId) {
+        const { botToken } = await this.installer.authorize({ teamId, isEnterpriseInstall: false });
+        const cached = this.teamClients.get(teamId);
+        if (cached?.botToken === botToken) {
+            return cached.client;
+        }
+
+        const client = new WebClient(botToken, { logLevel: this.config.logLevel });
+        this.teamClients.set(teamId, { botToken, client });
+        return client;
+    }
+
+    /**
+     * "Add to Slack": send the installer to Slack's consent screen (GET /slack/install)
+     * 
+     * Sets a signed state cookie that handleInstallCallback checks, so a callback
+     * can't be forged from another browser (CSRF).
+     */
+    async handleInstallPath(req, res) {
+        await this.installer.handleInstallPath(req, res);
+    }
+
+    /**
+     * Slack redirects here after the app was approved (GET /slack/oauth_redirect)
+     * 
+     * InstallProvider verifies the state, exchanges the code for the workspace's bot
+     * token and saves the installation in SlackInstallationStore.
+     */
+    async handleInstallCallback(req, res) {
+        await this.installer.handleCallback(req, res, {
+            success: (installation, options, callbackReq, callbackRes) => {
+                callbackRes.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                callbackRes.end(`
+                    <h2>✅ Installed!</h2>
+                    <p>The bot is now available in your Slack workspace. Send it a direct message to get started.</p>
+                    <p>This window can be closed.</p>
+                `);
+            },
+            failure: (error, options, callbackReq, callbackRes) => {
+                console.error('❌ Slack installation failed:', error.message);
+                callbackRes.writeHead(500, { 'Content-Type': 'text/html; charset=utf-8' });
+                callbackRes.end(`
+                    <h2>❌ Installation Failed</h2>
+                    <p>The bot could not be installed. Please try again from the install page.</p>
+                `);
+            }
+        });
+    }
+
     /**
      * Start the Slack bot
      * 
@@ -532,11 +1224,21 @@ class SlackBot {
                 // Don't throw here - let the client handle reconnection
             });
 
-            await this.app.start();
-            console.log('⚡️ Slack bot is running!');
+            // In HTTP mode there is nothing to connect: requests arrive through the
+            // Express server, which app.js starts
+            if (this.httpMode) {
+                console.log(`⚡️ Slack bot is running - listening for Slack requests at ${this.config.server.baseUrl}/slack/events`);
+            } else {
+                await this.app.start();
+                console.log('⚡️ Slack bot is running!');
+            }
             
             // Connect Slack client to RelayMiddleware for thinking messages
-            if (this.app.client && this.relay.slackClient !== this.app.client) {
+            // (several workspaces: a client with the token of the user's workspace)
+            if (this.installer) {
+                this.relay.resolveSlackClient = (teamId) => this.getTeamClient(teamId);
+                console.log('🔗 Connected per-workspace Slack clients to RelayMiddleware');
+            } else if (this.app.client && this.relay.slackClient !== this.app.client) {
                 this.relay.slackClient = this.app.client;
                 console.log('🔗 Connected Slack client to RelayMiddleware for thinking messages');
             }
@@ -544,7 +1246,7 @@ class SlackBot {
             // Start cleanup interval for relay middleware
             // This prevents memory leaks by cleaning up old connections
             setInterval(() => {
-                this.relay.cleanup();
+                this.relay.cleanup().catch(error => console.error('❌ Cleanup failed:', error.message));
             }, this.config.app.cleanupIntervalMs);
 
             console.log(`🧹 Cleanup interval started (every ${this.config.app.cleanupIntervalMs / (60 * 1000)} minutes)`);
@@ -579,7 +1281,9 @@ class SlackBot {
      */
     async stop() {
         try {
-            await this.app.stop();
+            if (!this.httpMode) {
+                await this.app.stop();   // HTTP mode: the Express server is closed by app.js
+            }
             console.log('🛑 Slack bot stopped');
         } catch (error) {
             console.error('❌ Error stopping Slack bot:', error);
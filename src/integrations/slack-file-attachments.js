@@ -0,0 +1,277 @@
+/**
+ * Slack File Attachments - Moves files between Slack and Copilot Studio
+ *
+ * Inbound: when someone drops a PDF, image or CSV into a conversation with the
+ * bot, Slack only sends us the file's metadata. This module checks each file
+ * against the configured allowlists, downloads the allowed ones with the bot token
+ * of the workspace they were shared in and turns them into Bot Framework
+ * attachments for the outgoing activity:
+ *
+ *   { contentType: 'application/pdf', name: 'report.pdf', contentUrl: 'data:application/pdf;base64,...' }
+ *
+ * Files are sent inline (as data URLs) because the Copilot Studio client has no
+ * separate upload endpoint.
+ *
+ * Outbound: agent replies can carry images and generated documents, either inline
+ * (data URLs / base64 content) or as links. Small images at https URLs are shown
+ * inline as image blocks; everything else is uploaded into the DM or thread with
+ * Slack's files.uploadV2.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - Only types on FILE_ALLOWED_TYPES and files up to FILE_MAX_SIZE_MB are relayed;
+ *   the size is checked before and after the download
+ * - Files are only downloaded from Slack's own file hosts, so the bot token is
+ *   never sent anywhere else
+ * - File contents are kept in memory only for the duration of the turn
+ * - Outbound files are only fetched over https, with a time and size limit; the
+ *   URLs come from the agent, so never point the agent at internal-only hosts
+ * - The bot needs the files:read and files:write scopes
+ */
+
+// Slack serves private file downloads from these hosts only
+const SLACK_FILE_HOSTS = ['files.slack.com', 'files-edge.slack.com', 'files-origin.slack.com'];
+
+// How long to wait for an agent-provided file URL
+const FETCH_TIMEOUT_MS = 15000;
+
+class SlackFileAttachments {
+    /**
+     * @param {Object} config - Application configuration (uses config.files)
+     */
+    constructor(config) {
+        this.config = config;
+    }
+
+    /**
+     * Check and download the files of a Slack message
+     *
+     * @param {Array} files - The message's "files" array from Slack
+     * @param {string} botToken - Bot token of the workspace the files were shared in
+     * @returns {Object} { attachments, rejected } - Bot Framework attachments for the
+     *   accepted files, and [{ name, reason }] for the files that were not relayed
+     */
+    async prepare(files, botToken) {
+        const attachments = [];
+        const rejected = [];
+
+        for (const file of files) {
+            const name = file.name || file.title || 'file';
+            const reason = this.getRejectionReason(file);
+
+            if (reason) {
+                console.log(`📎 Not relaying file "${name}" (${file.mimetype}, ${file.size} bytes): ${reason}`);
+                rejected.push({ name, reason });
+                continue;
+            }
+
+            try {
+                const content = await this.download(file, botToken);
+
+                // Slack's size metadata can't be trusted blindly - check what we actually got
+                if (content.length > this.config.files.maxSizeBytes) {
+                    rejected.push({ name, reason: `it's larger than ${this.formatSize(this.config.files.maxSizeBytes)}` });
+                    continue;
+                }
+
+                attachments.push({
+                    contentType: file.mimetype,
+                    name,
+                    contentUrl: `data:${file.mimetype};base64,${content.toString('base64')}`
+                });
+                console.log(`📎 Relaying file "${name}" (${file.mimetype}, ${content.length} bytes)`);
+            } catch (error) {
+                console.error(`❌ Failed to download file "${name}":`, error.message);
+                rejected.push({ name, reason: 'it could not be downloaded from Slack' });
+            }
+        }
+
+        return { attachments, rejected };
+    }
+
+    /**
+     * Explain why a file can't be relayed
+     *
+     * @param {Object} file - Slack file object
+     * @returns {string|null} Reason for the user, or null if the file is fine
+     */
+    getRejectionReason(file) {
+        if (file.mode === 'external' || file.is_external) {
+            return 'files linked from other services can\'t be passed on';
+        }
+        if (!this.isAllowedType(file.mimetype)) {
+            return `files of type ${file.filetype || file.mimetype || 'unknown'} aren't supported`;
+        }
+        if (file.size > this.config.files.maxSizeBytes) {
+            return `it's larger than ${this.formatSize(this.config.files.maxSizeBytes)}`;
+        }
+        if (!this.isSlackFileUrl(file.url_private_download || file.url_private)) {
+            return 'it could not be downloaded from Slack';
+        }
+        return null;
+    }
+
+    /**
+     * Check a MIME type against the allowlist (entries like "image/*" match a whole family)
+     */
+    isAllowedType(mimetype) {
+        if (!mimetype) {
+            return false;
+        }
+        return this.config.files.allowedTypes.some(allowed => allowed.endsWith('/*')
+            ? mimetype.startsWith(allowed.slice(0, -1))
+            : mimetype === allowed);
+    }
+
+    /**
+     * Download a private Slack file with the bot token
+     *
+     * @param {Object} file - Slack file object
+     * @param {string} botToken - Bot token of the file's workspace
+     * @returns {Buffer} File content
+     */
+    async download(file, botToken) {
+        const response = await fetch(file.url_private_download || file.url_private, {
+            headers: { Authorization: `Bearer ${botToken}` },
+            redirect: 'manual'   // A redirect means Slack sent us to a login page, not the file
+        });
+
+        if (!response.ok) {
+            throw new Error(`Slack returned HTTP ${response.status}`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    /**
+     * Check whether an attachment on an agent reply is a file we should deliver
+     *
+     * Cards (Adaptive, OAuth, Hero, ...) are Bot Framework UI, not files - they are
+     * rendered elsewhere.
+     *
+     * @param {Object} attachment - Attachment of a Copilot Studio message activity
+     * @returns {boolean}
+     */
+    isFileAttachment(attachment) {
+        if (!attachment?.contentType || attachment.contentType.startsWith('application/vnd.microsoft.')) {
+            return false;
+        }
+        return typeof attachment.contentUrl === 'string' || typeof attachment.content === 'string';
+    }
+
+    /**
+     * Render an agent attachment inline, if it's a small image at an https URL
+     *
+     * @param {Object} attachment - File attachment (see isFileAttachment)
+     * @returns {Object|null} Image block, or null if the file has to be uploaded
+     */
+    async renderInline(attachment) {
+        if (!attachment.contentType.startsWith('image/') || !/^https:\/\//i.test(attachment.contentUrl || '')) {
+            return null;
+        }
+
+        // Ask for the size first - big images are better off as a file than inline
+        try {
+            const response = await fetch(attachment.contentUrl, { method: 'HEAD', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+            const size = parseInt(response.headers.get('content-length') || '0', 10);
+            if (size > this.config.files.inlineImageMaxBytes) {
+                return null;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not check size of image ${attachment.contentUrl}:`, error.message);
+        }
+
+        return {
+            type: 'image',
+            image_url: attachment.contentUrl,
+            alt_text: (attachment.name || 'Image from the agent').slice(0, 2000)
+        };
+    }
+
+    /**
+     * Upload agent attachments into a Slack DM or thread
+     *
+     * @param {Object} slackClient - Slack Web API client
+     * @param {Array} attachments - File attachments (see isFileAttachment)
+     * @param {string} channel - Channel to upload into
+     * @param {string} threadTs - Optional: thread to upload into
+     * @returns {Array<string>} Names of the files that could not be delivered
+     */
+    async upload(slackClient, attachments, channel, threadTs = undefined) {
+        const failed = [];
+
+        for (const [index, attachment] of attachments.entries()) {
+            const filename = attachment.name || `attachment-${index + 1}${this.guessExtension(attachment.contentType)}`;
+
+            try {
+                const file = await this.loadAttachment(attachment);
+                await slackClient.files.uploadV2({
+                    channel_id: channel,
+                    thread_ts: threadTs,
+                    file,
+                    filename,
+                    title: filename
+                });
+                console.log(`📎 Uploaded "${filename}" (${attachment.contentType}, ${file.length} bytes) to ${channel}`);
+            } catch (error) {
+                console.error(`❌ Failed to deliver attachment "${filename}":`, error.message);
+                failed.push(filename);
+            }
+        }
+
+        return failed;
+    }
+
+    /**
+     * Get an agent attachment's bytes from its data URL, https URL or base64 content
+     *
+     * @param {Object} attachment - File attachment
+     * @returns {Buffer} File content
+     */
+    async loadAttachment(attachment) {
+        let content;
+
+        const dataUrl = attachment.contentUrl?.match(/^data:[^,]*?(;base64)?,(.*)$/s);
+        if (dataUrl) {
+            content = dataUrl[1] ? Buffer.from(dataUrl[2], 'base64') : Buffer.from(decodeURIComponent(dataUrl[2]));
+        } else if (attachment.contentUrl) {
+            if (!/^https:\/\//i.test(attachment.contentUrl)) {
+                throw new Error('only https URLs are fetched');
+            }
+            const response = await fetch(attachment.contentUrl, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            if (parseInt(response.headers.get('content-length') || '0', 10) > this.config.files.maxSizeBytes) {
+                throw new Error(`larger than ${this.formatSize(this.config.files.maxSizeBytes)}`);
+            }
+            content = Buffer.from(await response.arrayBuffer());
+        } else {
+            content = Buffer.from(attachment.content, 'base64');
+        }
+
+        if (content.length > this.config.files.maxSizeBytes) {
+            throw new Error(`larger than ${this.formatSize(this.config.files.maxSizeBytes)}`);
+        }
+        return content;
+    }
+
+    guessExtension(contentType) {
+        const subtype = contentType.split('/')[1]?.split(/[+;]/)[0];
+        return subtype && /^[a-z0-9.-]{1,10}$/i.test(subtype) ? `.${subtype}` : '';
+    }
+
+    isSlackFileUrl(url) {
+        try {
+            const { protocol, hostname } = new URL(url);
+            return protocol === 'https:' && SLACK_FILE_HOSTS.includes(hostname);
+        } catch {
+            return false;
+        }
+    }
+
+    formatSize(bytes) {
+        return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`;
+    }
+}
+
+export default SlackFileAttachments;
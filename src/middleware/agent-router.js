@@ -0,0 +1,143 @@
+/**
+ * Agent Router - Decides which Copilot Studio agent a Slack message goes to
+ *
+ * One bot can front several agents (HR, IT, Sales, ...), each described by an
+ * agent profile (COPILOT_AGENTS, see config/index.js). The rules, strongest first:
+ *
+ * 1. Keyword prefix - "hr: how many vacation days do I have?" goes to the profile
+ *    with the prefix "hr:"; the prefix itself is removed from the message
+ * 2. Channel - messages in a channel listed by a profile
+ * 3. The user's own choice, made with the /agent command
+ * 4. User group - messages from members of a Slack user group listed by a profile
+ * 5. Everything else goes to the default agent (COPILOT_DEFAULT_AGENT)
+ *
+ * The relay adds one more rule between 1 and 2: a DM or thread that is already
+ * talking to an agent stays with it (see RelayMiddleware.routeMessage).
+ *
+ * User group members are looked up with usergroups.users.list (bot scope
+ * usergroups:read) and cached for AGENT_USER_GROUP_CACHE_MS.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - Routing decides which agent answers, not what a user may see: every agent still
+ *   runs with the user's own token, so access control stays with the agents
+ * - Membership changes in Slack user groups take effect after the cache expires
+ */
+
+class AgentRouter {
+    /**
+     * @param {Object} config - Application configuration (uses config.agents)
+     */
+    constructor(config) {
+        this.agents = config.agents.profiles;
+        this.defaultAgent = this.agents.find(agent => agent.name === config.agents.defaultAgent) || this.agents[0];
+        this.userGroupCacheMs = config.agents.userGroupCacheMs;
+
+        // Slack user group members, looked up on demand
+        this.userGroups = new Map();   // userGroupId -> { members: Set, fetchedAt }
+    }
+
+    /**
+     * Look up an agent profile by name
+     *
+     * @param {string} name - Profile name
+     * @returns {Object} The profile, or the default agent for unknown names (e.g. a
+     *   profile removed from the configuration since a conversation was saved)
+     */
+    getAgent(name) {
+        return this.agents.find(agent => agent.name === name) || this.defaultAgent;
+    }
+
+    hasAgent(name) {
+        return this.agents.some(agent => agent.name === name);
+    }
+
+    isDefault(name) {
+        return !name || name === this.defaultAgent.name;
+    }
+
+    /**
+     * Find an agent the message explicitly asks for with its keyword prefix
+     *
+     * Prefixes match case-insensitively. A prefix ending in a letter or digit
+     * ("!hr") must be followed by a space, so it doesn't match longer words ("!hrs").
+     *
+     * @param {string} messageText - The message as the user typed it
+     * @returns {Object|null} { agent, text } with the prefix removed, or null
+     */
+    matchPrefix(messageText = '') {
+        const text = messageText.trimStart();
+        const lowerText = text.toLowerCase();
+
+        for (const agent of this.agents) {
+            for (const prefix of agent.prefixes) {
+                const next = lowerText.charAt(prefix.length);
+                if (lowerText.startsWith(prefix) && (/\W$/.test(prefix) || !next || /\s/.test(next))) {
+                    return { agent, text: text.slice(prefix.length).trim() };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Pick the agent for a message by channel, the user's choice and user group rules
+     *
+     * @param {string} slackUserId - Raw Slack user ID (U123...)
+     * @param {string} channelId - Slack channel the message was sent in
+     * @param {WebClient} slackClient - Slack Web API client (for user group members)
+     * @param {Object} chosenAgent - Optional: agent the user picked with /agent
+     * @returns {Object} The agent profile
+     */
+    async matchRules(slackUserId, channelId, slackClient = null, chosenAgent = null) {
+        const byChannel = channelId && this.agents.find(agent => agent.channels.includes(channelId));
+        if (byChannel) {
+            return byChannel;
+        }
+        if (chosenAgent) {
+            return chosenAgent;
+        }
+
+        for (const agent of this.agents.filter(candidate => candidate.userGroups.length)) {
+            for (const userGroupId of agent.userGroups) {
+                const members = await this.getUserGroupMembers(userGroupId, slackClient);
+                if (members.has(slackUserId)) {
+                    return agent;
+                }
+            }
+        }
+
+        return this.defaultAgent;
+    }
+
+    /**
+     * Members of a Slack user group (cached)
+     *
+     * A failed lookup is logged and treated as an empty group, so the message still
+     * reaches an agent; it is tried again on the next message.
+     *
+     * @param {string} userGroupId - Slack user group ID (S123...)
+     * @param {WebClient} slackClient - Slack Web API client
+     * @returns {Set} Slack user IDs
+     */
+    async getUserGroupMembers(userGroupId, slackClient) {
+        const cached = this.userGroups.get(userGroupId);
+        if (cached && Date.now() - cached.fetchedAt < this.userGroupCacheMs) {
+            return cached.members;
+        }
+        if (!slackClient) {
+            return cached?.members || new Set();
+        }
+
+        try {
+            const result = await slackClient.usergroups.users.list({ usergroup: userGroupId });
+            const members = new Set(result.users || []);
+            this.userGroups.set(userGroupId, { members, fetchedAt: Date.now() });
+            return members;
+        } catch (error) {
+            console.warn(`⚠️ Could not load members of user group ${userGroupId} (needs usergroups:read):`, error.data?.error || error.message);
+            return cached?.members || new Set();
+        }
+    }
+}
+
+export default AgentRouter;
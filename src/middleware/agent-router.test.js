@@ -0,0 +1,72 @@
+/**
+ * AgentRouter - which agent a message goes to (run with "npm test")
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import AgentRouter from './agent-router.js';
+
+const profile = (name, rules = {}) => ({ name, displayName: name, channels: [], userGroups: [], prefixes: [], ...rules });
+
+function createRouter() {
+    return new AgentRouter({
+        agents: {
+            profiles: [
+                profile('default'),
+                profile('hr', { prefixes: ['hr:', '!hr'], channels: ['C_HR'], userGroups: ['S_HR'] }),
+                profile('it', { prefixes: ['it:'], channels: ['C_IT'], userGroups: ['S_IT'] })
+            ],
+            defaultAgent: 'default',
+            userGroupCacheMs: 60000
+        }
+    });
+}
+
+// Slack client whose user groups have the given members
+const slackClient = (groups) => ({
+    usergroups: { users: { list: mock.fn(async ({ usergroup }) => ({ ok: true, users: groups[usergroup] || [] })) } }
+});
+
+test('a keyword prefix picks the agent and is removed from the message', () => {
+    const router = createRouter();
+
+    assert.deepEqual(router.matchPrefix('  HR: how many vacation days?'), { agent: router.getAgent('hr'), text: 'how many vacation days?' });
+    assert.equal(router.matchPrefix('!hr payroll').agent.name, 'hr');
+    assert.equal(router.matchPrefix('!hrs are long'), null, 'a prefix ending in a letter needs a space after it');
+    assert.equal(router.matchPrefix('what about hr: later'), null, 'only a leading prefix counts');
+});
+
+test('channel beats the user\'s choice, which beats user groups, which beat the default', async () => {
+    const router = createRouter();
+    const client = slackClient({ S_IT: ['U1'] });
+    const chosen = router.getAgent('hr');
+
+    assert.equal((await router.matchRules('U1', 'C_IT', client, chosen)).name, 'it');
+    assert.equal((await router.matchRules('U1', 'C_OTHER', client, chosen)).name, 'hr');
+    assert.equal((await router.matchRules('U1', 'C_OTHER', client)).name, 'it');
+    assert.equal((await router.matchRules('U2', 'C_OTHER', client)).name, 'default');
+});
+
+test('user group members are cached, and a failed lookup counts as an empty group', async () => {
+    const router = createRouter();
+    const client = slackClient({ S_HR: ['U1'] });
+
+    await router.matchRules('U1', null, client);
+    await router.matchRules('U1', null, client);
+    assert.equal(client.usergroups.users.list.mock.callCount(), 1);
+
+    const failing = { usergroups: { users: { list: async () => {
+        throw Object.assign(new Error('missing_scope'), { data: { error: 'missing_scope' } });
+    } } } };
+    mock.method(console, 'warn', () => {});
+    assert.equal((await createRouter().matchRules('U1', null, failing)).name, 'default');
+});
+
+test('unknown agent names fall back to the default agent', () => {
+    const router = createRouter();
+
+    assert.equal(router.getAgent('sales').name, 'default');
+    assert.equal(router.hasAgent('sales'), false);
+    assert.ok(router.isDefault(undefined));
+    assert.ok(!router.isDefault('hr'));
+});
@@ -0,0 +1,94 @@
+/**
+ * Conversation Queue - Runs the turns of one conversation one at a time
+ *
+ * A Copilot Studio conversation can only handle one turn at a time: if a user
+ * sends three messages in quick succession and all three are relayed at once, the
+ * replies race each other and end up in the wrong "Thinking..." placeholders.
+ *
+ * This queue keeps a FIFO list per conversation key. The first entry is the turn
+ * that's running; the others wait. Different conversations don't block each other.
+ * Whenever a turn finishes, the waiting entries are told their new position, so
+ * the user can see how many messages are ahead of theirs. The next turn only
+ * starts once its own update (position 0) is done, so that update can't land on
+ * top of the turn's reply.
+ */
+
+class ConversationQueue {
+    constructor() {
+        // conversationKey -> [{ task, resolve, reject, onPositionChange }], first entry is running
+        this.queues = new Map();
+    }
+
+    /**
+     * Queue a turn for a conversation
+     *
+     * @param {string} conversationKey - Conversation the turn belongs to
+     * @param {Function} task - Async function running the turn
+     * @param {Function} onPositionChange - Called with the new position when turns ahead
+     *   finish (0 = the turn is starting now); may return a promise
+     * @returns {Promise} Resolves or rejects with the task's result
+     */
+    enqueue(conversationKey, task, onPositionChange = () => {}) {
+        return new Promise((resolve, reject) => {
+            const queue = this.queues.get(conversationKey) || [];
+            queue.push({ task, resolve, reject, onPositionChange });
+            this.queues.set(conversationKey, queue);
+
+            if (queue.length === 1) {
+                this.runNext(conversationKey);
+            }
+        });
+    }
+
+    /**
+     * Number of turns queued or running for a conversation
+     *
+     * This is also how many turns a newly queued one will wait for.
+     */
+    getDepth(conversationKey) {
+        return this.queues.get(conversationKey)?.length || 0;
+    }
+
+    async runNext(conversationKey) {
+        const queue = this.queues.get(conversationKey);
+        const entry = queue[0];
+
+        try {
+            entry.resolve(await entry.task());
+        } catch (error) {
+            entry.reject(error);  // A failed turn doesn't stop the ones behind it
+        }
+
+        queue.shift();
+        if (!queue.length) {
+            this.queues.delete(conversationKey);
+            return;
+        }
+
+        const updates = queue.map((waiting, position) => Promise.resolve()
+            .then(() => waiting.onPositionChange(position))
+            .catch(error => console.warn('⚠️ Failed to report queue position:', error.message)));
+        await updates[0];
+        this.runNext(conversationKey);
+    }
+
+    /**
+     * Queue depth per conversation, for monitoring
+     *
+     * @returns {Object} { waitingTurns, busyConversations, conversations: [{ conversationKey, depth }] }
+     */
+    getStats() {
+        const conversations = Array.from(this.queues.entries()).map(([conversationKey, queue]) => ({
+            conversationKey,
+            depth: queue.length
+        }));
+
+        return {
+            waitingTurns: conversations.reduce((sum, conversation) => sum + conversation.depth - 1, 0),
+            busyConversations: conversations.length,
+            conversations
+        };
+    }
+}
+
+export default ConversationQueue;
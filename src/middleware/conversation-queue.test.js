@@ -0,0 +1,99 @@
+/**
+ * ConversationQueue - one turn at a time per conversation (run with "npm test")
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ConversationQueue from './conversation-queue.js';
+
+// A task that runs until the test lets it finish
+function deferredTask(log, name) {
+    let finish;
+    const done = new Promise(resolve => {
+        finish = resolve;
+    });
+    const task = async () => {
+        log.push(`start ${name}`);
+        await done;
+        log.push(`end ${name}`);
+        return name;
+    };
+    return { task, finish };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs the turns of a conversation in order, telling waiting turns their position', async () => {
+    const queue = new ConversationQueue();
+    const log = [];
+    const turns = ['a', 'b', 'c'].map(name => deferredTask(log, name));
+
+    const results = turns.map(({ task }, index) =>
+        queue.enqueue('slack_U1', task, position => log.push(`${'abc'[index]} at ${position}`)));
+    assert.equal(queue.getDepth('slack_U1'), 3);
+
+    for (const turn of turns) {
+        await tick();
+        turn.finish();
+    }
+
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+    assert.deepEqual(log, [
+        'start a', 'end a',
+        'b at 0', 'c at 1',
+        'start b', 'end b',
+        'c at 0',
+        'start c', 'end c'
+    ]);
+    assert.equal(queue.getDepth('slack_U1'), 0);
+});
+
+test('conversations don\'t wait for each other', async () => {
+    const queue = new ConversationQueue();
+    const log = [];
+    const slow = deferredTask(log, 'slow');
+
+    const first = queue.enqueue('slack_U1', slow.task);
+    const second = queue.enqueue('slack_U2', async () => 'fast');
+
+    assert.equal(await second, 'fast');
+    assert.deepEqual(queue.getStats(), { waitingTurns: 0, busyConversations: 1, conversations: [{ conversationKey: 'slack_U1', depth: 1 }] });
+    slow.finish();
+    assert.equal(await first, 'slow');
+});
+
+test('a failed turn rejects its own caller and lets the next one run', async () => {
+    const queue = new ConversationQueue();
+
+    const failing = queue.enqueue('slack_U1', async () => {
+        throw new Error('agent unavailable');
+    });
+    const next = queue.enqueue('slack_U1', async () => 'answered');
+
+    await assert.rejects(failing, /agent unavailable/);
+    assert.equal(await next, 'answered');
+});
+
+test('the next turn starts once its position update is done, even if the update fails', async (t) => {
+    const queue = new ConversationQueue();
+    const log = [];
+    const first = deferredTask(log, 'a');
+    t.mock.method(console, 'warn', () => {});
+
+    const results = [
+        queue.enqueue('slack_U1', first.task),
+        queue.enqueue('slack_U1', async () => log.push('start b'), async (position) => {
+            await tick();
+            log.push(`b at ${position}`);
+        }),
+        queue.enqueue('slack_U1', async () => log.push('start c'), async () => {
+            throw new Error('message_not_found');
+        })
+    ];
+    await tick();
+    first.finish();
+    await Promise.all(results);
+
+    assert.deepEqual(log, ['start a', 'end a', 'b at 0', 'start b', 'start c']);
+    assert.equal(console.warn.mock.callCount(), 2, 'c failed to show position 1, then 0');
+});
@@ -0,0 +1,98 @@
+/**
+ * Copilot Request Scope - Watches and cancels the HTTP requests of one Copilot Studio call
+ *
+ * The Copilot Studio client (1.5+) streams every turn as Server-Sent Events. It
+ * reads them with eventsource-client through the global fetch, and that library
+ * treats an error response (401 expired token, 404 unknown conversation) like a
+ * dropped connection: it quietly posts the same request again every two seconds
+ * instead of failing. The relay needs those errors to refresh tokens and replace
+ * expired conversations (see RelayMiddleware.getConversationFailure). The client
+ * also takes no AbortSignal, so a timed-out turn would keep its request open.
+ *
+ * runCopilotCall() executes a client call in an AsyncLocalStorage scope. A fetch
+ * hook, installed once, only touches requests made inside such a scope - everything
+ * else (file downloads, Graph lookups) goes through untouched. Inside a scope it:
+ * - rejects the call with an error carrying the HTTP status when Copilot Studio
+ *   answers with an error,
+ * - cancels the call's requests when the caller's signal aborts (turn timeout), and
+ * - stops the client's retries: once the call is over, every request it still
+ *   starts fails as aborted, which eventsource-client takes as "closed".
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const scopes = new AsyncLocalStorage();
+let baseFetch = null;
+
+/**
+ * Route the global fetch through the scope of the Copilot call it belongs to
+ */
+function installFetchHook() {
+    if (baseFetch) {
+        return;
+    }
+    baseFetch = globalThis.fetch;
+
+    globalThis.fetch = async function copilotScopedFetch(url, init = {}) {
+        const scope = scopes.getStore();
+        if (!scope) {
+            return baseFetch(url, init);
+        }
+
+        if (scope.controller.signal.aborted) {
+            throw new DOMException('Copilot Studio call is over', 'AbortError');
+        }
+        scope.requests++;
+
+        const signal = init.signal ? AbortSignal.any([init.signal, scope.controller.signal]) : scope.controller.signal;
+        const response = await baseFetch(url, { ...init, signal });
+
+        if (!response.ok) {
+            const error = new Error(`Copilot Studio request failed with status code ${response.status}`);
+            error.status = response.status;
+            error.response = { status: response.status };
+            response.body?.cancel().catch(() => {});
+            scope.fail(error);
+            throw new DOMException(error.message, 'AbortError');
+        }
+        return response;
+    };
+}
+
+/**
+ * Run a Copilot Studio client call and watch its requests
+ *
+ * @param {Function} task - Async function making the client call
+ * @param {AbortSignal} signal - Optional: cancels the call
+ * @returns {Promise} Settles like the task, or rejects with the HTTP error of a
+ *   failed request, or with the signal's reason once it aborts
+ */
+function runCopilotCall(task, signal = undefined) {
+    installFetchHook();
+
+    const scope = { controller: new AbortController(), requests: 0, fail: null };
+    const failed = new Promise((resolve, reject) => {
+        scope.fail = reject;
+    });
+    failed.catch(() => {});  // Only matters while the race is on
+
+    const onAbort = () => {
+        if (!scope.requests) {
+            console.warn('⚠️ Copilot Studio call can\'t be cancelled (the client sent no request through fetch) - it may keep running in the background');
+        }
+        scope.fail(signal.reason);
+    };
+    if (signal?.aborted) {
+        onAbort();
+    } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return Promise.race([scopes.run(scope, task), failed])
+        .finally(() => {
+            signal?.removeEventListener('abort', onAbort);
+            scope.controller.abort();
+        });
+}
+
+export default runCopilotCall;
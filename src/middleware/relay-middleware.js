@@ -16,16 +16,15 @@
  * 
  * SECURITY CONSIDERATIONS:
  * ⚠️  CURRENT LIMITATIONS (suitable for development/testing only):
- * - Authentication tokens stored in memory (not encrypted)
+ * - Authentication tokens are encrypted, but only persisted when TOKEN_STORE is set
+ *   (see TokenRepository)
  * - No token expiration validation
- * - No persistent storage (tokens lost on restart)
- * - No audit logging
  * - Broad OAuth scope permissions
  * 
  * 🔒 PRODUCTION SECURITY REQUIREMENTS:
- * - Implement encrypted token storage (database/Redis with encryption at rest)
+ * - Configure a persistent TOKEN_STORE with a TOKEN_ENCRYPTION_KEY from a secret store
  * - Add token expiration checking and refresh logic
- * - Implement audit logging for compliance
+ * - Set AUDIT_LOG_FILE and ship the audit log (see auditLog) to tamper-proof storage
  * - Use minimal OAuth scopes (principle of least privilege)
  * - Add rate limiting and abuse detection
  * - Implement proper session management
@@ -38,33 +37,127 @@ import {
     CopilotStudioClient,        // Microsoft's official client for connecting to Copilot Studio
     ConnectionSettings          // Settings needed to establish the connection
 } from '@microsoft/agents-copilotstudio-client';
-import { ConfidentialClientApplication } from '@azure/msal-node';  // Microsoft's authentication library
+import { ConfidentialClientApplication, InteractionRequiredAuthError } from '@azure/msal-node';  // Microsoft's authentication library
+import crypto from 'crypto';
+import fs from 'fs';
+import StreamingReply from './streaming-reply.js';                  // Throttled progressive updates of the "Thinking..." message
+import ConversationQueue from './conversation-queue.js';            // One turn at a time per conversation
+import runCopilotCall from './copilot-request-scope.js';             // HTTP errors and cancelling of Copilot Studio calls
+import AdaptiveCardRenderer from '../formatters/adaptive-card-renderer.js';  // Adaptive Card -> Slack Block Kit
+import MarkdownConverter from '../formatters/markdown-converter.js';          // Agent Markdown -> Slack mrkdwn
+import { escapeMrkdwn } from '../formatters/slack-text.js';                  // Escaping for Slack mrkdwn
+import CitationFormatter from '../formatters/citation-formatter.js';          // Generative answer sources -> footnotes
+import ReplyChunker from '../formatters/reply-chunker.js';                    // Long replies -> several Slack messages
+import SlackFileAttachments from '../integrations/slack-file-attachments.js'; // Agent files -> Slack uploads / image blocks
+import createSessionStore, { createStore } from '../storage/session-store.js'; // Conversation IDs that survive restarts
+import TokenRepository from '../storage/token-repository.js';              // Encrypted user tokens that survive restarts
+import AgentRouter from './agent-router.js';                                // Which agent a message goes to
+
+const ADAPTIVE_CARD_CONTENT_TYPE = 'application/vnd.microsoft.card.adaptive';
 
 class RelayMiddleware {
     constructor(config, slackClient = null) {
         this.config = config;  // Store configuration settings (API keys, URLs, etc.)
         this.slackClient = slackClient;  // Store Slack Web API client for posting messages
+        this.resolveSlackClient = null;  // teamId -> Promise<WebClient>, when installed in several workspaces (set by SlackBot)
         
         // In-memory storage for active connections
-        // Think of this like a phone book: userId -> connection details
-        // Each Slack user gets their own dedicated connection to Copilot Studio
-        this.activeConnections = new Map(); // userId -> { client, conversationId, conversationActivity }
+        // Think of this like a phone book: conversationKey -> connection details
+        // Each Slack user gets their own dedicated connection to Copilot Studio,
+        // plus one extra connection per Slack thread they talk to the bot in
+        // (see getConversationKey for the key format)
+        this.activeConnections = new Map(); // conversationKey -> { client, conversationId, conversationActivity, agent }
+        
+        // Several Copilot Studio agents can sit behind the bot (COPILOT_AGENTS); each
+        // message is routed to one of them, and each agent has its own conversations
+        this.agentRouter = new AgentRouter(config);
+        this.agentActivity = new Map();     // agent name -> { turns, lastActivity }
+        
+        // Agents users picked with /agent, kept with the same backend as the sessions
+        this.agentChoiceStore = createStore({
+            store: config.sessions.store,
+            filePath: config.sessions.agentChoiceFile,
+            sqlitePath: config.sessions.sqlitePath,
+            sqliteTable: 'agent_choices',
+            redisUrl: config.sessions.redisUrl,
+            redisKey: config.sessions.agentChoiceRedisKey,
+            setting: 'SESSION_STORE'
+        });
+        this.agentChoices = new Map();      // userId -> agent name
         
-        // In-memory storage for user authentication tokens
+        // Conversation IDs are also written to the session store (SESSION_STORE), so
+        // after a restart users continue their conversation instead of starting over.
+        // Sessions loaded at startup wait in savedSessions until the conversation's
+        // next message reconnects them (see restoreSessions / createUserConnection).
+        this.sessionStore = createSessionStore(config);
+        this.savedSessions = new Map();     // conversationKey -> { conversationKey, conversationId, userId, shared, agent, lastActivity }
+        
+        // Storage for user authentication tokens, encrypted in memory and at rest
         // This is like storing "login cookies" for each Slack user
-        // Format: slackUserId -> userAccessToken (for Microsoft Entra ID authentication)
-        this.userTokens = new Map(); 
+        // Format: slackUserId -> { token, storedAt, lastUsed, expiresAt } (for Microsoft Entra ID authentication)
+        this.tokenRepository = new TokenRepository(config);
+
+        // Refreshes in progress, so parallel messages of one user share one refresh
+        this.tokenRefreshes = new Map();    // slackUserId -> Promise<string|null>
         
         // Set up Microsoft's authentication system (MSAL = Microsoft Authentication Library)
-        // This handles the OAuth flow when users need to log in with their Microsoft accounts
+        // This handles the OAuth flow when users need to log in with their Microsoft accounts,
+        // and keeps their refresh tokens in its token cache (persisted, encrypted, by the
+        // token repository - see createTokenCachePlugin)
         this.msalInstance = new ConfidentialClientApplication({
             auth: {
                 clientId: this.config.copilotStudio.appClientId,        // Your app's ID in Microsoft's system
                 clientSecret: this.config.copilotStudio.clientSecret,   // Your app's secret key (like a password)
                 authority: `${this.config.oauth.authority}/${this.config.copilotStudio.tenantId}`  // Microsoft's login server for your organization
+            },
+            cache: {
+                cachePlugin: this.createTokenCachePlugin()
             }
         });
 
+        // Turns waiting for their conversation to be free (FIFO per conversation key)
+        this.messageQueue = new ConversationQueue();
+
+        // Translates Adaptive Cards in Copilot replies into Slack Block Kit
+        this.cardRenderer = new AdaptiveCardRenderer();
+
+        // Copilot Studio answers in Markdown; Slack speaks its own mrkdwn dialect
+        this.markdown = new MarkdownConverter();
+
+        // Generative answers cite their sources; we show them as footnotes
+        this.citations = new CitationFormatter();
+
+        // Replies too long for one Slack message are split into several
+        this.replyChunker = new ReplyChunker(this.markdown);
+
+        // Images and documents the agent sends back
+        this.fileAttachments = new SlackFileAttachments(config);
+
+        // Rest of long replies waiting behind a "Show more" button (REPLY_OVERFLOW_MODE=show_more)
+        // overflowId -> { messages, slackClient, channel, threadTs, createdAt }
+        this.pendingOverflows = new Map();
+
+        // Adaptive Card forms waiting for the user to submit them
+        // formId -> { userId, conversationKey, context, inputs, submitActions, createdAt }
+        // Submit buttons in Slack carry the formId, so a click can be routed back to
+        // the conversation that sent the card.
+        this.pendingForms = new Map();
+
+        // Suggested actions (quick replies) shown under the latest reply of a conversation
+        // suggestionId -> { userId, conversationKey, context, actions, createdAt }
+        this.pendingSuggestions = new Map();
+
+        // Connector consent requests waiting for the user's Allow / Cancel
+        // consentId -> { userId, conversationKey, context, serviceName, card, createdAt }
+        this.pendingConsents = new Map();
+
+        // Turns that timed out, kept so the user can retry them with one click
+        // retryId -> { userId, conversationKey, activity, context, createdAt }
+        this.pendingRetries = new Map();
+
+        // Turns abandoned because Copilot Studio didn't answer within MESSAGE_TIMEOUT_MS
+        this.timeoutCount = 0;
+
         // Service token cache to avoid requesting new tokens every time
         this.serviceTokenCache = {
             token: null,
@@ -74,25 +167,238 @@ class RelayMiddleware {
         console.log('🤖 Relay Middleware initialized');
     }
 
+    /**
+     * Check whether a channel uses one shared conversation for everyone
+     * 
+     * Channels can be configured individually (CHANNEL_CONVERSATION_MODES), otherwise
+     * DEFAULT_CHANNEL_CONVERSATION_MODE applies. Direct messages are always private.
+     * 
+     * @param {string} channelId - Slack channel ID
+     * @returns {boolean} True if mentions in this channel share one conversation
+     */
+    isSharedChannel(channelId) {
+        if (!channelId || channelId.startsWith('D')) {
+            return false;
+        }
+
+        const { channelModes, defaultChannelMode } = this.config.conversations;
+        return (channelModes[channelId] || defaultChannelMode) === 'shared';
+    }
+
+    /**
+     * Work out which Copilot Studio conversation a Slack message belongs to
+     * 
+     * Every Slack thread (channel + thread_ts) gets its own conversation, so users can
+     * run several topics in parallel and a DM thread never shares context with a
+     * channel thread. Messages outside of any thread use the user's main conversation.
+     * In shared channels the key ignores the user, so everyone lands in the same
+     * conversation for the channel (or for the thread).
+     * 
+     * Key formats:
+     * - "slack_U123"                         -> user's main (top-level DM) conversation
+     * - "slack_U123:C456:1700000000.000100"  -> user's conversation in a specific thread
+     * - "channel_C456"                       -> shared conversation for a whole channel
+     * - "channel_C456:1700000000.000100"     -> shared conversation for a thread
+     * 
+     * When the bot is installed in several workspaces the user ID carries the
+     * workspace ("slack_T123_U123", see getUserId) and so do channel keys
+     * ("channel_T123_C456"), so no two workspaces ever share a conversation.
+     * 
+     * Conversations with an agent other than the default one get the agent's name
+     * appended ("slack_U123@hr"), so the same DM or thread can hold one conversation
+     * per agent. Default agent keys stay as they were before agent profiles existed.
+     * 
+     * @param {string} userId - The Slack user's ID (format: "slack_U1234567890")
+     * @param {Object} context - Where the message came from
+     * @param {string} [context.channel] - Slack channel ID
+     * @param {string} [context.threadTs] - Timestamp of the thread's parent message
+     * @param {boolean} [context.shared] - Whether the channel is in shared mode
+     * @param {string} [context.agent] - Agent profile name (defaults to the default agent)
+     * @returns {string} Key into activeConnections
+     */
+    getConversationKey(userId, context = {}) {
+        let key = userId;
+        if (context.shared && context.channel) {
+            const { teamId } = this.parseUserId(userId);
+            const channel = teamId ? `${teamId}_${context.channel}` : context.channel;
+            key = context.threadTs
+                ? `channel_${channel}:${context.threadTs}`
+                : `channel_${channel}`;
+        } else if (context.channel && context.threadTs) {
+            key = `${userId}:${context.channel}:${context.threadTs}`;
+        }
+        return this.agentRouter.isDefault(context.agent) ? key : `${key}@${context.agent}`;
+    }
+
+    /**
+     * Build the relay's ID for a Slack user
+     * 
+     * Installed in one workspace (SLACK_BOT_TOKEN) the ID is "slack_U123", as it
+     * always was. Installed in several (SLACK_CLIENT_ID), it is namespaced by the
+     * workspace - "slack_T123_U123" - so tokens, conversations and /agent choices of
+     * different workspaces stay apart (Slack IDs never contain "_").
+     * 
+     * @param {string} slackUserId - Slack user ID (U123...)
+     * @param {string} teamId - Slack workspace ID (T123...) the user wrote from
+     * @returns {string} Relay user ID
+     */
+    getUserId(slackUserId, teamId = null) {
+        return this.config.slack.multiWorkspace && teamId ? `slack_${teamId}_${slackUserId}` : `slack_${slackUserId}`;
+    }
+
+    /**
+     * Split a relay user ID (see getUserId) into its Slack parts
+     * 
+     * @param {string} userId - Relay user ID
+     * @returns {Object} { teamId (null for "slack_U123"), slackUserId }
+     */
+    parseUserId(userId) {
+        const [first, second] = userId.replace(/^slack_/, '').split('_');
+        return second ? { teamId: first, slackUserId: second } : { teamId: null, slackUserId: first };
+    }
+
+    /**
+     * The Slack Web API client for a user's workspace
+     * 
+     * @param {string} userId - Relay user ID
+     * @returns {Promise<WebClient|null>} The bot's client, or - when installed in several
+     *   workspaces - a client with the bot token of the user's workspace
+     */
+    async getSlackClient(userId) {
+        const { teamId } = this.parseUserId(userId);
+        return teamId && this.resolveSlackClient ? this.resolveSlackClient(teamId) : this.slackClient;
+    }
+
+    /**
+     * Check whether a conversation already exists for this user and Slack location
+     * 
+     * Used by the Slack bot to decide whether a reply in a channel thread is meant
+     * for us (the bot was mentioned earlier in the thread) or is just people talking.
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {Object} context - Slack channel/thread context (see getConversationKey)
+     * @returns {boolean} True if there is an active conversation for that thread, with any agent
+     */
+    hasConversation(userId, context = {}) {
+        return this.agentRouter.agents.some(agent =>
+            this.activeConnections.has(this.getConversationKey(userId, { ...context, agent: agent.name })));
+    }
+
+    /**
+     * Find the agent a DM or thread is currently talking to
+     * 
+     * When the same DM or thread has conversations with several agents, the one
+     * used last wins.
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {Object} context - Slack channel/thread context (see getConversationKey)
+     * @returns {Object|null} Agent profile, or null if there is no conversation yet
+     */
+    getConversationAgent(userId, context = {}) {
+        let latest = null;
+        for (const agent of this.agentRouter.agents) {
+            const conversationKey = this.getConversationKey(userId, { ...context, agent: agent.name });
+            const lastActivity = (this.activeConnections.get(conversationKey) || this.savedSessions.get(conversationKey))?.lastActivity;
+            if (lastActivity && (!latest || lastActivity > latest.lastActivity)) {
+                latest = { agent, lastActivity };
+            }
+        }
+        return latest?.agent || null;
+    }
+
+    /**
+     * Decide which agent answers a message (see AgentRouter for the rules)
+     * 
+     * An explicit keyword prefix always wins. Otherwise a DM or thread that is
+     * already talking to an agent stays with it, so follow-up questions don't need
+     * the prefix again; new conversations are routed by channel, the user's /agent
+     * choice and user group.
+     * 
+     * @param {string} userId - The Slack user's ID (format: "slack_U1234567890")
+     * @param {string} messageText - The message as the user typed it
+     * @param {Object} context - Slack channel/thread context (see getConversationKey)
+     * @returns {Object} { agent, text } - text without the keyword prefix
+     */
+    async routeMessage(userId, messageText, context = {}) {
+        const prefixed = this.agentRouter.matchPrefix(messageText);
+        if (prefixed) {
+            return { agent: prefixed.agent, text: prefixed.text || messageText };
+        }
+
+        // In shared channel conversations one person's /agent choice doesn't apply to everyone
+        const agent = this.getConversationAgent(userId, context)
+            || await this.agentRouter.matchRules(this.parseUserId(userId).slackUserId, context.channel,
+                await this.getSlackClient(userId), context.shared ? null : this.getChosenAgent(userId));
+        return { agent, text: messageText };
+    }
+
+    /**
+     * The agent a user picked with /agent
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @returns {Object|null} Agent profile, or null if they haven't picked one
+     */
+    getChosenAgent(userId) {
+        const name = this.agentChoices.get(userId);
+        return name && this.agentRouter.hasAgent(name) ? this.agentRouter.getAgent(name) : null;
+    }
+
+    /**
+     * Switch a user to another agent (the /agent command)
+     * 
+     * The choice is remembered and applies to everything the user starts from now on,
+     * except in channels that have an agent of their own. Like newConversation, the
+     * user's DM conversations are torn down, so their next DM message starts a fresh
+     * conversation with the new agent. Threads keep the agent they were started with.
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {string} agentName - Agent profile name
+     * @returns {Object} The agent profile
+     */
+    async switchAgent(userId, agentName) {
+        if (!this.agentRouter.hasAgent(agentName)) {
+            throw new Error(`Unknown agent "${agentName}"`);
+        }
+        const agent = this.agentRouter.getAgent(agentName);
+
+        for (const { name } of this.agentRouter.agents) {
+            this.forgetConversation(this.getConversationKey(userId, { agent: name }));
+        }
+
+        this.agentChoices.set(userId, agent.name);
+        await this.agentChoiceStore.set(userId, { userId, agent: agent.name, chosenAt: Date.now() })
+            .catch(error => console.error(`❌ Failed to save agent choice of ${userId}:`, error.message));
+
+        console.log(`🧭 ${userId} switched to agent ${agent.name}`);
+        return agent;
+    }
+
     /**
      * Create a new connection between a Slack user and Copilot Studio
      * 
      * This is like opening a dedicated phone line between a specific Slack user 
-     * and Microsoft's AI chatbot. Each user gets their own private conversation.
+     * and Microsoft's AI chatbot. Each user gets their own private conversation,
+     * and each Slack thread gets its own conversation on top of that.
      * 
      * @param {string} userId - The Slack user's ID (format: "slack_U1234567890")
      * @param {string|null} userToken - Optional: the user's Microsoft login token
+     * @param {string} conversationKey - Optional: key to store the connection under (defaults to userId)
+     * @param {Object} agent - Optional: agent profile to connect to (defaults to the default agent)
      * @returns {Object} Connection object containing the client and conversation details
+     * 
+     * SECURITY NOTE: A shared channel conversation is created with the token of the
+     * user who mentions the bot first, so the agent acts as that user for everyone
+     * in the channel. Only enable shared mode for agents that don't expose per-user data.
      */
-    async createUserConnection(userId, userToken = null) {
+    async createUserConnection(userId, userToken = null, conversationKey = userId, agent = this.agentRouter.defaultAgent) {
         try {
-            console.log(`🔗 Creating connection for user: ${userId}`);
+            console.log(`🔗 Creating connection for user: ${userId} (conversation: ${conversationKey}, agent: ${agent.name})`);
 
             // Configuration for connecting to Copilot Studio
             // This tells Microsoft which AI bot to connect to and where to find it
             const connectionConfig = {
-                environmentId: this.config.copilotStudio.environmentId,    // Which Microsoft environment (like a server location)
-                agentIdentifier: this.config.copilotStudio.agentIdentifier,        // Which specific AI bot to talk to
+                environmentId: agent.environmentId,      // Which Microsoft environment (like a server location)
+                agentIdentifier: agent.agentIdentifier,  // Which specific AI bot to talk to
                 authorityUrl: `${this.config.oauth.authority}/${this.config.copilotStudio.tenantId}`  // Microsoft's authentication server
             };
 
@@ -123,9 +429,18 @@ class RelayMiddleware {
             // This is like dialing the phone number to reach the AI
             const client = new CopilotStudioClient(connectionConfig, token);
 
-            // Start a new conversation with the AI
+            // Pick up the conversation this DM/thread had before a restart, if there is one;
+            // otherwise start a new conversation with the AI
             // This is like saying "Hello" when someone picks up the phone
-            const connectionInfo = await this.createAgentsConnection(client);
+            const saved = this.savedSessions.get(conversationKey);
+            this.savedSessions.delete(conversationKey);
+            let connectionInfo;
+            if (saved?.conversationId) {
+                console.log(`💾 Reattaching ${conversationKey} to saved conversation ${saved.conversationId}`);
+                connectionInfo = { client, conversationId: saved.conversationId, conversationActivity: null };
+            } else {
+                connectionInfo = await this.createAgentsConnection(client);
+            }
 
             // Save all the connection details so we can use them later
             // This is like writing down the phone number and conversation ID for future reference
@@ -134,11 +449,15 @@ class RelayMiddleware {
                 conversationId: connectionInfo.conversationId,     // Unique ID for this conversation
                 conversationActivity: connectionInfo.conversationActivity,  // Metadata about the conversation
                 lastActivity: Date.now(),                          // Timestamp of when this connection was last used
-                userId                                             // Which Slack user this belongs to
+                userId,                                            // Which Slack user this belongs to (the first speaker for shared conversations)
+                conversationKey,                                   // Which Slack DM/thread this conversation is for
+                shared: conversationKey.startsWith('channel_'),    // Whether everyone in the channel shares this conversation
+                agent: agent.name                                  // Which agent profile the conversation is with
             };
 
             // Store this connection in our "phone book" so we can find it later
-            this.activeConnections.set(userId, connection);
+            this.activeConnections.set(conversationKey, connection);
+            this.saveSession(connection);
 
             console.log(`✅ Connection created successfully for user: ${userId}`);
             return connection;
@@ -149,6 +468,96 @@ class RelayMiddleware {
         }
     }
 
+    /**
+     * Load the sessions saved before the last restart
+     * 
+     * Called once at startup. Sessions idle for longer than CONNECTION_TIMEOUT_MS are
+     * dropped - those conversations would have been cleaned up anyway. The others
+     * are reattached when their DM or thread sends its next message.
+     */
+    async restoreSessions() {
+        await this.sessionStore.init();
+
+        const maxAge = this.config.app.connectionTimeoutMs;
+        const now = Date.now();
+        let expired = 0;
+
+        for (const session of await this.sessionStore.getAll()) {
+            // Conversations with an agent that was removed from COPILOT_AGENTS are dropped too
+            if (!session?.conversationKey || !session.conversationId || (now - session.lastActivity) > maxAge
+                || (session.agent && !this.agentRouter.hasAgent(session.agent))) {
+                expired++;
+                if (session?.conversationKey) {
+                    await this.sessionStore.delete(session.conversationKey);
+                }
+                continue;
+            }
+            this.savedSessions.set(session.conversationKey, session);
+        }
+
+        console.log(`💾 Session store (${this.config.sessions.store}): ${this.savedSessions.size} conversation(s) restored, ${expired} expired`);
+
+        // Choices of agents that are no longer configured are forgotten
+        await this.agentChoiceStore.init();
+        for (const choice of await this.agentChoiceStore.getAll()) {
+            if (choice?.userId && this.agentRouter.hasAgent(choice.agent)) {
+                this.agentChoices.set(choice.userId, choice.agent);
+            } else if (choice?.userId) {
+                await this.agentChoiceStore.delete(choice.userId);
+            }
+        }
+    }
+
+    /**
+     * Load the user tokens stored before the last restart (see TokenRepository)
+     * 
+     * Called once at startup; tokens still under a previous encryption key are
+     * re-encrypted with the current one.
+     */
+    async restoreUserTokens() {
+        await this.tokenRepository.init();
+    }
+
+    /**
+     * Write a connection's conversation to the session store
+     * 
+     * Storage problems are logged but never fail a turn - the conversation just
+     * won't survive the next restart.
+     * 
+     * @param {Object} connection - Connection from activeConnections
+     */
+    saveSession(connection) {
+        const { conversationKey, conversationId, userId, shared, agent, lastActivity } = connection;
+        return this.sessionStore.set(conversationKey, { conversationKey, conversationId, userId, shared, agent, lastActivity })
+            .catch(error => console.error(`❌ Failed to save session ${conversationKey}:`, error.message));
+    }
+
+    /**
+     * Drop a conversation's connection and its saved session
+     * 
+     * @param {string} conversationKey - Conversation to forget
+     * @returns {boolean} True if there was an active connection
+     */
+    forgetConversation(conversationKey) {
+        this.savedSessions.delete(conversationKey);
+        this.sessionStore.delete(conversationKey)
+            .catch(error => console.error(`❌ Failed to delete session ${conversationKey}:`, error.message));
+        return this.activeConnections.delete(conversationKey);
+    }
+
+    /**
+     * Flush and close the session and token stores (on shutdown)
+     */
+    async closeStores() {
+        for (const store of [this.sessionStore, this.agentChoiceStore, this.tokenRepository]) {
+            try {
+                await store.close();
+            } catch (error) {
+                console.error('❌ Failed to close store:', error.message);
+            }
+        }
+    }
+
     /**
      * Start a conversation with Copilot Studio using Microsoft's official SDK
      * 
@@ -162,7 +571,14 @@ class RelayMiddleware {
         try {
             // Tell Copilot Studio to start a new conversation
             // The 'true' parameter means "start immediately" (vs waiting for user input)
-            const conversationActivity = await client.startConversationAsync(true);
+            const activities = await runCopilotCall(async () => {
+                const started = [];
+                for await (const activity of client.startConversationStreaming(true)) {
+                    started.push(activity);
+                }
+                return started;
+            });
+            const conversationActivity = activities.find(activity => activity.conversation?.id) || {};
             
             console.log(`🔗 Conversation started: ${conversationActivity.conversation?.id}`);
             
@@ -182,10 +598,9 @@ class RelayMiddleware {
      * Save a user's Microsoft login token for future use
      * 
      * SECURITY CONSIDERATIONS:
-     * - Tokens are currently stored in memory (not persistent or encrypted)
-     * - In production, this should use encrypted storage (database with encryption at rest)
-     * - Consider implementing token rotation and expiration checking
-     * - Add audit logging for compliance requirements
+     * - Tokens are encrypted before they're stored (see TokenRepository); they survive
+     *   restarts only when a persistent TOKEN_STORE is configured
+     * - Every stored token (sign-in or renewal) is recorded in the audit log
      * 
      * When a user logs in with their Microsoft account, we get a special "token"
      * that proves they're authenticated. We save this token so they don't have to
@@ -196,13 +611,13 @@ class RelayMiddleware {
      * 
      * @param {string} slackUserId - The Slack user's ID (format: "slack_U1234567890")
      * @param {string} accessToken - The Microsoft authentication token
+     * @param {Object} renewal - Optional: how to renew the token without asking the user
+     *   to sign in again - the user's MSAL account ({ homeAccountId }), or a raw
+     *   { refreshToken } from before the switch to MSAL
      */
-    async storeUserToken(slackUserId, accessToken) {
+    async storeUserToken(slackUserId, accessToken, { homeAccountId = null, refreshToken = null } = {}) {
         console.log(`🔐 Storing access token for Slack user: ${slackUserId}`);
         
-        // TODO: SECURITY IMPROVEMENT - Encrypt tokens before storage
-        // TODO: SECURITY IMPROVEMENT - Add audit logging
-        
         // Extract expiration time from JWT token
         let expiresAt = null;
         try {
@@ -225,21 +640,18 @@ class RelayMiddleware {
         // Store with metadata for better security management
         const tokenData = {
             token: accessToken,
+            homeAccountId,
+            refreshToken,
             storedAt: Date.now(),
             lastUsed: Date.now(),
             expiresAt: expiresAt
         };
         
-        this.userTokens.set(slackUserId, tokenData);
-        
-        // TODO: PRODUCTION SECURITY - Replace with encrypted persistent storage
-        // Examples:
-        // - Database with column-level encryption
-        // - Redis with encryption at rest
-        // - Azure Key Vault or AWS Secrets Manager
-        // - Implement token rotation strategy
-        
-        console.log(`⚠️ SECURITY WARNING: Token stored in memory only - not suitable for production`);
+        await this.tokenRepository.set(slackUserId, tokenData);
+        this.auditLog('TOKEN_STORED', {
+            userId: slackUserId,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+        });
     }
 
     /**
@@ -247,51 +659,35 @@ class RelayMiddleware {
      * 
      * SECURITY ENHANCEMENTS:
      * - Check token expiration before returning
-     * - Log access attempts for audit trail
      * - Validate token format and integrity
      * 
      * This checks if we have a saved login token for a specific Slack user.
      * If we find one, it means they're already authenticated and can use the bot.
      * If we don't find one, they need to log in first.
      * 
+     * Tokens about to expire (TOKEN_REFRESH_MARGIN_MS) are renewed through MSAL first,
+     * so users aren't sent back to the login page every hour.
+     * 
      * @param {string} slackUserId - The Slack user's ID (format: "slack_U1234567890")
      * @returns {string|undefined} The stored authentication token, or undefined if not found/expired
      */
-    getUserToken(slackUserId) {
-        const tokenData = this.userTokens.get(slackUserId);
+    async getUserToken(slackUserId) {
+        let tokenData = this.tokenRepository.get(slackUserId);
         
         if (!tokenData) {
             console.log(`⚠️ No stored token for Slack user: ${slackUserId}`);
             return undefined;
         }
         
-        // Handle legacy format (plain string) vs new format (object with metadata)
-        if (typeof tokenData === 'string') {
-            console.log(`🔐 Found legacy token for Slack user: ${slackUserId}`);
-            
-            // Check expiration for legacy tokens by decoding JWT
-            try {
-                const parts = tokenData.split('.');
-                if (parts.length === 3) {
-                    const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
-                    if (payload.exp) {
-                        const now = Date.now();
-                        const expiresAt = payload.exp * 1000;
-                        if (now > expiresAt) {
-                            const expiredDate = new Date(expiresAt).toISOString();
-                            console.log(`⚠️ Legacy token expired for Slack user: ${slackUserId} (expired at ${expiredDate})`);
-                            this.userTokens.delete(slackUserId);
-                            return undefined;
-                        }
-                        console.log(`🔐 Legacy token valid until: ${new Date(expiresAt).toISOString()}`);
-                    }
-                }
-            } catch (error) {
-                console.warn(`⚠️ Could not check legacy token expiration for ${slackUserId}: ${error.message}`);
-                // Continue with legacy token if expiration check fails
+        // Renew the token shortly before it expires
+        if ((tokenData.homeAccountId || tokenData.refreshToken) && tokenData.expiresAt
+            && Date.now() > tokenData.expiresAt - this.config.tokens.refreshMarginMs) {
+            await this.refreshUserToken(slackUserId);
+            // Renewed, unchanged after a transient failure, or gone when the user has to sign in again
+            tokenData = this.tokenRepository.get(slackUserId);
+            if (!tokenData) {
+                return undefined;
             }
-            
-            return tokenData;
         }
         
         // Check token expiration
@@ -299,13 +695,12 @@ class RelayMiddleware {
         if (tokenData.expiresAt && now > tokenData.expiresAt) {
             const expiredDate = new Date(tokenData.expiresAt).toISOString();
             console.log(`⚠️ Token expired for Slack user: ${slackUserId} (expired at ${expiredDate})`);
-            this.userTokens.delete(slackUserId); // Clean up expired token
+            await this.revokeUserToken(slackUserId); // Clean up expired token
             return undefined;
         }
         
         // Update last used timestamp for analytics and cleanup
-        tokenData.lastUsed = Date.now();
-        this.userTokens.set(slackUserId, tokenData);
+        this.tokenRepository.touch(slackUserId);
         
         if (tokenData.expiresAt) {
             const expiryDate = new Date(tokenData.expiresAt).toISOString();
@@ -314,13 +709,183 @@ class RelayMiddleware {
             console.log(`🔐 Found valid token for Slack user: ${slackUserId} (no expiration set)`);
         }
         
-        // TODO: SECURITY IMPROVEMENT - Add audit logging
-        // this.auditLog('TOKEN_ACCESS', { userId: slackUserId, timestamp: Date.now() });
-        
         return tokenData.token;
     }
 
 
+    /**
+     * Build the Microsoft sign-in URL for a Slack user (authorization code flow with PKCE)
+     * 
+     * MSAL adds the openid, profile and offline_access scopes itself, so the sign-in
+     * also yields a refresh token (kept in MSAL's token cache).
+     * 
+     * @param {string} state - Value Microsoft hands back to the callback (the Slack user ID)
+     * @param {string} codeChallenge - PKCE code challenge (S256)
+     * @returns {string} URL to send the user's browser to
+     */
+    async getSignInUrl(state, codeChallenge) {
+        return this.msalInstance.getAuthCodeUrl({
+            scopes: this.getDelegatedScopes(),
+            redirectUri: `${this.config.server.baseUrl}/auth/callback`,
+            state,
+            codeChallenge,
+            codeChallengeMethod: 'S256'
+        });
+    }
+
+    /**
+     * Finish a sign-in: redeem the authorization code and store the user's token
+     * 
+     * The user's MSAL account ID is stored with the token, so later renewals can go
+     * through acquireTokenSilent (see refreshUserToken).
+     * 
+     * @param {string} slackUserId - The Slack user's ID (format: "slack_U1234567890")
+     * @param {string} code - Authorization code from the callback
+     * @param {string} codeVerifier - PKCE code verifier of the sign-in
+     * @returns {Object} MSAL authentication result
+     */
+    async completeSignIn(slackUserId, code, codeVerifier) {
+        const result = await this.msalInstance.acquireTokenByCode({
+            code,
+            codeVerifier,
+            scopes: this.getDelegatedScopes(),
+            redirectUri: `${this.config.server.baseUrl}/auth/callback`
+        });
+
+        await this.storeUserToken(slackUserId, result.accessToken, { homeAccountId: result.account?.homeAccountId });
+        console.log(`🔐 ${slackUserId} signed in as ${result.account?.username || 'unknown account'}`);
+        return result;
+    }
+
+    /**
+     * Sign a user in with an Entra ID account that already signed in to this bot
+     * 
+     * Used by SAML SSO (see SamlAuthHandler): once the user's Slack identity has been
+     * matched to an Entra ID account, an earlier interactive sign-in of that account -
+     * under another Slack user or workspace - is reused through acquireTokenSilent.
+     * 
+     * @param {string} slackUserId - The Slack user's ID (format: "slack_U1234567890")
+     * @param {string} entraUserId - Object ID of the Entra ID user
+     * @returns {string|null} The stored access token, or null if the account never
+     *   signed in here (or has to sign in again)
+     */
+    async signInWithCachedAccount(slackUserId, entraUserId) {
+        const accounts = await this.msalInstance.getTokenCache().getAllAccounts();
+        const account = accounts.find(candidate => candidate.localAccountId === entraUserId);
+        if (!account) {
+            return null;
+        }
+
+        try {
+            const result = await this.msalInstance.acquireTokenSilent({ account, scopes: this.getDelegatedScopes() });
+            await this.storeUserToken(slackUserId, result.accessToken, { homeAccountId: result.account?.homeAccountId });
+            console.log(`🔐 ${slackUserId} signed in as ${account.username} (cached Microsoft account)`);
+            return result.accessToken;
+        } catch (error) {
+            console.warn(`⚠️ Could not reuse the Microsoft sign-in of ${account.username} for ${slackUserId}:`, error.errorCode || error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get a token of a signed-in user for another API, without asking them
+     * 
+     * Used to answer an agent's SSO sign-in card (see handleUserSignInCard): MSAL
+     * redeems the user's refresh token for the API the agent names. This only works
+     * if our app registration may call that API for the user (admin consent, or the
+     * API pre-authorizes our client ID).
+     * 
+     * @param {string} slackUserId - The Slack user's ID (format: "slack_U1234567890")
+     * @param {string} scope - Scope to request, e.g. "api://botid-1234/access_as_user"
+     * @returns {string|null} The access token, or null if it takes an interactive sign-in
+     */
+    async getUserTokenForScope(slackUserId, scope) {
+        const homeAccountId = this.tokenRepository.get(slackUserId)?.homeAccountId;
+        if (!homeAccountId) {
+            return null;
+        }
+
+        try {
+            const account = await this.msalInstance.getTokenCache().getAccountByHomeId(homeAccountId);
+            if (!account) {
+                return null;
+            }
+            const result = await this.msalInstance.acquireTokenSilent({ account, scopes: [scope] });
+            return result.accessToken;
+        } catch (error) {
+            console.warn(`⚠️ Could not get a token for ${scope} for ${slackUserId}:`, error.errorCode || error.message);
+            return null;
+        }
+    }
+
+    getDelegatedScopes() {
+        return this.config.oauth.scope.split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Get a new access token for a user without asking them to sign in again
+     * 
+     * Uses MSAL's acquireTokenSilent with the user's cached account, which redeems the
+     * refresh token from MSAL's cache. Tokens stored before the switch to MSAL come
+     * with a raw refresh token instead; it's handed to MSAL once, and from then on the
+     * user has an account like everyone else. When Microsoft says the user has to sign
+     * in again (expired or revoked refresh token, password change), or there's nothing
+     * to renew the token with, the token is deleted, so the user gets the sign-in link
+     * on their next message. On other failures (network, 5xx) the token is kept.
+     * 
+     * @param {string} slackUserId - The Slack user's ID (format: "slack_U1234567890")
+     * @returns {string|null} The new access token, or null if the token couldn't be refreshed
+     */
+    async refreshUserToken(slackUserId) {
+        if (this.tokenRefreshes.has(slackUserId)) {
+            return this.tokenRefreshes.get(slackUserId);
+        }
+
+        const refresh = (async () => {
+            const tokenData = this.tokenRepository.get(slackUserId);
+            if (!tokenData?.homeAccountId && !tokenData?.refreshToken) {
+                if (tokenData) {
+                    await this.revokeUserToken(slackUserId);   // Nothing to renew it with
+                }
+                return null;
+            }
+
+            try {
+                let result;
+                if (tokenData.homeAccountId) {
+                    const account = await this.msalInstance.getTokenCache().getAccountByHomeId(tokenData.homeAccountId);
+                    if (!account) {
+                        console.warn(`⚠️ No cached Microsoft account for ${slackUserId} - sign-in required`);
+                        await this.revokeUserToken(slackUserId);
+                        return null;
+                    }
+                    result = await this.msalInstance.acquireTokenSilent({ account, scopes: this.getDelegatedScopes(), forceRefresh: true });
+                } else {
+                    result = await this.msalInstance.acquireTokenByRefreshToken({ refreshToken: tokenData.refreshToken, scopes: this.getDelegatedScopes() });
+                }
+
+                await this.storeUserToken(slackUserId, result.accessToken, { homeAccountId: result.account?.homeAccountId });
+                console.log(`🔄 Refreshed access token for Slack user: ${slackUserId}`);
+                return result.accessToken;
+            } catch (error) {
+                if (error instanceof InteractionRequiredAuthError || error.errorCode === 'invalid_grant') {
+                    console.warn(`⚠️ Token refresh rejected for ${slackUserId}: ${error.errorCode} - sign-in required`);
+                    await this.revokeUserToken(slackUserId);
+                } else {
+                    console.error(`❌ Token refresh failed for ${slackUserId}:`, error.message);
+                }
+                return null;
+            }
+        })();
+
+        this.tokenRefreshes.set(slackUserId, refresh);
+        try {
+            return await refresh;
+        } finally {
+            this.tokenRefreshes.delete(slackUserId);
+        }
+    }
+
     /**
      * Clear a user's connection to force re-authentication
      * 
@@ -330,7 +895,7 @@ class RelayMiddleware {
      * @param {string} userId - The Slack user's ID
      */
     clearUserConnection(userId) {
-        const wasDeleted = this.activeConnections.delete(userId);
+        const wasDeleted = this.forgetConversation(userId);
         if (wasDeleted) {
             console.log(`🔄 Cleared connection for user ${userId} to force fresh authentication`);
         }
@@ -342,171 +907,982 @@ class RelayMiddleware {
      * 
      * SECURITY FEATURE: Explicit token revocation for logout scenarios
      * 
-     * @param {string} slackUserId - The Slack user's ID
+     * The user's Microsoft account (and its refresh token) leaves MSAL's cache with
+     * the last token record that renews through it - SAML SSO lets several Slack
+     * users share one (see signInWithCachedAccount), and the others stay signed in.
+     * 
+     * @param {string} slackUserId - The Slack user's ID
+     * @returns {boolean} True if there was a token
+     */
+    async revokeUserToken(slackUserId) {
+        const homeAccountId = this.tokenRepository.get(slackUserId)?.homeAccountId;
+        const wasDeleted = this.tokenRepository.delete(slackUserId);
+        if (homeAccountId && !this.tokenRepository.usersOfAccount(homeAccountId).length) {
+            await this.removeMsalAccount(homeAccountId);
+        }
+        if (wasDeleted) {
+            console.log(`🔐 Revoked token for Slack user: ${slackUserId}`);
+            this.auditLog('TOKEN_REVOKED', { userId: slackUserId });
+        }
+        return wasDeleted;
+    }
+
+    /**
+     * Remove a user's account (and with it their refresh token) from MSAL's token cache
+     * 
+     * @param {string} homeAccountId - MSAL account ID
+     */
+    async removeMsalAccount(homeAccountId) {
+        try {
+            const tokenCache = this.msalInstance.getTokenCache();
+            const account = await tokenCache.getAccountByHomeId(homeAccountId);
+            if (account) {
+                await tokenCache.removeAccount(account);
+            }
+        } catch (error) {
+            console.error('❌ Failed to remove account from the MSAL token cache:', error.message);
+        }
+    }
+
+    /**
+     * Keep MSAL's token cache in the token repository
+     * 
+     * MSAL calls the plugin around every cache access: the cache is loaded from the
+     * repository when it's newer than what MSAL has, and saved back (encrypted)
+     * whenever MSAL changed it. Several bot instances sharing a token store only see
+     * each other's sign-ins after their next cache access.
+     * 
+     * @returns {Object} MSAL ICachePlugin
+     */
+    createTokenCachePlugin() {
+        let loadedCache = null;
+
+        return {
+            beforeCacheAccess: async (cacheContext) => {
+                const storedCache = this.tokenRepository.getMsalCache();
+                if (storedCache && storedCache !== loadedCache) {
+                    cacheContext.tokenCache.deserialize(storedCache);
+                    loadedCache = storedCache;
+                }
+            },
+            afterCacheAccess: async (cacheContext) => {
+                if (cacheContext.cacheHasChanged) {
+                    loadedCache = cacheContext.tokenCache.serialize();
+                    await this.tokenRepository.setMsalCache(loadedCache);
+                }
+            }
+        };
+    }
+
+    /**
+     * Send a message from Slack to Copilot Studio and get the AI's response
+     * 
+     * This is the main function that handles the back-and-forth conversation.
+     * Here's what happens:
+     * 1. Takes a message from a Slack user
+     * 2. Finds or creates their connection to Copilot Studio
+     * 3. Sends the message to the AI/MCS
+     * 4. Waits for the AI/MCS's response
+     * 5. Returns the response back to Slack
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {string} messageText - The message the user sent
+     * @param {string|null} userToken - Optional: user's authentication token
+     * @param {Object} context - Optional: Slack channel/thread the message came from
+     * @param {string} [context.channel] - Slack channel ID (defaults to the user's DM)
+     * @param {string} [context.threadTs] - Thread to reply in; also selects the conversation
+     * @param {boolean} [context.shared] - Use the channel's shared conversation
+     * @param {string} [context.userName] - Author's display name, sent along with the message
+     * @param {Array} attachments - Optional: files shared with the message (see SlackFileAttachments)
+     * @returns {Object} Object with 'text' property containing the AI's response
+     */
+    async sendMessage(userId, messageText, userToken = null, context = {}, attachments = []) {
+        const { agent, text } = await this.routeMessage(userId, messageText, context);
+        context = { ...context, agent: agent.name };
+
+        console.log(`📤 Sending message from user ${userId} to agent ${agent.name} (conversation: ${this.getConversationKey(userId, context)}): "${text}"` +
+            (attachments.length ? ` with ${attachments.length} attachment(s)` : ''));
+
+        return this.relayTurn(userId, this.buildMessageActivity(text, userId, context, attachments), userToken, context);
+    }
+
+    /**
+     * Run one conversation turn: send an activity to Copilot Studio and post the reply in Slack
+     * 
+     * Shared by everything that talks to the agent on a user's behalf - typed messages
+     * (sendMessage) as well as card submissions (submitCardAction). The reply replaces
+     * a "Thinking..." message in the same DM or thread.
+     * 
+     * Turns of the same conversation run one at a time, in the order they arrived
+     * (see ConversationQueue). While a turn waits, its placeholder shows how many
+     * messages are ahead of it.
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {Object} activity - Activity to send (message text or postBack value)
+     * @param {string|null} userToken - Optional: user's authentication token
+     * @param {Object} context - Optional: Slack channel/thread context (see sendMessage)
+     * @returns {Object} Object with 'text' property (empty - the reply is posted directly)
+     */
+    async relayTurn(userId, activity, userToken = null, context = {}) {
+        const conversationKey = this.getConversationKey(userId, context);
+        const ahead = this.messageQueue.getDepth(conversationKey);
+
+        if (ahead) {
+            console.log(`⏳ Conversation ${conversationKey} is busy - queueing turn behind ${ahead} other(s)`);
+        }
+
+        // Post the placeholder right away (so placeholders appear in message order),
+        // but only start the turn when the conversation is free
+        const placeholder = this.postThinkingMessage(userId, context, ahead);
+
+        const result = await this.messageQueue.enqueue(
+            conversationKey,
+            async () => this.runTurn(userId, activity, userToken, context, await placeholder),
+            (position) => placeholder.then(thinkingMessage => this.updateQueuePosition(thinkingMessage, position))
+        );
+
+        // The agent asked for a sign-in we can answer with the user's token (see
+        // handleUserSignInCard) - send the exchange as the next turn, whose reply is the
+        // follow-up the user sees once the connector is signed in. Only once: a turn
+        // that already answered an exchange (context.signIn) never starts another.
+        if (result.tokenExchange && !context.signIn) {
+            const { activity: exchangeActivity, fallbackText, connectionName } = result.tokenExchange;
+            return this.relayTurn(userId, exchangeActivity, userToken, { ...context, signIn: { fallbackText, connectionName } });
+        }
+        return result;
+    }
+
+    /**
+     * Run a turn whose conversation is free (see relayTurn)
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {Object} activity - Activity to send
+     * @param {string|null} userToken - Optional: user's authentication token
+     * @param {Object} context - Slack channel/thread context
+     * @param {Object|null} thinkingMessage - Placeholder to put the reply in ({ ts, channel, slackClient })
+     * @returns {Object} Object with 'text' property (empty - the reply is posted directly),
+     *   and 'tokenExchange' when the agent's sign-in should be answered next
+     */
+    async runTurn(userId, activity, userToken, context, thinkingMessage) {
+        let streamingReply = null;
+        const conversationKey = this.getConversationKey(userId, context);
+
+        // Give up on turns that take longer than MESSAGE_TIMEOUT_MS, so a stuck agent
+        // doesn't leave "Thinking..." on screen forever
+        const turnTimeout = new AbortController();
+        const timer = setTimeout(() => {
+            const timeoutError = new Error(`Copilot Studio did not answer within ${this.config.app.messageTimeoutMs}ms`);
+            timeoutError.code = 'TURN_TIMEOUT';
+            turnTimeout.abort(timeoutError);
+        }, this.config.app.messageTimeoutMs);
+        
+        try {
+            // Look for an existing connection for this user/thread
+            // This is like checking if we already have an open phone line to this person
+            let connection = this.activeConnections.get(conversationKey);
+            
+            // If no connection exists, create a new one
+            // This is like dialing the phone number if we haven't called this person yet
+            if (!connection) {
+                connection = await this.untilAborted(
+                    this.createUserConnection(userId, userToken, conversationKey, this.agentRouter.getAgent(context.agent)), turnTimeout.signal);
+            }
+
+            // Push the agent's reply into the "Thinking..." message while it's still
+            // being generated, so long multi-step answers show progress
+            if (thinkingMessage?.ts && thinkingMessage?.channel) {
+                streamingReply = new StreamingReply(thinkingMessage.slackClient, thinkingMessage.channel, thinkingMessage.ts, {
+                    throttleMs: this.config.app.streamingUpdateIntervalMs
+                });
+            }
+            let streamedText = '';   // Text of completed message activities so far
+            let previewText = '';    // Text of the message the agent is still typing (streamed chunks)
+            const onReply = (reply) => {
+                if (reply.type === 'message' && reply.text) {
+                    streamedText += reply.text + ' ';
+                    previewText = '';
+                } else if (reply.type === 'typing' && reply.text) {
+                    previewText = reply.text;
+                }
+                streamingReply?.push(this.markdown.toMrkdwn(`${streamedText}${previewText}`.trim()));
+            };
+
+            // Send the message to Copilot Studio and wait for response
+            // This uses Microsoft's official API to ask the AI a question
+            let replies;
+            let conversationReset = false;
+            try {
+                replies = await this.executeTurn(connection, activity, onReply, turnTimeout.signal);
+            } catch (error) {
+                // Copilot Studio forgets idle conversations (and all of them when it
+                // restarts) - start a new one and send the message again, once
+                const failure = turnTimeout.signal.aborted ? null : this.getConversationFailure(error);
+                if (!failure) {
+                    throw error;
+                }
+
+                console.warn(`♻️ Conversation ${conversationKey} is no longer usable (${failure}) - reconnecting and replaying the message`);
+                ({ connection, conversationReset } = await this.untilAborted(
+                    this.recoverConversation(userId, userToken, conversationKey, failure), turnTimeout.signal));
+                streamedText = '';
+                previewText = '';
+                replies = await this.executeTurn(connection, activity, onReply, turnTimeout.signal);
+            }
+            clearTimeout(timer);
+
+            // Stop streaming so the final update below is the last word
+            await streamingReply?.finish();
+            
+            // DEBUG: Log the full response structure to understand what we're getting
+            console.log(`🔍 DEBUG: Received ${replies.length} activities from Copilot Studio`);
+            replies.forEach((activity, index) => {
+                this.debugActivity(`🔍 DEBUG: Activity ${index}:`, activity);
+            });
+            
+            // Process the AI's response(s) - sometimes the AI sends multiple reply parts
+            // We combine all the text parts into one response
+            let responseText = '';
+            let consentCard = null;
+            let userSignInCard = null;
+            let tokenExchangeStatus = null;   // Status of the agent's answer to a signin/tokenExchange
+            let suggestedActions = [];   // Quick replies of the latest activity that has them
+            const replyParts = [];   // Text and rendered cards in the order the agent sent them
+            replies.forEach((activity, index) => {
+                console.log(`🔍 DEBUG: Processing activity ${index}: type=${activity.type}, name=${activity.name || 'none'}, hasText=${!!activity.text}`);
+                
+                // Like Teams and Web Chat, only the most recent suggested actions are offered
+                if (activity.suggestedActions?.actions?.length) {
+                    suggestedActions = activity.suggestedActions.actions;
+                }
+                
+                // Adaptive Cards can come with or without text - render them as Block Kit
+                // (the consent card is also an Adaptive Card, but it's handled separately)
+                const adaptiveCards = activity.type === 'message' && activity.name !== 'connectors/consentCard'
+                    ? (activity.attachments || []).filter(att => att.contentType === ADAPTIVE_CARD_CONTENT_TYPE)
+                    : [];
+                
+                // Images and generated documents - delivered after the text (see below)
+                const files = activity.type === 'message'
+                    ? (activity.attachments || []).filter(att => this.fileAttachments.isFileAttachment(att))
+                    : [];
+                
+                // Check if this reply part contains text (vs images, buttons, etc.)
+                if (activity.type === 'message' && activity.text) {
+                    // Citation markers become footnotes, with the sources listed under the answer
+                    const { text, citations } = this.citations.extract(activity);
+                    responseText += text + ' ';
+                    replyParts.push({
+                        text,
+                        blocks: [...this.cardRenderer.renderText(text), ...this.citations.renderSources(citations)]
+                    });
+                } else if (activity.type === 'invokeResponse') {
+                    tokenExchangeStatus = activity.value?.status ?? null;
+                } else if (activity.name === 'connectors/consentCard') {
+                    consentCard = activity;
+                    this.debugActivity(`🔍 DEBUG: Consent card detected! Full activity:`, activity);
+                } else if (activity.type === 'message' && !activity.text) {
+                    // Check for sign-in card
+                    // A sign-in card is a message with an attachment of a specific content type.
+                    const isSignInCard = activity.attachments?.some(
+                        att => att.contentType === 'application/vnd.microsoft.card.oauth'
+                    );
+
+                    if (isSignInCard) {
+                        userSignInCard = activity;
+                        console.log(`🔍 DEBUG: User sign-in card detected!`);
+                    }
+                    else if (!adaptiveCards.length && !files.length) {
+                    this.debugActivity(`⚠️ DEBUG: Received message activity with no text. Full activity:`, activity);
+                    }
+                }
+
+                adaptiveCards.forEach(attachment => {
+                    console.log(`🃏 Rendering Adaptive Card as Slack blocks`);
+                    const formId = crypto.randomUUID();
+                    const rendered = this.cardRenderer.render(attachment.content, { formId });
+                    
+                    // Remember cards the user can submit, so the click finds its way back here
+                    if (rendered.submitActions.length) {
+                        this.pendingForms.set(formId, {
+                            userId,
+                            conversationKey,
+                            context: { channel: context.channel, threadTs: context.threadTs, shared: context.shared, agent: context.agent },
+                            inputs: rendered.inputs,
+                            submitActions: rendered.submitActions,
+                            createdAt: Date.now()
+                        });
+                        console.log(`📝 Registered Adaptive Card form ${formId} for conversation ${conversationKey}`);
+                    }
+                    
+                    replyParts.push({ text: rendered.text, blocks: rendered.blocks, isCard: true });
+                });
+                
+                files.forEach(file => replyParts.push({ file, blocks: [] }));
+            });
+            
+            // Small images at https URLs are shown inline, in their place in the reply;
+            // all other files are uploaded into the DM or thread after the reply
+            const uploads = [];
+            for (const part of replyParts.filter(p => p.file)) {
+                const image = await this.fileAttachments.renderInline(part.file);
+                if (image) {
+                    part.blocks = [image];
+                } else {
+                    uploads.push(part.file);
+                }
+            }
+            const fileNames = replyParts.filter(p => p.file).map(p => p.file.name || p.file.contentType);
+            
+            // Replies are posted as Block Kit (headings, tables, code, cards); the
+            // message text is the mrkdwn version, used for notifications
+            const cardText = replyParts.filter(part => part.isCard).map(part => part.text).join('\n\n').trim();
+            let responseBlocks = replyParts.length ? replyParts.flatMap(part => part.blocks) : undefined;
+            
+            // Clean up the response and provide a fallback if AI didn't respond with text
+            let finalResponse;
+            if (responseText.trim()) {
+                finalResponse = this.markdown.toMrkdwn(responseText.trim());
+            } else if (cardText) {
+                finalResponse = escapeMrkdwn(cardText);
+            } else if (fileNames.length) {
+                finalResponse = `📎 ${escapeMrkdwn(fileNames.join(', '))}`;
+            } else if (!consentCard && !userSignInCard && activity.name !== 'signin/tokenExchange') {
+                finalResponse = 'No response from Copilot Studio';
+            }
+
+            // The agent wants to use a connector on the user's behalf - ask the user
+            // with Allow / Cancel buttons instead of deciding for them
+            if (consentCard) {
+                const consent = await this.handleConsentCard(consentCard, userId, conversationKey, context);
+                responseBlocks = [
+                    ...(responseBlocks || []),
+                    ...consent.blocks
+                ];
+                finalResponse = finalResponse ? `${finalResponse}\n\n${consent.text}` : consent.text;
+            }
+
+            // The agent needs the user signed in to one of its connectors. The exchange
+            // this turn sent may have been refused - then the user gets the link after all.
+            let tokenExchange = null;
+            if (activity.name === 'signin/tokenExchange') {
+                const signInText = this.getTokenExchangeOutcome(userId, conversationKey, context.signIn, tokenExchangeStatus, !!userSignInCard);
+                finalResponse = finalResponse ? `${signInText}\n\n${finalResponse}` : signInText;
+                responseBlocks?.unshift({ type: 'section', text: { type: 'mrkdwn', text: signInText } });
+            } else if (userSignInCard) {
+                const signIn = await this.handleUserSignInCard(userSignInCard, userId);
+                tokenExchange = signIn.tokenExchange;
+                finalResponse = finalResponse ? `${finalResponse}\n\n${signIn.text}` : signIn.text;
+                responseBlocks?.push({ type: 'section', text: { type: 'mrkdwn', text: signIn.text } });
+            }
+
+            // Offer the agent's quick replies as buttons under the reply
+            if (suggestedActions.length) {
+                const suggestionId = crypto.randomUUID();
+                const actionsBlock = this.cardRenderer.renderSuggestedActions(suggestedActions, suggestionId);
+                
+                if (actionsBlock) {
+                    responseBlocks = responseBlocks || [{ type: 'section', text: { type: 'mrkdwn', text: finalResponse } }];
+                    responseBlocks.push(actionsBlock);
+                    
+                    // Older quick replies in this conversation are no longer relevant
+                    for (const [id, suggestion] of this.pendingSuggestions.entries()) {
+                        if (suggestion.conversationKey === conversationKey) {
+                            this.pendingSuggestions.delete(id);
+                        }
+                    }
+                    this.pendingSuggestions.set(suggestionId, {
+                        userId,
+                        conversationKey,
+                        context: { channel: context.channel, threadTs: context.threadTs, shared: context.shared, agent: context.agent },
+                        actions: suggestedActions,
+                        createdAt: Date.now()
+                    });
+                    console.log(`💡 Offering ${actionsBlock.elements.length} suggested action(s) for conversation ${conversationKey}`);
+                }
+            }
+            
+            // The agent no longer remembers anything said before this message
+            if (conversationReset) {
+                const notice = '♻️ _The previous conversation had expired, so I started a new one - earlier context was reset._';
+                finalResponse = finalResponse ? `${notice}\n\n${finalResponse}` : notice;
+                responseBlocks?.unshift({ type: 'context', elements: [{ type: 'mrkdwn', text: notice }] });
+            }
+            
+            console.log(`📥 Response received for user ${userId}: "${finalResponse}"`);
+            
+            // Update the thinking message with the actual response
+            if (thinkingMessage?.ts && thinkingMessage?.channel) {
+                await this.updateThinkingMessage(thinkingMessage, finalResponse, context.threadTs, responseBlocks);
+            }
+            
+            if (uploads.length && thinkingMessage?.channel) {
+                await this.deliverFiles(uploads, thinkingMessage, context.threadTs);
+            }
+            
+            // Update the "last used" timestamp for this connection
+            // This helps us know which connections are still active vs stale
+            connection.lastActivity = Date.now();
+            this.saveSession(connection);
+            this.recordAgentTurn(connection.agent);
+            
+            // Return empty text since we already posted the response via message update
+            return { text: '', tokenExchange };
+
+        } catch (error) {
+            clearTimeout(timer);
+
+            // Make sure no partial reply lands after the error message
+            await streamingReply?.finish();
+
+            if (error.code === 'TURN_TIMEOUT') {
+                await this.handleTurnTimeout(userId, conversationKey, activity, context, thinkingMessage);
+                return { text: '' };
+            }
+
+            // The caller sends the sign-in link
+            if (error.code === 'AUTH_REQUIRED') {
+                if (thinkingMessage?.ts && thinkingMessage?.channel) {
+                    await this.updateThinkingMessage(thinkingMessage,
+                        '🔐 Your Microsoft sign-in has expired, so this message wasn\'t sent. Please sign in again and resend it.', context.threadTs);
+                }
+                throw error;
+            }
+
+            console.error(`❌ Failed to send message for user ${userId}:`, error);
+            
+            // If we have a thinking message, update it with error
+            if (thinkingMessage?.ts && thinkingMessage?.channel) {
+                await this.updateThinkingMessage(thinkingMessage,
+                    "Sorry, I encountered an error processing your message. Please try again.", context.threadTs);
+            }
+            
+            throw error;  // Let the calling code handle the error
+        }
+    }
+
+
+    /**
+     * Send an activity to Copilot Studio and report each reply as it arrives
+     * 
+     * The Agents SDK streams the turn (sendActivityStreaming) as Server-Sent Events,
+     * so each reply - and each chunk of text the agent is still typing - is reported
+     * while the agent works.
+     * 
+     * When the signal is aborted (the turn timed out), the request is cancelled and
+     * executeTurn rejects with the signal's reason right away (see runCopilotCall).
+     * 
+     * @param {Object} connection - Connection from activeConnections
+     * @param {Object} activity - Activity to send
+     * @param {Function} onActivity - Called with each reply activity as it arrives
+     * @param {AbortSignal} signal - Optional: cancels the turn
+     * @returns {Array} All reply activities of the turn
+     */
+    async executeTurn(connection, activity, onActivity = () => {}, signal = undefined) {
+        const { client, conversationId } = connection;
+        const replies = [];
+
+        const send = async () => {
+            for await (const reply of client.sendActivityStreaming(activity, conversationId)) {
+                if (signal?.aborted) {
+                    break;
+                }
+                replies.push(reply);
+                onActivity(reply);
+            }
+            return replies;
+        };
+
+        return runCopilotCall(send, signal);
+    }
+
+    /**
+     * Tell whether a failed turn failed because its conversation can't be used anymore
+     * 
+     * Copilot Studio answers 404 for conversations it no longer knows (idle timeout,
+     * service restart) and 401 once the token the conversation was started with has
+     * expired. Both are fixed by starting a new conversation.
+     * 
+     * @param {Error} error - Error thrown by the Copilot Studio client
+     * @returns {string|null} 'conversation_not_found', 'auth_expired', or null for other errors
+     */
+    getConversationFailure(error) {
+        const status = error?.response?.status ?? error?.status ?? error?.statusCode;
+        const message = `${error?.code || ''} ${error?.message || ''}`;
+
+        if (status === 404 || /conversation\s*(was\s*)?not\s*found|ConversationNotFound|conversation has expired/i.test(message)) {
+            return 'conversation_not_found';
+        }
+        if (status === 401 || /token\s*(has\s*)?expired|expired\s*token|TokenExpired/i.test(message)) {
+            return 'auth_expired';
+        }
+        return null;
+    }
+
+    /**
+     * Reconnect a conversation that Copilot Studio rejected
+     * 
+     * An expired user token is refreshed, and the same conversation continues with
+     * the new token. If Microsoft rejected the refresh (refreshUserToken then revokes
+     * the sign-in), the user has to sign in again: the error thrown has code
+     * 'AUTH_REQUIRED'. If the refresh failed for a passing reason (network, 5xx),
+     * the sign-in is kept and the turn fails with an ordinary error the user can
+     * retry.
+     * 
+     * Otherwise the conversation is replaced with a fresh one. Cards, quick replies
+     * and consent requests of the old conversation are forgotten, since clicking them
+     * would now go to a conversation that never sent them.
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {string|null} userToken - Optional: user's authentication token
+     * @param {string} conversationKey - Conversation to reconnect
+     * @param {string} failure - Why the old one failed (see getConversationFailure)
+     * @returns {Object} { connection, conversationReset } - conversationReset is true when
+     *   the agent lost the earlier context
+     */
+    async recoverConversation(userId, userToken, conversationKey, failure) {
+        const agent = this.agentRouter.getAgent(this.activeConnections.get(conversationKey)?.agent);
+
+        if (failure === 'auth_expired' && userToken) {
+            const refreshedToken = await this.refreshUserToken(userId);
+            if (!refreshedToken && !this.tokenRepository.get(userId)) {
+                const error = new Error(`Sign-in of ${userId} expired and could not be refreshed`);
+                error.code = 'AUTH_REQUIRED';
+                throw error;
+            }
+            if (!refreshedToken) {
+                throw new Error(`Token of ${userId} expired and could not be refreshed right now`);
+            }
+
+            // Same conversation, new token (reattached like a saved session)
+            const { conversationId, shared, lastActivity } = this.activeConnections.get(conversationKey) || {};
+            this.activeConnections.delete(conversationKey);
+            if (conversationId) {
+                this.savedSessions.set(conversationKey, { conversationKey, conversationId, userId, shared, agent: agent.name, lastActivity });
+            }
+            return {
+                connection: await this.createUserConnection(userId, refreshedToken, conversationKey, agent),
+                conversationReset: !conversationId
+            };
+        }
+
+        this.forgetConversation(conversationKey);
+        for (const pending of [this.pendingForms, this.pendingSuggestions, this.pendingConsents]) {
+            for (const [id, entry] of pending.entries()) {
+                if (entry.conversationKey === conversationKey) {
+                    pending.delete(id);
+                }
+            }
+        }
+
+        // The cached service token may be the one that expired
+        if (failure === 'auth_expired' && !userToken) {
+            this.serviceTokenCache.token = null;
+            this.serviceTokenCache.expiresAt = 0;
+        }
+
+        return {
+            connection: await this.createUserConnection(userId, userToken, conversationKey, agent),
+            conversationReset: true
+        };
+    }
+
+    /**
+     * Wait for a promise, but reject with the signal's reason as soon as it's aborted
+     * 
+     * @param {Promise} promise - Work to wait for
+     * @param {AbortSignal} signal - Optional: stops the wait
+     * @returns {Promise} Settles like the promise, or rejects when the signal aborts first
+     */
+    untilAborted(promise, signal = undefined) {
+        if (!signal) {
+            return promise;
+        }
+        if (signal.aborted) {
+            promise.catch(() => {});
+            return Promise.reject(signal.reason);
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Replace the placeholder of a timed-out turn with a notice and a "Retry" button
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {string} conversationKey - Conversation the turn belongs to
+     * @param {Object} activity - The activity that got no answer (sent again on retry)
+     * @param {Object} context - Slack channel/thread context
+     * @param {Object|null} thinkingMessage - Placeholder of the turn ({ ts, channel, slackClient })
+     */
+    async handleTurnTimeout(userId, conversationKey, activity, context, thinkingMessage) {
+        this.timeoutCount++;
+        const seconds = Math.round(this.config.app.messageTimeoutMs / 1000);
+        console.warn(`⏱️ Turn for ${userId} (conversation: ${conversationKey}) timed out after ${seconds}s`);
+
+        if (!thinkingMessage?.ts || !thinkingMessage?.channel) {
+            return;
+        }
+
+        const retryId = crypto.randomUUID();
+        this.pendingRetries.set(retryId, { userId, conversationKey, activity, context, createdAt: Date.now() });
+
+        const text = `:stopwatch: Copilot Studio didn't answer within ${seconds} seconds, so I stopped waiting.`;
+        await this.updateThinkingMessage(thinkingMessage, text, context.threadTs, [
+            { type: 'section', text: { type: 'mrkdwn', text } },
+            {
+                type: 'actions',
+                block_id: `retry_${retryId}`,
+                elements: [{
+                    type: 'button',
+                    text: { type: 'plain_text', text: 'Retry' },
+                    value: retryId,
+                    action_id: 'retry_turn'
+                }]
+            }
+        ]);
+    }
+
+    /**
+     * Look up a timed-out turn the user wants to retry
+     * 
+     * Only the user whose message timed out can retry it.
+     * 
+     * @param {string} retryId - ID carried by the "Retry" button
+     * @param {string} userId - The Slack user who clicked
+     * @returns {Object|null} The pending retry, or null if it's gone or not theirs
+     */
+    getPendingRetry(retryId, userId) {
+        const retry = this.pendingRetries.get(retryId);
+        if (!retry || retry.userId !== userId) {
+            return null;
+        }
+        return retry;
+    }
+
+    /**
+     * Send a timed-out turn again (after a "Retry" click)
+     * 
+     * @param {string} retryId - ID carried by the "Retry" button
+     * @param {string} userId - The Slack user who clicked
+     * @param {string|null} userToken - Optional: user's authentication token
+     * @returns {Object} Object with 'text' property (empty - the reply is posted directly)
+     */
+    async retryTurn(retryId, userId, userToken = null) {
+        const retry = this.getPendingRetry(retryId, userId);
+        if (!retry) {
+            throw new Error('Retry not found or not allowed for this user');
+        }
+        this.pendingRetries.delete(retryId);
+
+        console.log(`🔁 Retrying timed-out turn for ${userId} (conversation: ${retry.conversationKey})`);
+        return this.relayTurn(userId, retry.activity, userToken, retry.context);
+    }
+
+    /**
+     * Build the message activity we send to Copilot Studio for a user's message
+     * 
+     * The author is attached as the activity's "from" account. In shared channel
+     * conversations several people talk to the same agent, so the display name is
+     * also prefixed to the text - that's the part the agent's topics actually see.
+     * 
+     * @param {string} messageText - The message the user sent
+     * @param {string} userId - The Slack user's ID
+     * @param {Object} context - Slack context (see sendMessage)
+     * @param {Array} attachments - Optional: file attachments for the activity
+     * @returns {Object} Activity ready for CopilotStudioClient.sendActivity
+     */
+    buildMessageActivity(messageText, userId, context = {}, attachments = []) {
+        const text = context.shared && context.userName
+            ? `${context.userName}: ${messageText}`
+            : messageText;
+
+        return {
+            type: 'message',
+            text,
+            from: { id: userId, name: context.userName },
+            ...(attachments.length ? { attachments } : {})
+        };
+    }
+
+    /**
+     * Look up an Adaptive Card form that is waiting to be submitted
+     * 
+     * @param {string} formId - ID carried by the card's submit buttons
+     * @param {string} userId - The Slack user trying to submit it
+     * @returns {Object|undefined} The form, or undefined if it's unknown, already
+     *   submitted, or belongs to someone else's private conversation
+     */
+    getPendingForm(formId, userId) {
+        const form = this.pendingForms.get(formId);
+
+        // In private conversations only the person the card was sent to may answer it;
+        // in shared channel conversations anyone in the channel can
+        if (!form || (!form.context.shared && form.userId !== userId)) {
+            return undefined;
+        }
+        return form;
+    }
+
+    /**
+     * Build the Slack modal for a form that has Input.* fields
+     * 
+     * @param {string} formId - ID of a pending form
+     * @param {number} submitIndex - Which Action.Submit button was clicked
+     * @returns {Object} Slack modal view (form and button travel in private_metadata)
+     */
+    buildFormModal(formId, submitIndex) {
+        const form = this.pendingForms.get(formId);
+        return this.cardRenderer.buildFormModal(form, submitIndex, JSON.stringify({ formId, submitIndex }));
+    }
+
+    /**
+     * Send a submitted Adaptive Card form back to Copilot Studio
+     * 
+     * Adaptive Card hosts answer Action.Submit with a message activity whose "value"
+     * is the action's data merged with every input's value, flagged as a postBack so
+     * it doesn't show up as something the user typed. The agent's reply is posted
+     * in the same DM or thread the card came from.
+     * 
+     * Forms are single-use: the form is claimed before anything is awaited, so of
+     * two clicks that raced past the Slack bot's check only the first is sent.
+     * 
+     * @param {string} formId - ID of a pending form
+     * @param {number} submitIndex - Which Action.Submit button was clicked
+     * @param {Object} inputValues - Input id -> value (empty for cards without inputs)
+     * @param {string} userId - The Slack user submitting the form
+     * @param {string|null} userToken - Optional: user's authentication token
+     * @param {string} userName - Optional: submitter's display name
+     * @returns {Object|null} Object with 'text' property (see relayTurn), or null if
+     *   the form is no longer available (see getPendingForm)
+     */
+    async submitCardAction(formId, submitIndex, inputValues, userId, userToken = null, userName = undefined) {
+        const form = this.getPendingForm(formId, userId);
+        if (!form) {
+            return null;
+        }
+        this.pendingForms.delete(formId);
+        const action = form.submitActions[submitIndex] || {};
+
+        // Action.Submit data is usually an object; a plain string is only sent as-is
+        // when there are no inputs to merge into it
+        const value = typeof action.data === 'string' && !form.inputs.length
+            ? action.data
+            : { ...(typeof action.data === 'object' ? action.data : {}), ...inputValues };
+
+        console.log(`📝 Submitting Adaptive Card form ${formId} (${action.title || 'Submit'}) for conversation ${form.conversationKey}`);
+
+        return this.relayTurn(userId, this.buildPostBackActivity(value, userId, userName), userToken, form.context);
+    }
+
+    /**
+     * Look up a suggested action (quick reply) the user clicked
+     * 
+     * @param {string} suggestionId - ID carried by the suggested action buttons
+     * @param {number} index - Which button was clicked
+     * @param {string} userId - The Slack user who clicked it
+     * @returns {Object|undefined} The action, or undefined if the suggestions are gone
+     *   (used, replaced by newer ones, expired) or belong to someone else's conversation
+     */
+    getSuggestedAction(suggestionId, index, userId) {
+        const suggestion = this.pendingSuggestions.get(suggestionId);
+
+        if (!suggestion || (!suggestion.context.shared && suggestion.userId !== userId)) {
+            return undefined;
+        }
+        return suggestion.actions[index];
+    }
+
+    /**
+     * Send a clicked suggested action as the user's next message
+     * 
+     * Follows the Bot Framework card action semantics:
+     * - imBack: the value is sent as if the user had typed it
+     * - messageBack: sends the action's text and value together
+     * - postBack: sends the value without showing it as user text
+     * 
+     * The whole row of suggestions is used up by the click. It is claimed before
+     * anything is awaited, so of two clicks only the first is sent.
+     * 
+     * @param {string} suggestionId - ID carried by the suggested action buttons
+     * @param {number} index - Which button was clicked
+     * @param {string} userId - The Slack user who clicked it
+     * @param {string|null} userToken - Optional: user's authentication token
+     * @param {string} userName - Optional: display name of the user
+     * @returns {Object|null} Object with 'text' property (see relayTurn), or null if
+     *   the suggestions are no longer available (see getSuggestedAction)
+     */
+    async sendSuggestedAction(suggestionId, index, userId, userToken = null, userName = undefined) {
+        const action = this.getSuggestedAction(suggestionId, index, userId);
+        if (!action) {
+            return null;
+        }
+        const suggestion = this.pendingSuggestions.get(suggestionId);
+        this.pendingSuggestions.delete(suggestionId);
+
+        const context = { ...suggestion.context, userName };
+        let activity;
+        if (action.type === 'imBack') {
+            activity = this.buildMessageActivity(String(action.value), userId, context);
+        } else if (action.type === 'messageBack') {
+            activity = { type: 'message', text: action.text, value: action.value, from: { id: userId, name: userName } };
+        } else {
+            activity = typeof action.value === 'string'
+                ? { ...this.buildPostBackActivity(undefined, userId, userName), text: action.value }
+                : this.buildPostBackActivity(action.value, userId, userName);
+        }
+
+        console.log(`💡 Sending suggested action "${action.title || action.value}" (${action.type}) for conversation ${suggestion.conversationKey}`);
+
+        return this.relayTurn(userId, activity, userToken, context);
+    }
+
+    /**
+     * Build a postBack message activity carrying a card's submitted value
+     * 
+     * @param {Object|string} value - Submitted data
+     * @param {string} userId - The Slack user's ID
+     * @param {string} userName - Optional: display name
+     * @returns {Object} Activity ready for CopilotStudioClient.sendActivity
+     */
+    buildPostBackActivity(value, userId, userName = undefined) {
+        return {
+            type: 'message',
+            value,
+            channelData: { postBack: true },
+            from: { id: userId, name: userName }
+        };
+    }
+
+    /**
+     * Look up a connector consent request the user is answering
+     * 
+     * Consent grants the agent access to a connector with the user's identity, so
+     * only the user whose message triggered it may answer - even in shared channels.
+     * 
+     * @param {string} consentId - ID carried by the Allow / Cancel buttons
+     * @param {string} userId - The Slack user who clicked
+     * @returns {Object|undefined} The consent request, or undefined if it's unknown,
+     *   already answered, expired or belongs to someone else
+     */
+    getPendingConsent(consentId, userId) {
+        const consent = this.pendingConsents.get(consentId);
+        return consent?.userId === userId ? consent : undefined;
+    }
+
+    /**
+     * Take a consent request the user is answering, so it can only be answered once
+     * 
+     * Looks it up and forgets it without awaiting anything in between, so a double
+     * click (or Allow then Cancel) can't answer it twice.
+     * 
+     * @param {string} consentId - ID carried by the Allow / Cancel buttons
+     * @param {string} userId - The Slack user who clicked
+     * @returns {Object|null} The consent request, or null if it's unknown, already
+     *   answered, expired or belongs to someone else
      */
-    revokeUserToken(slackUserId) {
-        const wasDeleted = this.userTokens.delete(slackUserId);
-        if (wasDeleted) {
-            console.log(`🔐 Revoked token for Slack user: ${slackUserId}`);
-            // TODO: SECURITY IMPROVEMENT - Add audit logging
-            // this.auditLog('TOKEN_REVOKED', { userId: slackUserId, timestamp: Date.now() });
+    claimPendingConsent(consentId, userId) {
+        const consent = this.getPendingConsent(consentId, userId);
+        if (!consent) {
+            return null;
         }
-        return wasDeleted;
+        this.pendingConsents.delete(consentId);
+        return consent;
     }
 
     /**
-     * Send a message from Slack to Copilot Studio and get the AI's response
+     * Relay the user's answer to a consent card back to Copilot Studio
      * 
-     * This is the main function that handles the back-and-forth conversation.
-     * Here's what happens:
-     * 1. Takes a message from a Slack user
-     * 2. Finds or creates their connection to Copilot Studio
-     * 3. Sends the message to the AI/MCS
-     * 4. Waits for the AI/MCS's response
-     * 5. Returns the response back to Slack
+     * Sends the postBack the consent card's own Allow / Cancel button would send, and
+     * records the decision in the audit log. The agent's follow-up (the actual answer,
+     * or another consent card for the next connector) goes through the normal reply
+     * flow, so it is posted in the same DM or thread.
      * 
-     * @param {string} userId - The Slack user's ID
-     * @param {string} messageText - The message the user sent
+     * @param {Object} consent - The consent request, as claimed with claimPendingConsent
+     * @param {string} decision - 'Allow' or 'Cancel'
+     * @param {string} userId - The Slack user who answered
      * @param {string|null} userToken - Optional: user's authentication token
-     * @returns {Object} Object with 'text' property containing the AI's response
+     * @param {string} userName - Optional: display name of the user
+     * @returns {Object} Object with 'text' property (see relayTurn)
      */
-    async sendMessage(userId, messageText, userToken = null) {
-        let thinkingMessage = null;
-        
-        try {
-            console.log(`📤 Sending message from user ${userId}: "${messageText}"`);
-
-            // Post initial "thinking" message to show the bot is processing
-            thinkingMessage = await this.postThinkingMessage(userId);
-
-            // Look for an existing connection for this user
-            // This is like checking if we already have an open phone line to this person
-            let connection = this.activeConnections.get(userId);
-            
-            // If no connection exists, create a new one
-            // This is like dialing the phone number if we haven't called this person yet
-            if (!connection) {
-                connection = await this.createUserConnection(userId, userToken);
-            }
+    async handleConsentCardResponse(consent, decision, userId, userToken = null, userName = undefined) {
+        this.auditLog(decision === 'Allow' ? 'CONSENT_GRANTED' : 'CONSENT_DENIED', {
+            userId,
+            conversationKey: consent.conversationKey,
+            serviceName: consent.serviceName
+        });
+        console.log(`🔐 User ${userId} answered '${decision}' to consent for ${consent.serviceName}`);
 
-            // Send the message to Copilot Studio and wait for response
-            // This uses Microsoft's official API to ask the AI a question
-            const replies = await connection.client.askQuestionAsync(messageText, connection.conversationId);
-            
-            // DEBUG: Log the full response structure to understand what we're getting
-            console.log(`🔍 DEBUG: Received ${replies.length} activities from Copilot Studio`);
-            replies.forEach((activity, index) => {
-                console.log(`🔍 DEBUG: Activity ${index}:`, JSON.stringify(activity, null, 2));
-            });
-            
-            // Process the AI's response(s) - sometimes the AI sends multiple reply parts
-            // We combine all the text parts into one response
-            let responseText = '';
-            let consentCard = null;
-            let userSignInCard = null;
-            replies.forEach((activity, index) => {
-                console.log(`🔍 DEBUG: Processing activity ${index}: type=${activity.type}, name=${activity.name || 'none'}, hasText=${!!activity.text}`);
-                
-                // Check if this reply part contains text (vs images, buttons, etc.)
-                if (activity.type === 'message' && activity.text) {
-                    responseText += activity.text + ' ';
-                } else if (activity.name === 'connectors/consentCard') {
-                    consentCard = activity;
-                    console.log(`🔍 DEBUG: Consent card detected! Full activity:`, JSON.stringify(activity, null, 2));
-                } else if (activity.type === 'message' && !activity.text) {
-                    // Check for sign-in card
-                    // A sign-in card is a message with an attachment of a specific content type.
-                    const isSignInCard = activity.attachments?.some(
-                        att => att.contentType === 'application/vnd.microsoft.card.oauth'
-                    );
+        const activity = this.buildPostBackActivity(this.getConsentActionData(consent.card, decision), userId, userName);
+        activity.channelData.enableDiagnostics = true;
 
-                    if (isSignInCard) {
-                        userSignInCard = activity;
-                        console.log(`🔍 DEBUG: User sign-in card detected!`);
-                    }
-                    else{
-                    console.log(`⚠️ DEBUG: Received message activity with no text. Full activity:`, JSON.stringify(activity, null, 2));
-                    }
-                }
-            });
-            
-            // Clean up the response and provide a fallback if AI didn't respond with text
-            let finalResponse;
-            if (responseText.trim()) {
-                finalResponse = responseText.trim();
-            } else if (consentCard) {
-                // Automatically send "Allow" to proceed with the flow
-                console.log(`🤖 Automatically sending 'Allow' for consent card...`);
-                await this.handleConsentCardResponse(consentCard, userId);
-                finalResponse = "I've sent the consent approval. Please wait a moment for the process to complete.";
+        return this.relayTurn(userId, activity, userToken, consent.context);
+    }
 
-            } else {
-                finalResponse = 'No response from Copilot Studio';
-            }
+    /**
+     * Find the data the consent card's Allow or Cancel button submits
+     * 
+     * Falls back to the payload Copilot Studio's consent card is known to use, in
+     * case the card layout changes.
+     * 
+     * @param {Object} card - Adaptive Card content of the consent card
+     * @param {string} decision - 'Allow' or 'Cancel'
+     * @returns {Object} Submit data for the postBack
+     */
+    getConsentActionData(card, decision) {
+        const actions = [
+            ...(card?.actions || []),
+            ...(card?.body || []).filter(element => element.type === 'ActionSet').flatMap(set => set.actions || [])
+        ];
+        const action = actions.find(a => a.type === 'Action.Submit' && a.data?.action === decision);
 
-            if (userSignInCard) {
-                finalResponse += " ";
-                finalResponse += await this.handleUserSignInCard(userSignInCard);
-            }
-            
-            console.log(`📥 Response received for user ${userId}: "${finalResponse}"`);
-            
-            // Update the thinking message with the actual response
-            if (thinkingMessage?.ts && thinkingMessage?.channel) {
-                await this.updateThinkingMessage(thinkingMessage.channel, thinkingMessage.ts, finalResponse);
-            }
-            
-            // Update the "last used" timestamp for this connection
-            // This helps us know which connections are still active vs stale
-            connection.lastActivity = Date.now();
-            
-            // Return empty text since we already posted the response via message update
-            return { text: '' };
+        return action?.data || { action: decision, id: 'submit', shouldAwaitUserInput: true };
+    }
 
-        } catch (error) {
-            console.error(`❌ Failed to send message for user ${userId}:`, error);
-            
-            // If we have a thinking message, update it with error
-            if (thinkingMessage?.ts && thinkingMessage?.channel) {
-                await this.updateThinkingMessage(thinkingMessage.channel, thinkingMessage.ts, 
-                    "Sorry, I encountered an error processing your message. Please try again.");
-            }
-            
-            throw error;  // Let the calling code handle the error
+    /**
+     * Dump an activity from Copilot Studio to the console (only with LOG_LEVEL=debug)
+     * 
+     * Attachments are listed without their contentUrl and content: replies carry
+     * files as base64 data: URLs, and documents don't belong in the logs.
+     * 
+     * @param {string} message - What the activity is
+     * @param {Object} activity - Activity to dump
+     */
+    debugActivity(message, activity) {
+        if (this.config.logLevel !== 'debug') {
+            return;
         }
-    }
 
+        const attachments = activity.attachments?.map(({ contentUrl, content, ...attachment }) => ({
+            ...attachment,
+            ...(contentUrl ? { contentUrl: `[${contentUrl.length} characters]` } : {}),
+            ...(content !== undefined ? { content: '[omitted]' } : {})
+        }));
+        console.log(message, JSON.stringify({ ...activity, ...(attachments && { attachments }) }, null, 2));
+    }
 
-//function to handle consent card responses. 
-async handleConsentCardResponse(activity, userId) {
-    console.log(`🤖 Handling consent card response:`, JSON.stringify(activity, null, 2));
+    /**
+     * Record a security-relevant event in the audit log
+     * 
+     * Entries are written as one JSON object per line, to the console and - when
+     * AUDIT_LOG_FILE is set - appended to that file.
+     * 
+     * @param {string} event - Event name, e.g. CONSENT_GRANTED
+     * @param {Object} details - Who, what, where (never tokens or message content)
+     */
+    auditLog(event, details = {}) {
+        const entry = JSON.stringify({ timestamp: new Date().toISOString(), event, ...details });
+        console.log(`📋 AUDIT: ${entry}`);
 
-    const consentPayload = {
-        type: "message",
-        channelData: {
-            postBack: true,
-            enableDiagnostics: true
-        },
-        value: {
-            action: "Allow",
-            id: "submit",
-            shouldAwaitUserInput: true
+        if (this.config.app.auditLogFile) {
+            fs.promises.appendFile(this.config.app.auditLogFile, entry + '\n').catch((error) => {
+                console.error('❌ Failed to write audit log:', error.message);
+            });
         }
-    };
-    const connection = this.activeConnections.get(userId);
-
-    if (!connection) {
-        console.error(`❌ No active connection found for user ${userId} while handling consent response.`);
-        return;
     }
-    const responses = await connection.client.askQuestionAsync(JSON.stringify(consentPayload), connection.conversationId);
-    console.log(`🤞 DEBUG: Received ${responses.length} activities for consent response`);
-    responses.forEach((activity, index) => {
-        if (activity.name === 'connectors/consentCard') {
-            this.handleConsentCardResponse(activity);
-        }
-    });
-}
 
     /**
      * Start a completely new conversation for a user
@@ -519,19 +1895,25 @@ async handleConsentCardResponse(activity, userId) {
      * 
      * This is like hanging up the phone and calling back to start fresh.
      * 
+     * The user's DM conversations with every agent are reset; the new one is with
+     * the agent they were talking to last (or the one they picked with /agent).
+     * 
      * @param {string} userId - The Slack user's ID
      * @returns {Object} New connection object
      */
     async newConversation(userId) {
         console.log(`🔄 Starting new conversation for user: ${userId}`);
+        const agent = this.getConversationAgent(userId) || this.getChosenAgent(userId) || this.agentRouter.defaultAgent;
         
-        // Remove the existing connection from our records
-        // This "forgets" their previous conversation
-        this.activeConnections.delete(userId);
+        // Remove the existing connections from our records
+        // This "forgets" their previous conversations
+        for (const { name } of this.agentRouter.agents) {
+            this.forgetConversation(this.getConversationKey(userId, { agent: name }));
+        }
 
         // Create a completely fresh connection with the AI
         // This starts a new conversation with no previous context
-        const newConnection = await this.createUserConnection(userId);
+        const newConnection = await this.createUserConnection(userId, null, this.getConversationKey(userId, { agent: agent.name }), agent);
         console.log(`✅ New conversation started for user: ${userId}`);
         
         return newConnection;
@@ -618,51 +2000,85 @@ async handleConsentCardResponse(activity, userId) {
      * 
      * This function is called automatically every few minutes by a timer.
      */
-    cleanup() {
+    async cleanup() {
         const now = Date.now();  // Current timestamp
         const maxAge = this.config.app.connectionTimeoutMs;  // How long connections can be inactive (from config)
         let cleanedConnectionCount = 0;
         let cleanedTokenCount = 0;
 
         // Clean up stale connections
-        for (const [userId, connection] of this.activeConnections.entries()) {
+        for (const [conversationKey, connection] of this.activeConnections.entries()) {
             // Calculate how long it's been since this connection was last used
             const timeSinceLastActivity = now - connection.lastActivity;
             
             // If it's been inactive longer than our timeout, remove it
             if (timeSinceLastActivity > maxAge) {
-                this.activeConnections.delete(userId);
+                this.forgetConversation(conversationKey);
                 cleanedConnectionCount++;
             }
         }
 
+        // Saved sessions nobody came back to since the restart
+        for (const [conversationKey, session] of this.savedSessions.entries()) {
+            if ((now - session.lastActivity) > maxAge) {
+                this.forgetConversation(conversationKey);
+            }
+        }
+
+        // Forget Adaptive Card forms nobody submitted, or whose conversation is gone
+        for (const [formId, form] of this.pendingForms.entries()) {
+            if ((now - form.createdAt) > maxAge || !this.activeConnections.has(form.conversationKey)) {
+                this.pendingForms.delete(formId);
+            }
+        }
+
+        // Consent requests nobody answered
+        for (const [consentId, consent] of this.pendingConsents.entries()) {
+            if ((now - consent.createdAt) > maxAge || !this.activeConnections.has(consent.conversationKey)) {
+                this.pendingConsents.delete(consentId);
+            }
+        }
+
+        // Timed-out turns nobody retried
+        for (const [retryId, retry] of this.pendingRetries.entries()) {
+            if ((now - retry.createdAt) > maxAge) {
+                this.pendingRetries.delete(retryId);
+            }
+        }
+
+        // Rest of long replies nobody asked to see
+        for (const [overflowId, overflow] of this.pendingOverflows.entries()) {
+            if ((now - overflow.createdAt) > maxAge) {
+                this.pendingOverflows.delete(overflowId);
+            }
+        }
+
+        // Same for suggested actions nobody clicked
+        for (const [suggestionId, suggestion] of this.pendingSuggestions.entries()) {
+            if ((now - suggestion.createdAt) > maxAge || !this.activeConnections.has(suggestion.conversationKey)) {
+                this.pendingSuggestions.delete(suggestionId);
+            }
+        }
+
         // SECURITY IMPROVEMENT: Clean up old authentication tokens
         // This prevents tokens from accumulating indefinitely in memory
         const tokenMaxAge = 24 * 60 * 60 * 1000; // 24 hours (could be configurable)
         
-        for (const [userId, tokenData] of this.userTokens.entries()) {
+        for (const [userId, tokenData] of this.tokenRepository.entries()) {
             let shouldCleanup = false;
             
-            if (typeof tokenData === 'string') {
-                // Legacy format - clean up if no recent connection activity
-                const connection = this.activeConnections.get(userId);
-                if (!connection || (now - connection.lastActivity) > tokenMaxAge) {
-                    shouldCleanup = true;
-                }
-            } else {
-                // New format - check lastUsed timestamp
-                if (tokenData.lastUsed && (now - tokenData.lastUsed) > tokenMaxAge) {
-                    shouldCleanup = true;
-                }
-                
-                // TODO: Also check token expiration
-                // if (tokenData.expiresAt && now > tokenData.expiresAt) {
-                //     shouldCleanup = true;
-                // }
+            // Check lastUsed timestamp
+            if (tokenData.lastUsed && (now - tokenData.lastUsed) > tokenMaxAge) {
+                shouldCleanup = true;
+            }
+            
+            // Expired tokens are only worth keeping if they can be refreshed
+            if (tokenData.expiresAt && now > tokenData.expiresAt && !tokenData.refreshable) {
+                shouldCleanup = true;
             }
             
             if (shouldCleanup) {
-                this.userTokens.delete(userId);
+                await this.revokeUserToken(userId);
                 cleanedTokenCount++;
             }
         }
@@ -680,6 +2096,18 @@ async handleConsentCardResponse(activity, userId) {
         }
     }
 
+    /**
+     * Count a completed turn for an agent (shown per agent on /status)
+     * 
+     * @param {string} agentName - Agent profile name
+     */
+    recordAgentTurn(agentName) {
+        const activity = this.agentActivity.get(agentName) || { turns: 0, lastActivity: null };
+        activity.turns++;
+        activity.lastActivity = Date.now();
+        this.agentActivity.set(agentName, activity);
+    }
+
     /**
      * Get statistics about current connections
      * 
@@ -700,10 +2128,52 @@ async handleConsentCardResponse(activity, userId) {
             // Total number of active connections
             activeConnections: this.activeConnections.size,
             
+            // Adaptive Card forms waiting for the user to submit them
+            pendingForms: this.pendingForms.size,
+            
+            // Rows of suggested actions still waiting for a click
+            pendingSuggestions: this.pendingSuggestions.size,
+            
+            // Connector consent requests waiting for Allow / Cancel
+            pendingConsents: this.pendingConsents.size,
+            
+            // Long replies with parts still behind "Show more"
+            pendingOverflows: this.pendingOverflows.size,
+            
+            // Conversations from before the last restart, not reattached yet
+            savedSessions: this.savedSessions.size,
+            
+            // Turns that timed out since startup, and those still offering a "Retry"
+            timeouts: this.timeoutCount,
+            pendingRetries: this.pendingRetries.size,
+            
+            // Turns running or waiting, per conversation
+            messageQueues: this.messageQueue.getStats(),
+            
+            // Conversations and completed turns per agent profile
+            agents: Object.fromEntries(this.agentRouter.agents.map(agent => {
+                const activity = this.agentActivity.get(agent.name);
+                const connections = Array.from(this.activeConnections.values()).filter(conn => conn.agent === agent.name);
+                return [agent.name, {
+                    displayName: agent.displayName,
+                    default: agent === this.agentRouter.defaultAgent,
+                    chosenBy: Array.from(this.agentChoices.values()).filter(name => name === agent.name).length,
+                    activeConnections: connections.length,
+                    savedSessions: Array.from(this.savedSessions.values())
+                        .filter(session => (session.agent || this.agentRouter.defaultAgent.name) === agent.name).length,
+                    turns: activity?.turns || 0,
+                    lastActivity: activity ? new Date(activity.lastActivity).toISOString() : null
+                }];
+            })),
+            
             // Detailed list of each connection
-            connections: Array.from(this.activeConnections.entries()).map(([userId, conn]) => ({
-                userId,                                                    // Which Slack user this belongs to
+            connections: Array.from(this.activeConnections.entries()).map(([conversationKey, conn]) => ({
+                userId: conn.userId,                                       // Which Slack user this belongs to
+                conversationKey,                                           // Which DM or thread the conversation is for
+                agent: conn.agent,                                         // Which agent profile it talks to
+                shared: conn.shared,                                       // Whether it's a shared channel conversation
                 lastActivity: new Date(conn.lastActivity).toISOString(), // When it was last used (human-readable format)
+                queueDepth: this.messageQueue.getDepth(conversationKey),   // Turns running or waiting in this conversation
                 hasConversationId: !!conn.conversationId                 // Whether it has an active conversation with AI
             }))
         };
@@ -717,26 +2187,32 @@ async handleConsentCardResponse(activity, userId) {
      * actual response once it's received from Copilot Studio.
      * 
      * @param {string} userId - The Slack user's ID (format: "slack_U1234567890")
-     * @returns {Object|null} Object with timestamp and channel, or null if failed
+     * @param {Object} context - Optional: Slack channel/thread to post into (defaults to the user's DM)
+     * @param {number} queuePosition - Optional: turns ahead of this one in the conversation
+     * @returns {Object|null} Object with timestamp, channel and the Slack client that
+     *   posted it (every later update goes through the same client), or null if failed
      */
-    async postThinkingMessage(userId) {
+    async postThinkingMessage(userId, context = {}, queuePosition = 0) {
         try {
             // Only post thinking message if we have a Slack client available
-            if (!this.slackClient) {
+            const slackClient = await this.getSlackClient(userId);
+            if (!slackClient) {
                 console.log('⚠️ No Slack client available for thinking message');
                 return null;
             }
 
-            // Convert slack_U123 format to just U123 for Slack API
-            const channelId = userId.replace('slack_', '');
+            // Post where the user is talking to us; otherwise convert slack_U123
+            // format to just U123 for Slack API, which opens the DM
+            const channelId = context.channel || this.parseUserId(userId).slackUserId;
             
-            const result = await this.slackClient.chat.postMessage({
+            const result = await slackClient.chat.postMessage({
                 channel: channelId,
-                text: ':thinking_face: Thinking...'
+                thread_ts: context.threadTs,
+                text: this.getPlaceholderText(queuePosition)
             });
             
             console.log(`🤔 Posted thinking message for user ${userId}`);
-            return { ts: result.ts, channel: result.channel };
+            return { ts: result.ts, channel: result.channel, slackClient };
             
         } catch (error) {
             console.error('❌ Failed to post thinking message:', error);
@@ -744,6 +2220,35 @@ async handleConsentCardResponse(activity, userId) {
         }
     }
 
+    /**
+     * Show a waiting turn's new queue position in its placeholder
+     * 
+     * @param {Object|null} thinkingMessage - Placeholder ({ ts, channel, slackClient })
+     * @param {number} position - Turns still ahead (0 = starting now)
+     */
+    async updateQueuePosition(thinkingMessage, position) {
+        if (!thinkingMessage?.ts) {
+            return;
+        }
+
+        try {
+            await thinkingMessage.slackClient.chat.update({
+                channel: thinkingMessage.channel,
+                ts: thinkingMessage.ts,
+                text: this.getPlaceholderText(position)
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to update queue position:', error.message);
+        }
+    }
+
+    getPlaceholderText(queuePosition) {
+        if (!queuePosition) {
+            return ':thinking_face: Thinking...';
+        }
+        return `:hourglass: Queued - ${queuePosition} message${queuePosition === 1 ? '' : 's'} ahead of yours`;
+    }
+
     /**
      * Update the thinking message with the actual response
      * 
@@ -751,22 +2256,32 @@ async handleConsentCardResponse(activity, userId) {
      * creating a seamless user experience where they see immediate feedback followed by
      * the actual answer in the same message.
      * 
-     * @param {string} channelId - The Slack channel ID where the message was posted
-     * @param {string} messageTs - The timestamp of the message to update
+     * Replies too long for one Slack message are split (see ReplyChunker): the first
+     * part replaces "Thinking...", the rest follows as extra messages in the same DM or
+     * thread - or, with REPLY_OVERFLOW_MODE=show_more, behind a "Show more" button.
+     * 
+     * @param {Object} thinkingMessage - The placeholder to update ({ ts, channel, slackClient })
      * @param {string} responseText - The actual response text to display
+     * @param {string} threadTs - Optional: thread to post the fallback message into
+     * @param {Array} blocks - Optional: Block Kit blocks (responseText becomes the notification fallback)
      */
-    async updateThinkingMessage(channelId, messageTs, responseText) {
+    async updateThinkingMessage(thinkingMessage, responseText, threadTs = undefined, blocks = undefined) {
+        const { channel: channelId, ts: messageTs, slackClient } = thinkingMessage;
+
+        let [first, ...rest] = this.replyChunker.chunk(responseText, blocks);
+        if (rest.length) {
+            console.log(`✂️ Reply is too long for one Slack message - splitting it into ${rest.length + 1} parts`);
+        }
+        if (rest.length && this.config.app.replyOverflowMode === 'show_more') {
+            first = this.addShowMoreButton(first, rest, slackClient, channelId, threadTs);
+            rest = [];
+        }
+
         try {
-            // Only update if we have a Slack client available
-            if (!this.slackClient) {
-                console.log('⚠️ No Slack client available for message update');
-                return;
-            }
-            
-            await this.slackClient.chat.update({
+            await slackClient.chat.update({
                 channel: channelId,
                 ts: messageTs,
-                text: responseText
+                ...first
             });
             
             console.log(`✅ Updated thinking message in channel ${channelId}`);
@@ -776,28 +2291,203 @@ async handleConsentCardResponse(activity, userId) {
             
             // Fallback: post new message if update fails
             try {
-                await this.slackClient.chat.postMessage({
+                await slackClient.chat.postMessage({
                     channel: channelId,
-                    text: responseText
+                    thread_ts: threadTs,
+                    ...first
                 });
                 console.log(`📤 Posted fallback message in channel ${channelId}`);
             } catch (fallbackError) {
                 console.error('❌ Failed to post fallback message:', fallbackError);
             }
         }
+
+        // The rest of a long reply, in order
+        for (const message of rest) {
+            try {
+                await slackClient.chat.postMessage({ channel: channelId, thread_ts: threadTs, ...message });
+            } catch (error) {
+                console.error('❌ Failed to post continuation of reply:', error);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Upload files the agent sent into the DM or thread of the reply
+     * 
+     * Files that can't be delivered are named in a short follow-up message, so the
+     * user knows something is missing.
+     * 
+     * @param {Array} attachments - File attachments from Copilot Studio
+     * @param {Object} thinkingMessage - The reply's placeholder ({ ts, channel, slackClient })
+     * @param {string} threadTs - Optional: thread of the reply
+     */
+    async deliverFiles(attachments, thinkingMessage, threadTs = undefined) {
+        const { channel, slackClient } = thinkingMessage;
+        const failed = await this.fileAttachments.upload(slackClient, attachments, channel, threadTs);
+
+        if (failed.length) {
+            try {
+                await slackClient.chat.postMessage({
+                    channel,
+                    thread_ts: threadTs,
+                    text: `⚠️ The agent sent ${failed.length === 1 ? 'a file' : 'files'} I couldn't deliver: ${escapeMrkdwn(failed.join(', '))}`
+                });
+            } catch (error) {
+                console.error('❌ Failed to report undelivered files:', error);
+            }
+        }
+    }
+
+    /**
+     * Put the rest of a long reply behind a "Show more" button
+     * 
+     * @param {Object} message - The part shown now ({ text, blocks })
+     * @param {Array} rest - Parts still to come
+     * @param {Object} slackClient - Slack Web API client of the reply's workspace
+     * @param {string} channel - Channel the reply is in
+     * @param {string} threadTs - Optional: thread the reply is in
+     * @returns {Object} The message with the button added
+     */
+    addShowMoreButton(message, rest, slackClient, channel, threadTs = undefined) {
+        const overflowId = crypto.randomUUID();
+        this.pendingOverflows.set(overflowId, { messages: rest, slackClient, channel, threadTs, createdAt: Date.now() });
+
+        return {
+            text: message.text,
+            blocks: [
+                ...(message.blocks || [{ type: 'section', text: { type: 'mrkdwn', text: message.text } }]),
+                {
+                    type: 'actions',
+                    block_id: `show_more_${overflowId}`,
+                    elements: [{
+                        type: 'button',
+                        text: { type: 'plain_text', text: `Show more (${rest.length} more part${rest.length === 1 ? '' : 's'})` },
+                        value: overflowId,
+                        action_id: 'reply_show_more'
+                    }]
+                }
+            ]
+        };
+    }
+
+    /**
+     * Post the next part of a long reply (after a "Show more" click)
+     * 
+     * @param {string} overflowId - ID carried by the "Show more" button
+     * @returns {boolean} True if there was something to show
+     */
+    async showMoreReply(overflowId) {
+        const overflow = this.pendingOverflows.get(overflowId);
+        if (!overflow) {
+            return false;
+        }
+        this.pendingOverflows.delete(overflowId);
+
+        let [next, ...rest] = overflow.messages;
+        if (rest.length) {
+            next = this.addShowMoreButton(next, rest, overflow.slackClient, overflow.channel, overflow.threadTs);
+        }
+
+        await overflow.slackClient.chat.postMessage({ channel: overflow.channel, thread_ts: overflow.threadTs, ...next });
+        return true;
     }
 
     /**
      * Handle user sign-in card by creating a Slack-friendly sign-in message
      * 
-     * This function takes a sign-in card from Copilot Studio and transforms it
-     * into a message that can be displayed in Slack. The goal is to provide
-     * the user with a link to sign in with their Microsoft account.
+     * This function takes a sign-in card (OAuthCard) from Copilot Studio and
+     * transforms it into a message that can be displayed in Slack.
+     * 
+     * When the agent's connector uses SSO, the card carries a tokenExchangeResource:
+     * the API the agent wants a token for. If we can get one silently from the user's
+     * Microsoft account, the card is answered with a signin/tokenExchange invoke
+     * instead (see relayTurn) and the user only sees a note. Otherwise - or if the
+     * agent refuses the token - the user gets the sign-in link.
+     * 
+     * @param {Object} userSignInCard - The sign-in card activity from Copilot Studio
+     * @param {string} userId - Optional: the Slack user's ID (enables the token exchange)
+     * @returns {Object} { text, tokenExchange } - text for Slack; tokenExchange is
+     *   { activity, fallbackText, connectionName } when the exchange should be tried
+     */
+    async handleUserSignInCard(userSignInCard, userId = null) {
+        const linkText = this.getSignInLinkText(userSignInCard);
+        const card = userSignInCard.attachments?.[0]?.content;
+        const resource = card?.tokenExchangeResource;
+
+        if (!userId || !resource?.uri) {
+            return { text: linkText, tokenExchange: null };
+        }
+
+        const connectionName = card.connectionName || 'the agent\'s connection';
+        const token = await this.getUserTokenForScope(userId, resource.uri);
+        if (!token) {
+            console.log(`🔐 No silent token for ${resource.uri} - sending the sign-in link to ${userId}`);
+            return { text: linkText, tokenExchange: null };
+        }
+
+        console.log(`🔐 Answering sign-in card for ${connectionName} with a token exchange for ${userId}`);
+        return {
+            text: `🔐 _Signing you in to ${escapeMrkdwn(connectionName)} with your Microsoft account..._`,
+            tokenExchange: {
+                activity: {
+                    type: 'invoke',
+                    name: 'signin/tokenExchange',
+                    value: { id: resource.id, connectionName: card.connectionName, token },
+                    from: { id: userId }
+                },
+                fallbackText: linkText,
+                connectionName
+            }
+        };
+    }
+
+    /**
+     * Tell the user how the token exchange for a sign-in card went
+     * 
+     * Only an invokeResponse with a 2xx status confirms the sign-in. A 412 or another
+     * sign-in card means the agent couldn't use the token (e.g. consent is missing),
+     * and the user has to sign in with the link. Without a status we can't tell, so
+     * the user keeps the link in case the agent asks again.
+     * 
+     * @param {string} userId - The Slack user's ID
+     * @param {string} conversationKey - Conversation of the exchange
+     * @param {Object} signIn - { fallbackText, connectionName } from handleUserSignInCard
+     * @param {number|null} status - Status of the invokeResponse, null if none came
+     * @param {boolean} cardAgain - The agent sent another sign-in card
+     * @returns {string} Text for Slack
+     */
+    getTokenExchangeOutcome(userId, conversationKey, signIn = {}, status, cardAgain) {
+        const succeeded = !cardAgain && status >= 200 && status < 300;
+        const unknown = !cardAgain && status === null;
+        this.auditLog(succeeded ? 'SIGNIN_TOKEN_EXCHANGED' : unknown ? 'SIGNIN_TOKEN_EXCHANGE_UNCONFIRMED' : 'SIGNIN_TOKEN_EXCHANGE_FAILED', {
+            userId,
+            conversationKey,
+            connectionName: signIn.connectionName,
+            status
+        });
+
+        const connectionName = escapeMrkdwn(signIn.connectionName || 'the agent\'s connection');
+        const linkText = signIn.fallbackText || 'I need you to sign in, but I could not find the sign-in link. Please try again.';
+        if (succeeded) {
+            return `✅ _You're signed in to ${connectionName}._`;
+        }
+        if (unknown) {
+            console.warn(`⚠️ Agent didn't confirm the token exchange for ${userId} - keeping the sign-in link`);
+            return `❔ _I couldn't confirm that you're signed in to ${connectionName}. If the agent asks you to sign in again, use this link:_\n\n${linkText}`;
+        }
+        console.warn(`⚠️ Token exchange for ${userId} was refused (status ${status}) - falling back to the sign-in link`);
+        return linkText;
+    }
+
+    /**
+     * Slack text with the sign-in link of an OAuthCard
      * 
      * @param {Object} userSignInCard - The sign-in card activity from Copilot Studio
      * @returns {string} A formatted string for Slack with the sign-in link
      */
-    async handleUserSignInCard(userSignInCard) {
+    getSignInLinkText(userSignInCard) {
         try {
             console.log(`🔐 User sign-in card detected. Preparing sign-in link.`);
             
@@ -832,54 +2522,103 @@ async handleConsentCardResponse(activity, userId) {
     }
 
     /**
-     * Handle consent card by showing a simple warning message
+     * Ask the user for consent before the agent uses a connector
      * 
-     * This function detects consent cards from Copilot Studio and shows a warning
-     * that user consent is required. This is a simplified approach until we can
-     * properly implement the consent flow.
+     * Copilot Studio sends a connectors/consentCard when a topic wants to call a
+     * connector (Outlook, SharePoint, ...) with the user's identity. We show the
+     * service name with Allow / Cancel buttons and remember the card until the user
+     * answers (see claimPendingConsent and handleConsentCardResponse).
      * 
      * @param {Object} consentCard - The consent card activity from Copilot Studio
      * @param {string} userId - The Slack user's ID
-     * @returns {string} Warning message about consent requirement
+     * @param {string} conversationKey - Conversation the card belongs to
+     * @param {Object} context - Slack channel/thread context of the turn
+     * @returns {Object} { text, blocks } to post in Slack
      */
-    async handleConsentCard(consentCard, userId) {
-        try {
-            console.log(`🔐 Consent card detected for user ${userId}`);
-            console.log(`🔍 DEBUG: Consent card details:`, JSON.stringify(consentCard, null, 2));
-            
-            // Extract service name if possible
-            let serviceName = 'external service';
-            const attachment = consentCard.attachments?.[0];
-            const card = attachment?.content;
-            
-            if (card) {
-                // Look for service name in the card body
-                const serviceBlock = card.body?.find(block => 
-                    block.type === 'ColumnSet' && 
-                    block.columns?.some(col => 
-                        col.items?.some(item => item.type === 'TextBlock' && item.weight === 'bolder')
-                    )
-                );
-                
-                if (serviceBlock) {
-                    const serviceColumn = serviceBlock.columns?.find(col => 
-                        col.items?.some(item => item.type === 'TextBlock' && item.weight === 'bolder')
-                    );
-                    const serviceTextBlock = serviceColumn?.items?.find(item => 
-                        item.type === 'TextBlock' && item.weight === 'bolder'
-                    );
-                    if (serviceTextBlock?.text) {
-                        serviceName = serviceTextBlock.text;
-                    }
+    async handleConsentCard(consentCard, userId, conversationKey, context = {}) {
+        console.log(`🔐 Consent card detected for user ${userId}`);
+        
+        const serviceName = this.getConsentServiceName(consentCard);
+        const consentId = crypto.randomUUID();
+        
+        this.pendingConsents.set(consentId, {
+            userId,
+            conversationKey,
+            context: { channel: context.channel, threadTs: context.threadTs, shared: context.shared, agent: context.agent },
+            serviceName,
+            card: consentCard.attachments?.[0]?.content,
+            createdAt: Date.now()
+        });
+        this.auditLog('CONSENT_REQUESTED', { userId, conversationKey, serviceName });
+        
+        const text = `🔐 Permission needed: to complete your request I need to use your connection to ${serviceName}. Do you want to allow this?`;
+        const blocks = [
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `🔐 *Permission needed*\nTo complete your request I need to use your connection to *${escapeMrkdwn(serviceName)}*. Do you want to allow this?`
                 }
+            },
+            {
+                type: 'actions',
+                block_id: `consent_${consentId}`,
+                elements: [
+                    {
+                        type: 'button',
+                        text: { type: 'plain_text', text: 'Allow' },
+                        style: 'primary',
+                        value: consentId,
+                        action_id: 'consent_allow'
+                    },
+                    {
+                        type: 'button',
+                        text: { type: 'plain_text', text: 'Cancel' },
+                        value: consentId,
+                        action_id: 'consent_cancel'
+                    }
+                ]
             }
+        ];
+        
+        return { text, blocks };
+    }
+
+    /**
+     * Extract the connector's name from a consent card
+     * 
+     * The consent card shows the service as a bold TextBlock inside a ColumnSet.
+     * 
+     * @param {Object} consentCard - The consent card activity from Copilot Studio
+     * @returns {string} Service name, or 'external service' if it can't be found
+     */
+    getConsentServiceName(consentCard) {
+        let serviceName = 'external service';
+        const card = consentCard.attachments?.[0]?.content;
+        
+        if (card) {
+            // Look for service name in the card body
+            const serviceBlock = card.body?.find(block => 
+                block.type === 'ColumnSet' && 
+                block.columns?.some(col => 
+                    col.items?.some(item => item.type === 'TextBlock' && item.weight === 'bolder')
+                )
+            );
             
-            return `⚠️ **User Consent Required**\n\nI need permission to access ${serviceName} to complete your request. This feature is currently being developed. Please contact your administrator if you need access to ${serviceName}.`;
-            
-        } catch (error) {
-            console.error('❌ Failed to handle consent card:', error);
-            return `⚠️ User consent required for external service access. This feature is currently being developed.`;
+            if (serviceBlock) {
+                const serviceColumn = serviceBlock.columns?.find(col => 
+                    col.items?.some(item => item.type === 'TextBlock' && item.weight === 'bolder')
+                );
+                const serviceTextBlock = serviceColumn?.items?.find(item => 
+                    item.type === 'TextBlock' && item.weight === 'bolder'
+                );
+                if (serviceTextBlock?.text) {
+                    serviceName = serviceTextBlock.text;
+                }
+            }
         }
+        
+        return serviceName;
     }
 }
 
@@ -0,0 +1,214 @@
+/**
+ * RelayMiddleware - restoring conversations after a restart, and routing messages
+ * to agents (run with "npm test")
+ */
+
+import { test, mock, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RelayMiddleware from './relay-middleware.js';
+import { createStore } from '../storage/session-store.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let directory;
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-middleware-test-'));
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const agent = (name, rules = {}) => ({ name, displayName: name, channels: [], userGroups: [], prefixes: [], ...rules });
+
+function createRelay() {
+    return new RelayMiddleware({
+        copilotStudio: { appClientId: '00000000-0000-0000-0000-000000000001', clientSecret: 'secret', tenantId: 'common', requireAuth: true },
+        oauth: { authority: 'https://login.microsoftonline.com' },
+        slack: { multiWorkspace: false },
+        agents: {
+            profiles: [agent('default'), agent('hr', { prefixes: ['hr:'], channels: ['C_HR'] })],
+            defaultAgent: 'default',
+            userGroupCacheMs: HOUR
+        },
+        sessions: {
+            store: 'file',
+            filePath: path.join(directory, 'sessions.json'),
+            agentChoiceFile: path.join(directory, 'agent-choices.json')
+        },
+        tokens: { store: 'memory', previousEncryptionKeys: [] },
+        app: { connectionTimeoutMs: 2 * HOUR },
+        files: {}
+    }, null);
+}
+
+async function seed(filePath, entries) {
+    const store = createStore({ store: 'file', filePath });
+    await store.init();
+    for (const [key, value] of Object.entries(entries)) {
+        await store.set(key, value);
+    }
+    await store.close();
+}
+
+test('restoreSessions keeps fresh conversations and forgets the rest', async () => {
+    const now = Date.now();
+    const session = (conversationKey, fields = {}) => ({
+        conversationKey,
+        conversationId: `conv-${conversationKey}`,
+        userId: 'slack_U1',
+        shared: false,
+        agent: 'default',
+        lastActivity: now - HOUR,
+        ...fields
+    });
+
+    await seed(path.join(directory, 'sessions.json'), {
+        slack_U1: session('slack_U1'),
+        'channel_C1:1.2': session('channel_C1:1.2', { shared: true, agent: 'hr' }),
+        slack_U2: session('slack_U2', { lastActivity: now - 3 * HOUR }),          // Expired
+        slack_U3: session('slack_U3', { agent: 'sales' }),                        // Agent no longer configured
+        slack_U4: session('slack_U4', { conversationId: null })                   // Incomplete
+    });
+    await seed(path.join(directory, 'agent-choices.json'), {
+        slack_U1: { userId: 'slack_U1', agent: 'hr' },
+        slack_U2: { userId: 'slack_U2', agent: 'sales' }
+    });
+
+    const relay = createRelay();
+    await relay.restoreSessions();
+
+    assert.deepEqual([...relay.savedSessions.keys()].sort(), ['channel_C1:1.2', 'slack_U1']);
+    assert.equal(relay.savedSessions.get('channel_C1:1.2').conversationId, 'conv-channel_C1:1.2');
+    assert.deepEqual([...relay.agentChoices], [['slack_U1', 'hr']]);
+
+    // What was dropped is gone from the stores too
+    await relay.closeStores();
+    const stored = JSON.parse(fs.readFileSync(path.join(directory, 'sessions.json'), 'utf8')).sessions;
+    assert.deepEqual(Object.keys(stored).sort(), ['channel_C1:1.2', 'slack_U1']);
+    const choices = JSON.parse(fs.readFileSync(path.join(directory, 'agent-choices.json'), 'utf8')).sessions;
+    assert.deepEqual(Object.keys(choices), ['slack_U1']);
+});
+
+test('routeMessage: prefix, then the conversation\'s agent, then the router\'s rules', async () => {
+    const relay = createRelay();
+    const thread = { channel: 'C_HR', threadTs: '1.2' };
+
+    // New conversations follow the rules (the channel belongs to hr)
+    assert.equal((await relay.routeMessage('slack_U1', 'hello', thread)).agent.name, 'hr');
+    assert.equal((await relay.routeMessage('slack_U1', 'hello', {})).agent.name, 'default');
+
+    // A thread already talking to the default agent stays with it...
+    relay.activeConnections.set(relay.getConversationKey('slack_U1', thread), { lastActivity: Date.now() });
+    assert.equal((await relay.routeMessage('slack_U1', 'and then?', thread)).agent.name, 'default');
+
+    // ...unless the message asks for another agent
+    assert.deepEqual(await relay.routeMessage('slack_U1', 'hr: payroll?', thread), { agent: relay.agentRouter.getAgent('hr'), text: 'payroll?' });
+});
+
+test('routeMessage: a user\'s /agent choice doesn\'t apply to shared channel conversations', async () => {
+    const relay = createRelay();
+    relay.agentChoices.set('slack_U1', 'hr');
+
+    assert.equal((await relay.routeMessage('slack_U1', 'hello', {})).agent.name, 'hr');
+    assert.equal((await relay.routeMessage('slack_U1', 'hello', { channel: 'C_OTHER', threadTs: '1.2' })).agent.name, 'hr');
+    assert.equal((await relay.routeMessage('slack_U1', 'hello', { channel: 'C_OTHER', threadTs: '1.2', shared: true })).agent.name, 'default');
+});
+
+test('a card form is only sent once, however often it is clicked', async () => {
+    const relay = createRelay();
+    const sent = [];
+    relay.relayTurn = async (userId, activity) => {
+        await new Promise(resolve => setImmediate(resolve));
+        sent.push(activity);
+        return { text: '' };
+    };
+    const context = { channel: 'D1', shared: false };
+    relay.pendingForms.set('form-1', { userId: 'slack_U1', conversationKey: 'slack_U1', context, inputs: [], submitActions: [{ data: { ok: true } }] });
+
+    const forms = await Promise.all([
+        relay.submitCardAction('form-1', 0, {}, 'slack_U1'),
+        relay.submitCardAction('form-1', 0, {}, 'slack_U1')
+    ]);
+
+    assert.deepEqual(forms, [{ text: '' }, null]);
+    assert.equal(sent.length, 1);
+
+    // Someone else's private card can't be used
+    relay.pendingForms.set('form-2', { userId: 'slack_U1', conversationKey: 'slack_U1', context, inputs: [], submitActions: [{}] });
+    assert.equal(await relay.submitCardAction('form-2', 0, {}, 'slack_U2'), null);
+    assert.ok(relay.pendingForms.has('form-2'));
+});
+
+test('a row of suggestions is only sent once, however often it is clicked', async () => {
+    const relay = createRelay();
+    const sent = [];
+    relay.relayTurn = async (userId, activity) => {
+        await new Promise(resolve => setImmediate(resolve));
+        sent.push(activity);
+        return { text: '' };
+    };
+    const context = { channel: 'D1', shared: false };
+    relay.pendingSuggestions.set('suggestion-1', { userId: 'slack_U1', conversationKey: 'slack_U1', context, actions: [{ type: 'imBack', value: 'Yes' }, { type: 'imBack', value: 'No' }] });
+
+    const results = await Promise.all([
+        relay.sendSuggestedAction('suggestion-1', 0, 'slack_U1'),
+        relay.sendSuggestedAction('suggestion-1', 1, 'slack_U1')
+    ]);
+
+    assert.deepEqual(results, [{ text: '' }, null]);
+    assert.deepEqual(sent.map(activity => activity.text), ['Yes']);
+});
+
+test('consent is only relayed once, however often it is clicked', async () => {
+    const relay = createRelay();
+    const sent = [];
+    relay.auditLog = () => {};
+    relay.relayTurn = async (userId, activity) => {
+        await new Promise(resolve => setImmediate(resolve));
+        sent.push(activity);
+        return { text: '' };
+    };
+    relay.pendingConsents.set('consent-1', { userId: 'slack_U1', conversationKey: 'slack_U1', context: { channel: 'D1' }, serviceName: 'SharePoint', card: {} });
+
+    // Like the Slack handler: whatever it awaits first, only a successful claim is relayed
+    const click = async (decision) => {
+        await new Promise(resolve => setImmediate(resolve));
+        const consent = relay.claimPendingConsent('consent-1', 'slack_U1');
+        return consent && relay.handleConsentCardResponse(consent, decision, 'slack_U1');
+    };
+
+    assert.equal(relay.claimPendingConsent('consent-1', 'slack_U2'), null, 'only the user who was asked can answer');
+    assert.deepEqual(await Promise.all([click('Allow'), click('Cancel')]), [{ text: '' }, null]);
+    assert.deepEqual(sent.map(activity => activity.value.action), ['Allow']);
+    assert.equal(relay.pendingConsents.size, 0);
+});
+
+test('an expired token that can\'t be refreshed right now is kept, and the turn can be retried', async () => {
+    const relay = createRelay();
+    relay.refreshUserToken = async () => null;   // E.g. Entra answered 503
+    await relay.tokenRepository.set('slack_U1', { token: 'expired', homeAccountId: 'home-1' });
+
+    await assert.rejects(relay.recoverConversation('slack_U1', 'expired', 'slack_U1', 'auth_expired'),
+        error => error.code !== 'AUTH_REQUIRED');
+    assert.equal(relay.tokenRepository.get('slack_U1').token, 'expired');
+
+    // Once the refresh was rejected, the sign-in is gone and the user has to sign in again
+    relay.tokenRepository.delete('slack_U1');
+    await assert.rejects(relay.recoverConversation('slack_U1', 'expired', 'slack_U1', 'auth_expired'), { code: 'AUTH_REQUIRED' });
+});
+
+test('everyone replying in a shared thread finds the thread\'s conversation', () => {
+    const relay = createRelay();
+    const thread = { channel: 'C1', threadTs: '1.2' };
+    relay.activeConnections.set(relay.getConversationKey('slack_U1', { ...thread, shared: true }), { lastActivity: Date.now() });
+
+    assert.ok(relay.hasConversation('slack_U2', { ...thread, shared: true }));
+    assert.ok(!relay.hasConversation('slack_U2', thread), 'private thread conversations are per person');
+    assert.ok(!relay.hasConversation('slack_U2', { ...thread, threadTs: '3.4', shared: true }));
+});
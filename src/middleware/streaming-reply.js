@@ -0,0 +1,112 @@
+/**
+ * Streaming Reply - Progressive updates of the "Thinking..." message
+ *
+ * Multi-step Copilot Studio replies can take a long time. Instead of leaving
+ * "Thinking..." on screen until the very last activity arrives, the relay pushes
+ * each activity into the Slack message as soon as it shows up.
+ *
+ * Slack rate-limits chat.update (roughly one call per second per channel), so this
+ * class throttles edits: the newest text always wins, intermediate versions that
+ * arrive inside the throttle window are simply skipped. When the turn is over,
+ * finish() cancels anything pending and waits for in-flight edits so the final
+ * update is never overwritten by a stale partial one.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - Partial replies are shown before the agent has finished; anything the agent
+ *   later retracts may already have been seen by the user
+ */
+
+class StreamingReply {
+    /**
+     * @param {Object} slackClient - Slack Web API client
+     * @param {string} channel - Channel of the "Thinking..." message
+     * @param {string} ts - Timestamp of the "Thinking..." message
+     * @param {Object} options
+     * @param {number} options.throttleMs - Minimum time between two chat.update calls
+     */
+    constructor(slackClient, channel, ts, { throttleMs = 1000 } = {}) {
+        this.slackClient = slackClient;
+        this.channel = channel;
+        this.ts = ts;
+        this.throttleMs = throttleMs;
+
+        this.pendingText = null;    // Newest text not yet sent to Slack
+        this.lastSentText = null;   // Text currently shown in Slack
+        this.lastUpdateAt = 0;      // When we last called chat.update
+        this.timer = null;          // Scheduled flush
+        this.inFlight = null;       // Promise of the chat.update currently running
+        this.finished = false;
+    }
+
+    /**
+     * Queue new partial text for the message
+     *
+     * @param {string} text - Everything the agent has said so far in this turn
+     */
+    push(text) {
+        if (this.finished || !text || text === this.lastSentText) {
+            return;
+        }
+
+        this.pendingText = text;
+
+        if (this.timer) {
+            return;  // A flush is already scheduled and will pick up the newest text
+        }
+
+        const wait = Math.max(0, this.lastUpdateAt + this.throttleMs - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, wait);
+    }
+
+    /**
+     * Send the newest pending text to Slack
+     *
+     * Failures are logged and ignored - the final update will try again.
+     */
+    async flush() {
+        if (this.finished || this.pendingText === null) {
+            return;
+        }
+
+        const text = this.pendingText;
+        this.pendingText = null;
+        this.lastUpdateAt = Date.now();
+
+        this.inFlight = this.slackClient.chat.update({
+            channel: this.channel,
+            ts: this.ts,
+            text: `${text}\n\n:hourglass_flowing_sand: _Still working..._`
+        }).then(() => {
+            this.lastSentText = text;
+        }).catch((error) => {
+            console.warn('⚠️ Failed to stream partial reply:', error.message);
+        });
+
+        await this.inFlight;
+        this.inFlight = null;
+    }
+
+    /**
+     * Stop streaming before the final update
+     *
+     * Cancels any scheduled flush and waits for an in-flight chat.update, so the
+     * caller's final update is guaranteed to be the last one Slack sees.
+     */
+    async finish() {
+        this.finished = true;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.inFlight) {
+            await this.inFlight;
+        }
+    }
+}
+
+export default StreamingReply;
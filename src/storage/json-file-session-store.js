@@ -0,0 +1,71 @@
+/**
+ * JSON File Session Store - Sessions in a JSON file (SESSION_STORE=file)
+ *
+ * All sessions are kept in memory and the whole file is rewritten on every change.
+ * Writes go to a temporary file that is then renamed over the old one, so a crash
+ * mid-write never leaves a half-written file behind. Writes are queued, so they
+ * land in the order they were made.
+ *
+ * Suitable for a single bot instance; put the file on a volume so it survives
+ * container redeploys. See session-store.js for the interface.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+class JsonFileSessionStore {
+    /**
+     * @param {string} filePath - Where to keep the sessions
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.sessions = new Map();          // conversationKey -> session
+        this.writeQueue = Promise.resolve();
+    }
+
+    async init() {
+        try {
+            const stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            Object.entries(stored.sessions || {}).forEach(([key, session]) => this.sessions.set(key, session));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read session file ${this.filePath}: ${error.message}`);
+            }
+        }
+    }
+
+    async getAll() {
+        return Array.from(this.sessions.values());
+    }
+
+    async set(conversationKey, session) {
+        this.sessions.set(conversationKey, session);
+        return this.write();
+    }
+
+    async delete(conversationKey) {
+        if (this.sessions.delete(conversationKey)) {
+            return this.write();
+        }
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+
+    write() {
+        const content = JSON.stringify({ sessions: Object.fromEntries(this.sessions) }, null, 2);
+
+        this.writeQueue = this.writeQueue
+            .catch(() => {})   // A failed write was already reported to its caller
+            .then(async () => {
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(tempPath, content, { mode: 0o600 });
+                await fs.rename(tempPath, this.filePath);
+            });
+        return this.writeQueue;
+    }
+}
+
+export default JsonFileSessionStore;
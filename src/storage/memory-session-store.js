@@ -0,0 +1,29 @@
+/**
+ * Memory Session Store - Sessions that last until the process exits
+ *
+ * The default backend (SESSION_STORE=memory). See session-store.js for the interface.
+ */
+
+class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();  // conversationKey -> session
+    }
+
+    async init() {}
+
+    async getAll() {
+        return Array.from(this.sessions.values());
+    }
+
+    async set(conversationKey, session) {
+        this.sessions.set(conversationKey, session);
+    }
+
+    async delete(conversationKey) {
+        this.sessions.delete(conversationKey);
+    }
+
+    async close() {}
+}
+
+export default MemorySessionStore;
@@ -0,0 +1,59 @@
+/**
+ * Redis Session Store - Sessions on a Redis-protocol server (SESSION_STORE=redis)
+ *
+ * Works with anything that speaks the Redis protocol (Redis, Valkey, KeyDB, a
+ * local stand-in for development). All sessions live in one hash
+ * (SESSION_REDIS_KEY), one field per conversation, so several bot instances can
+ * share it.
+ *
+ * Uses the redis package (an optional dependency - install it with
+ * "npm install redis" if your install skipped it). See session-store.js for the
+ * interface.
+ */
+
+class RedisSessionStore {
+    /**
+     * @param {string} url - Server URL (redis://[:password@]host:port[/db], rediss:// for TLS)
+     * @param {string} key - Hash that holds the sessions
+     */
+    constructor(url, key) {
+        this.url = url;
+        this.key = key;
+        this.client = null;
+    }
+
+    async init() {
+        let createClient;
+        try {
+            ({ createClient } = await import('redis'));
+        } catch (error) {
+            throw new Error('SESSION_STORE=redis needs the redis package (npm install redis)');
+        }
+
+        this.client = createClient({ url: this.url });
+        this.client.on('error', (error) => console.error('❌ Session store (Redis) error:', error.message));
+        await this.client.connect();
+    }
+
+    async getAll() {
+        const fields = await this.client.hGetAll(this.key);
+        return Object.values(fields).map(value => JSON.parse(value));
+    }
+
+    async set(conversationKey, session) {
+        await this.client.hSet(this.key, conversationKey, JSON.stringify(session));
+    }
+
+    async delete(conversationKey) {
+        await this.client.hDel(this.key, conversationKey);
+    }
+
+    async close() {
+        if (this.client?.isOpen) {
+            await this.client.quit();
+        }
+        this.client = null;
+    }
+}
+
+export default RedisSessionStore;
@@ -0,0 +1,72 @@
+/**
+ * Session Store - Keeps Copilot Studio conversation IDs across restarts
+ *
+ * The relay keeps one Copilot Studio conversation per DM / thread (see
+ * RelayMiddleware.getConversationKey). The live connections only exist in memory,
+ * so without a store every restart or redeploy starts every user over. A session
+ * store remembers just enough to pick each conversation up again:
+ *
+ *   { conversationKey, conversationId, userId, shared, lastActivity }
+ *
+ * Backends (SESSION_STORE):
+ * - memory: nothing survives a restart (the default, same as before)
+ * - file:   a JSON file (SESSION_FILE) - fine for a single container with a volume
+ * - sqlite: a SQLite database (SESSION_SQLITE_PATH), needs the better-sqlite3 package
+ * - redis:  any server speaking the Redis protocol (SESSION_REDIS_URL) - Redis,
+ *           Valkey, KeyDB, ... - needs the redis package; use this when several
+ *           instances of the bot run side by side
+ *
+ * Every backend implements the same async interface:
+ *   init()                          Open the file / database / connection
+ *   getAll()                        All stored sessions
+ *   set(conversationKey, session)   Save or replace a session
+ *   delete(conversationKey)         Forget a session
+ *   close()                         Flush and release resources
+ *
+ * SECURITY CONSIDERATIONS:
+ * - Sessions contain no tokens or message content - only IDs and a timestamp
+ * - A stolen conversation ID is only usable together with a valid token for the agent
+ * - Files are created readable by the bot's user only; protect Redis with a password
+ *   (redis://:password@host) or TLS (rediss://) when it's reachable over the network
+ */
+
+import MemorySessionStore from './memory-session-store.js';
+import JsonFileSessionStore from './json-file-session-store.js';
+import SqliteSessionStore from './sqlite-session-store.js';
+import RedisSessionStore from './redis-session-store.js';
+
+/**
+ * Create the session store selected in the configuration
+ *
+ * @param {Object} config - Application configuration (uses config.sessions)
+ * @returns {Object} Session store (not initialized yet - call init())
+ */
+function createSessionStore(config) {
+    return createStore({ ...config.sessions, sqliteTable: 'sessions', setting: 'SESSION_STORE' });
+}
+
+/**
+ * Create a key-value store with one of the backends above
+ *
+ * Also used for other state that has to survive restarts (see TokenRepository).
+ *
+ * @param {Object} options - { store, filePath, sqlitePath, sqliteTable, redisUrl, redisKey,
+ *   setting } - setting is the env variable that chose the backend, for error messages
+ * @returns {Object} Store (not initialized yet - call init())
+ */
+export function createStore({ store, filePath, sqlitePath, sqliteTable, redisUrl, redisKey, setting }) {
+    switch (store) {
+        case 'memory':
+            return new MemorySessionStore();
+        case 'file':
+            return new JsonFileSessionStore(filePath);
+        case 'sqlite':
+            return new SqliteSessionStore(sqlitePath, sqliteTable);
+        case 'redis':
+            return new RedisSessionStore(redisUrl, redisKey);
+        default:
+            throw new Error(`Unknown ${setting} "${store}" (use memory, file, sqlite or redis)`);
+    }
+}
+
+export default createSessionStore;
@@ -0,0 +1,192 @@
+/**
+ * Session store contract - every backend behind createStore behaves the same
+ *
+ * Run with "npm test". The redis backend talks to a small in-process server
+ * speaking the Redis protocol (RESP), so no Redis installation is needed.
+ */
+
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { createStore } from './session-store.js';
+
+/**
+ * Minimal Redis stand-in: the hash commands the redis backend uses, kept in memory
+ * for as long as the server runs (so a reopened store finds its data)
+ */
+function startRespServer() {
+    const hashes = new Map();   // key -> Map(field -> value)
+
+    const bulk = (value) => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    const array = (values) => `*${values.length}\r\n${values.map(bulk).join('')}`;
+
+    const commands = {
+        HGETALL: ([key]) => array([...(hashes.get(key) || new Map())].flat()),
+        HSET: ([key, ...pairs]) => {
+            const hash = hashes.get(key) || new Map();
+            hashes.set(key, hash);
+            let added = 0;
+            for (let i = 0; i < pairs.length; i += 2) {
+                added += hash.has(pairs[i]) ? 0 : 1;
+                hash.set(pairs[i], pairs[i + 1]);
+            }
+            return `:${added}\r\n`;
+        },
+        HDEL: ([key, ...fields]) => `:${fields.filter(field => hashes.get(key)?.delete(field)).length}\r\n`,
+        PING: () => '+PONG\r\n',
+        QUIT: () => '+OK\r\n',
+        CLIENT: () => '+OK\r\n',
+        SELECT: () => '+OK\r\n'
+    };
+
+    // Requests are arrays of bulk strings: *<n>\r\n$<len>\r\n<arg>\r\n...
+    const parse = (buffer) => {
+        const requests = [];
+        let offset = 0;
+        while (offset < buffer.length) {
+            const start = offset;
+            const readLine = () => {
+                const end = buffer.indexOf('\r\n', offset);
+                if (end === -1) {
+                    return null;
+                }
+                const line = buffer.toString('utf8', offset, end);
+                offset = end + 2;
+                return line;
+            };
+
+            const header = readLine();
+            if (header === null) {
+                return { requests, rest: buffer.subarray(start) };
+            }
+            const args = [];
+            for (let count = parseInt(header.slice(1), 10); args.length < count;) {
+                const length = readLine();
+                const size = length === null ? 0 : parseInt(length.slice(1), 10);
+                if (length === null || offset + size + 2 > buffer.length) {
+                    return { requests, rest: buffer.subarray(start) };
+                }
+                args.push(buffer.toString('utf8', offset, offset + size));
+                offset += size + 2;
+            }
+            requests.push(args);
+        }
+        return { requests, rest: Buffer.alloc(0) };
+    };
+
+    const server = net.createServer(socket => {
+        let pending = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            const { requests, rest } = parse(Buffer.concat([pending, chunk]));
+            pending = rest;
+            for (const [name, ...args] of requests) {
+                const command = commands[name.toUpperCase()];
+                socket.write(command ? command(args) : `-ERR unknown command '${name}'\r\n`);
+                if (name.toUpperCase() === 'QUIT') {
+                    socket.end();
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const session = (conversationKey, lastActivity = 1000) => ({
+    conversationKey,
+    conversationId: `conv-${conversationKey}`,
+    userId: 'slack_U123',
+    shared: false,
+    agent: 'default',
+    lastActivity
+});
+
+const byKey = (a, b) => a.conversationKey.localeCompare(b.conversationKey);
+
+let directory;
+let respServer;
+
+before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+    respServer = await startRespServer();
+});
+
+after(() => {
+    respServer.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const backends = {
+    memory: () => ({ store: 'memory' }),
+    file: () => ({ store: 'file', filePath: path.join(directory, 'sessions.json') }),
+    sqlite: () => ({ store: 'sqlite', sqlitePath: path.join(directory, 'sessions.db'), sqliteTable: 'sessions' }),
+    redis: () => ({ store: 'redis', redisUrl: `redis://127.0.0.1:${respServer.address().port}`, redisKey: 'test:sessions' })
+};
+
+for (const [name, options] of Object.entries(backends)) {
+    describe(`${name} store`, () => {
+        let store;
+
+        const open = async () => {
+            const opened = createStore({ ...options(), setting: 'SESSION_STORE' });
+            await opened.init();
+            return opened;
+        };
+
+        beforeEach(async () => {
+            store = await open();
+            for (const { conversationKey } of await store.getAll()) {
+                await store.delete(conversationKey);
+            }
+        });
+
+        afterEach(async () => {
+            await store.close();
+        });
+
+        test('starts out empty', async () => {
+            assert.deepEqual(await store.getAll(), []);
+        });
+
+        test('returns what was set', async () => {
+            await store.set('slack_U123', session('slack_U123'));
+            await store.set('slack_U123:C1:1.2', session('slack_U123:C1:1.2'));
+
+            assert.deepEqual((await store.getAll()).sort(byKey), [session('slack_U123'), session('slack_U123:C1:1.2')]);
+        });
+
+        test('replaces an entry set again under the same key', async () => {
+            await store.set('slack_U123', session('slack_U123', 1000));
+            await store.set('slack_U123', session('slack_U123', 2000));
+
+            assert.deepEqual(await store.getAll(), [session('slack_U123', 2000)]);
+        });
+
+        test('forgets deleted entries, and ignores unknown keys', async () => {
+            await store.set('slack_U123', session('slack_U123'));
+            await store.set('channel_C1:1.2', session('channel_C1:1.2'));
+            await store.delete('slack_U123');
+            await store.delete('slack_U999');
+
+            assert.deepEqual(await store.getAll(), [session('channel_C1:1.2')]);
+        });
+
+        if (name !== 'memory') {
+            test('keeps entries across a restart', async () => {
+                await store.set('slack_U123', session('slack_U123'));
+                await store.close();
+
+                store = await open();
+                assert.deepEqual(await store.getAll(), [session('slack_U123')]);
+            });
+        }
+    });
+}
+
+test('createStore rejects unknown backends', () => {
+    assert.throws(() => createStore({ store: 'mongo', setting: 'SESSION_STORE' }), /Unknown SESSION_STORE "mongo"/);
+});
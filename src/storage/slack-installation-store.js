@@ -0,0 +1,81 @@
+/**
+ * Slack Installation Store - Bot tokens of the workspaces that installed the app
+ *
+ * With SLACK_CLIENT_ID and SLACK_CLIENT_SECRET set, the bot is distributed with
+ * Slack's OAuth install flow ("Add to Slack", see /slack/install) instead of one
+ * SLACK_BOT_TOKEN. Every workspace that installs it gets its own bot token, and
+ * Bolt looks the token up here for each incoming event.
+ *
+ * This implements the InstallationStore interface of @slack/oauth on top of the
+ * TokenRepository: each installation is one encrypted record under
+ * "slack-installation:<team ID>", in the TOKEN_STORE backend and under the same
+ * TOKEN_ENCRYPTION_KEY (and key rotation) as the users' Microsoft tokens.
+ *
+ * Org-wide installs on Enterprise Grid are not supported - install the app into
+ * each workspace of the org instead.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - Bot tokens are never stored in plain text; anyone holding TOKEN_ENCRYPTION_KEY
+ *   and the token storage can act as the bot in every installed workspace
+ * - With TOKEN_STORE=memory the installations are lost on restart and every
+ *   workspace has to install the app again - use file, sqlite or redis
+ * - An uninstall (app_uninstalled event) deletes the workspace's installation
+ */
+
+const KEY_PREFIX = 'slack-installation:';
+
+class SlackInstallationStore {
+    /**
+     * @param {TokenRepository} tokenRepository - Encrypted storage (already initialized)
+     */
+    constructor(tokenRepository) {
+        this.tokenRepository = tokenRepository;
+    }
+
+    /**
+     * Save an installation (called by InstallProvider after the OAuth callback)
+     *
+     * @param {Object} installation - Installation from @slack/oauth
+     */
+    async storeInstallation(installation) {
+        if (installation.isEnterpriseInstall) {
+            throw new Error('Org-wide installs are not supported - install the app into each workspace instead');
+        }
+
+        await this.tokenRepository.setSecret(this.getKey(installation.team.id), installation);
+        console.log(`🏢 Slack app installed in workspace ${installation.team.name || ''} (${installation.team.id})`);
+    }
+
+    /**
+     * Look up the installation for an incoming event
+     *
+     * @param {Object} query - { teamId, enterpriseId, isEnterpriseInstall }
+     * @returns {Object} The installation
+     * @throws {Error} If the workspace hasn't installed the app
+     */
+    async fetchInstallation(query) {
+        const installation = query.teamId && this.tokenRepository.getSecret(this.getKey(query.teamId));
+        if (!installation) {
+            throw new Error(`No Slack installation for workspace ${query.teamId || query.enterpriseId}`);
+        }
+        return installation;
+    }
+
+    async deleteInstallation(query) {
+        await this.tokenRepository.deleteSecret(this.getKey(query.teamId));
+        console.log(`🏢 Slack installation for workspace ${query.teamId} deleted`);
+    }
+
+    /**
+     * IDs of the workspaces that installed the app
+     */
+    getTeamIds() {
+        return this.tokenRepository.getSecretKeys(KEY_PREFIX).map(key => key.slice(KEY_PREFIX.length));
+    }
+
+    getKey(teamId) {
+        return `${KEY_PREFIX}${teamId}`;
+    }
+}
+
+export default SlackInstallationStore;
@@ -0,0 +1,68 @@
+/**
+ * SQLite Session Store - Sessions in a SQLite database (SESSION_STORE=sqlite)
+ *
+ * Uses the better-sqlite3 package (an optional dependency - install it with
+ * "npm install better-sqlite3" if your install skipped it). The database file is
+ * created on first use, with one row per conversation (or per entry, when the
+ * store is used for something else - see createStore).
+ *
+ * See session-store.js for the interface.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+class SqliteSessionStore {
+    /**
+     * @param {string} databasePath - SQLite database file
+     * @param {string} table - Table holding the entries
+     */
+    constructor(databasePath, table = 'sessions') {
+        this.databasePath = databasePath;
+        this.table = table;
+        this.db = null;
+    }
+
+    async init() {
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error('SESSION_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.databasePath), { recursive: true });
+        this.db = new Database(this.databasePath);
+        fs.chmodSync(this.databasePath, 0o600);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS ${this.table} (
+                conversation_key TEXT PRIMARY KEY,
+                session TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+    }
+
+    async getAll() {
+        return this.db.prepare(`SELECT session FROM ${this.table}`).all().map(row => JSON.parse(row.session));
+    }
+
+    async set(conversationKey, session) {
+        this.db.prepare(`
+            INSERT INTO ${this.table} (conversation_key, session, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (conversation_key) DO UPDATE SET session = excluded.session, updated_at = excluded.updated_at
+        `).run(conversationKey, JSON.stringify(session), Date.now());
+    }
+
+    async delete(conversationKey) {
+        this.db.prepare(`DELETE FROM ${this.table} WHERE conversation_key = ?`).run(conversationKey);
+    }
+
+    async close() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+export default SqliteSessionStore;
@@ -0,0 +1,318 @@
+/**
+ * Token Repository - Encrypted storage for users' Microsoft tokens
+ *
+ * Users sign in once with their Microsoft account; the relay then uses their token
+ * for every message. Keeping those tokens only in memory means everybody has to
+ * sign in again after each restart, and keeping them anywhere in plain text means
+ * anyone who can read the storage can act as those users. This repository keeps
+ * every record encrypted - in memory and at rest - and persists it with one of the
+ * session store backends (TOKEN_STORE: memory, file, sqlite or redis).
+ *
+ * Each record looks like this (data holds the encrypted secrets: the access token
+ * and the user's MSAL account ID, or a refresh token from before MSAL took over):
+ *
+ *   { slackUserId, keyId, iv, tag, data, storedAt, lastUsed, expiresAt, refreshable }
+ *
+ * Other secrets are stored the same way, one encrypted record each under a key
+ * with a ":" in it (so it can't clash with "slack_..." user IDs): MSAL's token
+ * cache (which holds the refresh tokens of all signed-in users) under
+ * MSAL_CACHE_KEY, and the Slack installations of a multi-workspace deployment
+ * (see SlackInstallationStore).
+ *
+ * Key rotation: records remember which key encrypted them (keyId). Put the new key
+ * in TOKEN_ENCRYPTION_KEY and the old one in TOKEN_PREVIOUS_ENCRYPTION_KEYS; at
+ * startup every record still under an old key is re-encrypted with the new one.
+ * Once the startup log shows no records under old keys, the old key can go.
+ *
+ * SECURITY CONSIDERATIONS:
+ * - AES-256-GCM with a random IV per record; the Slack user ID is authenticated
+ *   data, so a record can't be copied over to another user
+ * - TOKEN_ENCRYPTION_KEY is stretched with scrypt; use a long random value
+ *   (e.g. "openssl rand -base64 32") and keep it in a secret store, not next to
+ *   the token storage
+ * - Without TOKEN_ENCRYPTION_KEY only the memory store can be used; it then gets a
+ *   random key that lives as long as the process
+ * - Records that can't be decrypted with any configured key are dropped - those
+ *   users simply sign in again
+ */
+
+import crypto from 'crypto';
+import { createStore } from './session-store.js';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_SALT = 'slack-relay-bot/user-tokens';
+
+// Record holding MSAL's serialized token cache
+const MSAL_CACHE_KEY = 'msal:token-cache';
+
+// How stale lastUsed may get before it's written back (avoids a write per message)
+const LAST_USED_WRITE_INTERVAL_MS = 10 * 60 * 1000;
+
+class TokenRepository {
+    /**
+     * @param {Object} config - Application configuration (uses config.tokens)
+     */
+    constructor(config) {
+        const { store, encryptionKey, previousEncryptionKeys } = config.tokens;
+
+        if (!encryptionKey && store !== 'memory') {
+            throw new Error(`TOKEN_STORE=${store} needs TOKEN_ENCRYPTION_KEY, so tokens are never stored in plain text`);
+        }
+
+        // The first key encrypts; all of them can decrypt
+        this.keys = [encryptionKey || crypto.randomBytes(32).toString('base64'), ...previousEncryptionKeys]
+            .map(secret => this.deriveKey(secret));
+        this.currentKey = this.keys[0];
+
+        this.store = createStore({ ...config.tokens, sqliteTable: 'user_tokens', setting: 'TOKEN_STORE' });
+        this.storeType = store;
+        this.records = new Map();   // slackUserId -> encrypted record
+        this.secretRecords = new Map();   // secret key ("msal:token-cache", ...) -> encrypted record
+    }
+
+    /**
+     * Load the stored tokens, re-encrypting those under an old key
+     */
+    async init() {
+        await this.store.init();
+
+        let rotated = 0;
+        let unreadable = 0;
+
+        for (const record of await this.store.getAll()) {
+            const key = this.keys.find(candidate => candidate.id === record.keyId);
+            let secrets = null;
+            try {
+                secrets = key && this.decrypt(record, key);
+            } catch (error) {
+                secrets = null;
+            }
+
+            if (!secrets) {
+                unreadable++;
+                await this.store.delete(record.slackUserId);
+                continue;
+            }
+
+            if (key === this.currentKey) {
+                this.keep(record);
+            } else {
+                await this.write(record.slackUserId, secrets, record);
+                rotated++;
+            }
+        }
+
+        console.log(`🔐 Token store (${this.storeType}): ${this.records.size} user token(s) loaded, ${rotated} re-encrypted with the current key, ${unreadable} unreadable and dropped`);
+    }
+
+    /**
+     * Get a user's token data
+     *
+     * @param {string} slackUserId - The Slack user's ID (format: "slack_U1234567890")
+     * @returns {Object|undefined} { token, homeAccountId, refreshToken, storedAt, lastUsed, expiresAt }, or undefined
+     */
+    get(slackUserId) {
+        const record = this.records.get(slackUserId);
+        if (!record) {
+            return undefined;
+        }
+
+        try {
+            const { token, homeAccountId = null, refreshToken = null } = this.decrypt(record, this.currentKey);
+            return { token, homeAccountId, refreshToken, storedAt: record.storedAt, lastUsed: record.lastUsed, expiresAt: record.expiresAt };
+        } catch (error) {
+            console.error(`❌ Could not decrypt token for ${slackUserId} - dropping it:`, error.message);
+            this.delete(slackUserId);
+            return undefined;
+        }
+    }
+
+    /**
+     * Save a user's token data
+     *
+     * @param {string} slackUserId - The Slack user's ID
+     * @param {Object} tokenData - { token, homeAccountId, refreshToken, storedAt, lastUsed, expiresAt }
+     */
+    async set(slackUserId, { token, homeAccountId = null, refreshToken = null, storedAt, lastUsed, expiresAt }) {
+        await this.write(slackUserId, { token, homeAccountId, refreshToken }, { storedAt, lastUsed, expiresAt });
+    }
+
+    /**
+     * Users whose token is renewed through an MSAL account
+     *
+     * @param {string} homeAccountId - MSAL account ID
+     * @returns {Array} Slack user IDs
+     */
+    usersOfAccount(homeAccountId) {
+        return Array.from(this.records.keys()).filter(slackUserId => this.get(slackUserId)?.homeAccountId === homeAccountId);
+    }
+
+    /**
+     * MSAL's serialized token cache, as last saved
+     *
+     * @returns {string|null}
+     */
+    getMsalCache() {
+        return this.getSecret(MSAL_CACHE_KEY)?.cache ?? null;
+    }
+
+    /**
+     * Save MSAL's serialized token cache
+     *
+     * @param {string} cache - Output of TokenCache.serialize()
+     */
+    async setMsalCache(cache) {
+        await this.setSecret(MSAL_CACHE_KEY, { cache });
+    }
+
+    /**
+     * A secret that isn't a user's token
+     *
+     * @param {string} key - Secret key; must contain a ":" (e.g. "slack-installation:T123")
+     * @returns {Object|null} The secret as saved, or null
+     */
+    getSecret(key) {
+        const record = this.secretRecords.get(key);
+        if (!record) {
+            return null;
+        }
+        try {
+            return this.decrypt(record, this.currentKey);
+        } catch (error) {
+            console.error(`❌ Could not decrypt ${key}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Save a secret that isn't a user's token
+     *
+     * @param {string} key - Secret key; must contain a ":"
+     * @param {Object} secret - Anything JSON can hold
+     */
+    async setSecret(key, secret) {
+        if (!key.includes(':')) {
+            throw new Error(`Secret key "${key}" must contain a ":"`);
+        }
+        await this.write(key, secret, {});
+    }
+
+    async deleteSecret(key) {
+        this.secretRecords.delete(key);
+        await this.store.delete(key);
+    }
+
+    /**
+     * Keys of the stored secrets starting with a prefix (nothing is decrypted)
+     */
+    getSecretKeys(prefix) {
+        return Array.from(this.secretRecords.keys()).filter(key => key.startsWith(prefix));
+    }
+
+    /**
+     * Record that a user's token was just used
+     */
+    touch(slackUserId) {
+        const record = this.records.get(slackUserId);
+        if (!record) {
+            return;
+        }
+
+        const now = Date.now();
+        const persist = now - record.lastUsed > LAST_USED_WRITE_INTERVAL_MS;
+        record.lastUsed = now;
+        if (persist) {
+            this.persist(record);
+        }
+    }
+
+    /**
+     * Forget a user's token
+     *
+     * @returns {boolean} True if there was one
+     */
+    delete(slackUserId) {
+        const existed = this.records.delete(slackUserId);
+        this.store.delete(slackUserId)
+            .catch(error => console.error(`❌ Failed to delete stored token for ${slackUserId}:`, error.message));
+        return existed;
+    }
+
+    /**
+     * Token metadata for housekeeping (nothing is decrypted)
+     *
+     * @returns {Array} [slackUserId, { storedAt, lastUsed, expiresAt, refreshable }] pairs
+     */
+    entries() {
+        return Array.from(this.records.entries()).map(([slackUserId, { storedAt, lastUsed, expiresAt, refreshable }]) =>
+            [slackUserId, { storedAt, lastUsed, expiresAt, refreshable: !!refreshable }]);
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    async close() {
+        await this.store.close();
+    }
+
+    async write(slackUserId, secrets, metadata) {
+        const record = {
+            slackUserId,
+            ...this.encrypt(slackUserId, secrets),
+            storedAt: metadata.storedAt ?? Date.now(),
+            lastUsed: metadata.lastUsed ?? Date.now(),
+            expiresAt: metadata.expiresAt ?? null,
+            refreshable: !!(secrets.homeAccountId || secrets.refreshToken)
+        };
+        this.keep(record);
+        await this.persist(record);
+    }
+
+    keep(record) {
+        if (record.slackUserId.includes(':')) {
+            this.secretRecords.set(record.slackUserId, record);
+        } else {
+            this.records.set(record.slackUserId, record);
+        }
+    }
+
+    persist(record) {
+        return this.store.set(record.slackUserId, record)
+            .catch(error => console.error(`❌ Failed to save token for ${record.slackUserId}:`, error.message));
+    }
+
+    encrypt(slackUserId, secrets) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER, this.currentKey.key, iv);
+        cipher.setAAD(Buffer.from(slackUserId));
+        const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+        return {
+            keyId: this.currentKey.id,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(record, key) {
+        const decipher = crypto.createDecipheriv(CIPHER, key.key, Buffer.from(record.iv, 'base64'));
+        decipher.setAAD(Buffer.from(record.slackUserId));
+        decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+        const json = Buffer.concat([decipher.update(Buffer.from(record.data, 'base64')), decipher.final()]).toString('utf8');
+        return JSON.parse(json);
+    }
+
+    /**
+     * Turn a configured secret into an AES key, plus a short ID that says which
+     * key encrypted a record (the ID reveals nothing about the key)
+     */
+    deriveKey(secret) {
+        const key = crypto.scryptSync(secret, KEY_SALT, 32);
+        const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+        return { key, id };
+    }
+}
+
+export default TokenRepository;
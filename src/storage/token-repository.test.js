@@ -0,0 +1,109 @@
+/**
+ * TokenRepository - encryption at rest and key rotation (run with "npm test")
+ */
+
+import { test, mock, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TokenRepository from './token-repository.js';
+
+let directory;
+let filePath;
+
+before(() => {
+    mock.method(console, 'log', () => {});   // Startup summaries
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-repository-test-'));
+});
+
+after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    filePath = path.join(directory, `tokens-${Date.now()}-${Math.random()}.json`);
+});
+
+async function open(encryptionKey, previousEncryptionKeys = []) {
+    const repository = new TokenRepository({ tokens: { store: 'file', filePath, encryptionKey, previousEncryptionKeys } });
+    await repository.init();
+    return repository;
+}
+
+const storedRecords = () => Object.values(JSON.parse(fs.readFileSync(filePath, 'utf8')).sessions);
+
+test('keeps tokens encrypted at rest', async () => {
+    const repository = await open('key-one');
+    await repository.set('slack_U123', { token: 'access-token-123', homeAccountId: 'home-1', expiresAt: 5000 });
+    await repository.close();
+
+    assert.doesNotMatch(fs.readFileSync(filePath, 'utf8'), /access-token-123|home-1/);
+
+    const reopened = await open('key-one');
+    assert.equal(reopened.get('slack_U123').token, 'access-token-123');
+    assert.equal(reopened.get('slack_U123').homeAccountId, 'home-1');
+    assert.equal(reopened.get('slack_U123').expiresAt, 5000);
+    await reopened.close();
+});
+
+test('re-encrypts records under a previous key with the current one', async () => {
+    const repository = await open('key-one');
+    await repository.set('slack_U123', { token: 'access-token-123' });
+    await repository.setMsalCache('{"Account":{}}');
+    await repository.close();
+    const [oldKeyId] = new Set(storedRecords().map(record => record.keyId));
+
+    const rotated = await open('key-two', ['key-one']);
+    assert.equal(rotated.get('slack_U123').token, 'access-token-123');
+    assert.equal(rotated.getMsalCache(), '{"Account":{}}');
+    await rotated.close();
+
+    const keyIds = new Set(storedRecords().map(record => record.keyId));
+    assert.equal(keyIds.size, 1);
+    assert.notEqual([...keyIds][0], oldKeyId);
+
+    // The old key is no longer needed
+    const withoutOldKey = await open('key-two');
+    assert.equal(withoutOldKey.get('slack_U123').token, 'access-token-123');
+    await withoutOldKey.close();
+});
+
+test('drops records no configured key can decrypt', async () => {
+    const repository = await open('key-one');
+    await repository.set('slack_U123', { token: 'access-token-123' });
+    await repository.close();
+
+    const otherKey = await open('key-two');
+    assert.equal(otherKey.get('slack_U123'), undefined);
+    assert.equal(otherKey.size, 0);
+    await otherKey.close();
+
+    assert.deepEqual(storedRecords(), []);
+});
+
+test('a record copied to another user can\'t be decrypted', async () => {
+    const repository = await open('key-one');
+    await repository.set('slack_U123', { token: 'access-token-123' });
+    repository.records.set('slack_U999', { ...repository.records.get('slack_U123'), slackUserId: 'slack_U999' });
+
+    assert.equal(repository.get('slack_U999'), undefined);
+    assert.equal(repository.get('slack_U123').token, 'access-token-123');
+    await repository.close();
+});
+
+test('finds every user renewing through an MSAL account', async () => {
+    const repository = await open('key-one');
+    await repository.set('slack_U1', { token: 'a', homeAccountId: 'home-1' });
+    await repository.set('slack_U2', { token: 'b', homeAccountId: 'home-1' });
+    await repository.set('slack_U3', { token: 'c', homeAccountId: 'home-2' });
+
+    assert.deepEqual(repository.usersOfAccount('home-1').sort(), ['slack_U1', 'slack_U2']);
+    repository.delete('slack_U1');
+    assert.deepEqual(repository.usersOfAccount('home-1'), ['slack_U2']);
+    await repository.close();
+});
+
+test('refuses to store tokens at rest without an encryption key', () => {
+    assert.throws(() => new TokenRepository({ tokens: { store: 'file', filePath, previousEncryptionKeys: [] } }), /needs TOKEN_ENCRYPTION_KEY/);
+});